@@ -1,19 +1,47 @@
-import {INSERT_QUERY, INSERT_MUTATION, SET_ERROR} from './normalize/duck';
+import {
+  INSERT_QUERY,
+  INSERT_MUTATION,
+  SET_ERROR,
+  COLLECT_GARBAGE,
+  ENQUEUE_MUTATION,
+  DEQUEUE_MUTATION,
+  ROLLBACK_MUTATION,
+  DEFAULT_STATE_KEY
+} from './normalize/duck';
 import denormalizeStore from './normalize/denormalizeStore';
-import {rebuildOriginalArgs} from './normalize/denormalizeHelpers';
+import {rebuildOriginalArgs, sendChildrenToServer, makeNormalString} from './normalize/denormalizeHelpers';
 import normalizeResponse from './normalize/normalizeResponse';
 import {printMinimalQuery} from './query/printMinimalQuery';
-import {shortenNormalizedResponse, invalidateMutationsOnNewQuery, equalPendingQueries} from './query/queryHelpers';
+import {print} from 'graphql/language/printer';
+import {
+  shortenNormalizedResponse,
+  invalidateMutationsOnNewQuery,
+  equalPendingQueries,
+  makeFetchedAt,
+  getExpiresAt,
+  getResultKeys,
+  getPendingKey,
+  makeAbortController,
+  mergeSignals
+} from './query/queryHelpers';
 import {checkMutationInSchema} from './utils';
 import mergeStores from './normalize/mergeStores';
 import {CachedMutation, CachedQuery, CachedSubscription} from './helperClasses';
 import flushDependencies from './query/flushDependencies';
-import {parse, buildExecutionContext, getVariables, clone, makeErrorFreeResponse} from './utils';
+import {
+  parseOperation,
+  getOperationNameForField,
+  buildExecutionContext,
+  getVariables,
+  getVariablesWithDefaults,
+  clone,
+  makeErrorFreeResponse
+} from './utils';
 import namespaceMutation from './mutate/namespaceMutation';
 import createMutationFromQuery from './mutate/createMutationFromQuery';
 import removeNamespacing from './mutate/removeNamespacing';
 import makeFriendlyStore from './mutate/makeFriendlyStore';
-import addDeps from './normalize/addDeps';
+import addDeps, {removeDeps} from './normalize/addDeps';
 import mergeMutations from './mutate/mergeMutations';
 import ActiveComponentsObj from './mutate/ActiveComponentsObj';
 import createBasicMutation from './mutate/createBasicMutation';
@@ -22,15 +50,37 @@ import hasMatchingVariables from './mutate/hasMatchingVariables';
 import createNewData from './subscribe/getNewDenormalizedData';
 import splitPath from './subscribe/splitPath';
 import isMutationResponseScalar from './mutate/isMutationResponseScalar';
-
-const defaultGetToState = store => store.getState().cashay;
-const defaultPaginationWords = {
-  before: 'before',
-  after: 'after',
-  first: 'first',
-  last: 'last'
+import findGarbage from './normalize/findGarbage';
+import {makePaginationPolicies} from './normalize/separateArgs';
+import {makeFieldPolicies, makeTypeKeys, applyMergePolicies} from './normalize/typePolicies';
+import {makeCacheRedirects} from './normalize/cacheRedirects';
+import {makeClientResolvers} from './normalize/clientResolvers';
+import splitDeferredOperation from './query/splitDeferredOperation';
+import mergeQueries, {splitMergedResponse, splitMergedErrors} from './query/mergeQueries';
+import {makeSnapshot, rollbackLayer, commitLayer} from './mutate/rollback';
+import {getRetryDelay} from './transports/HTTPTransport';
+import {defaultPaginationWords} from './constants';
+
+const defaultGetToState = (store, stateKey) => store.getState()[stateKey];
+// navigator.onLine is only a hint, so a network error from the transport also counts as offline
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+// the server answered without running the mutation (eg it failed validation or the server is down)
+const isUnanswered = ({data, error}) => Boolean(error) && !data;
+// how long to wait before replaying the offline queue again when the server can't be reached
+const defaultReplayOptions = {
+  initialDelay: 1000,
+  maxDelay: 60000,
+  factor: 2,
+  jitter: true
 };
 
+// how a query uses the local data & the server
+const CACHE_FIRST = 'cache-first';
+const CACHE_AND_NETWORK = 'cache-and-network';
+const NETWORK_ONLY = 'network-only';
+const CACHE_ONLY = 'cache-only';
+const fetchPolicies = [CACHE_FIRST, CACHE_AND_NETWORK, NETWORK_ONLY, CACHE_ONLY];
+
 class Cashay {
   constructor() {
     // many mutations can share the same mutationName, making it hard to cache stuff without adding complexity
@@ -104,17 +154,64 @@ class Cashay {
     // }
     this.normalizedDeps = {};
 
-    // a Set of minimized query strings. Identical strings are ignored
-    this.pendingQueries = new Set();
+    // the components waiting on each in-flight request. Identical requests are only sent once
+    // const example = {
+    //   [pendingKey]: [{component, key, variables}]
+    // }
+    this.pendingQueries = {};
+
+    // the controllers to cancel the in-flight request of each pending query
+    // const example = {
+    //   [pendingKey]: abortController
+    // }
+    this._abortControllers = {};
+
+    // the key of the cashay sub-state in the redux state, used to tag every dispatched action
+    this.stateKey = DEFAULT_STATE_KEY;
+
+    // entities that survive garbage collection even if no query uses them
+    // const example = {
+    //   ['Pets::1']: retainCount
+    // }
+    this.retainedEntities = {};
+
+    // the number of server responses since the last automatic garbage collection
+    this._responsesSinceGC = 0;
+
+    // the queries waiting to be merged into 1 operation, for each transport
+    // const example = Map {
+    //   transport: [{operation, query, variables, resolve, reject}]
+    // }
+    this._mergeQueues = new Map();
+
+    // the promise of the replay in progress, so the offline queue is only replayed once at a time
+    this._replayingMutations = undefined;
+
+    // the next replay of the offline queue & the number of replays in a row that couldn't reach the server
+    this._replayTimeout = undefined;
+    this._replayRetries = 0;
+
+    // the optimistic updates still waiting on the server, in the order they were applied
+    // const example = [{
+    //   snapshot: {entities, result},
+    //   changes: {entities, result},
+    //   queueId: 1
+    // }]
+    this._optimisticLayers = [];
   }
 
 
-  create({store, httpTransport, priorityTransport, schema, getToState, paginationWords, idFieldName = 'id', debug}) {
+  create({store, httpTransport, priorityTransport, schema, getToState, stateKey, paginationWords, idFieldName = 'id',
+    pagination, typePolicies, cacheRedirects, clientResolvers, typeTTLs, autoGC, mergeQueries, offlineMutations, debug}) {
     // the redux store
     this.store = store || this.store;
 
+    // the reducer for this instance must be mounted with the same key (see createCashayReducer)
+    this.stateKey = stateKey || this.stateKey;
+
     // if a user-defined function is supplied, use it. otherwise, use what we already have (or the deafult)
-    this.getState = getToState ? () => getToState(this.store) : this.getState || (() => defaultGetToState(this.store));
+    this.getState = getToState ? () => getToState(this.store) :
+      this.getState || (() => defaultGetToState(this.store, this.stateKey));
 
     // the reserved arguments for cusor-based pagination
     this.paginationWords = Object.assign({}, defaultPaginationWords, paginationWords);
@@ -128,6 +225,45 @@ class Cashay {
 
     // the client graphQL schema
     this.schema = schema || this.schema;
+
+    // the pagination policy of each field, eg {[typeName]: {[fieldName]: {type: 'offset', limit: 'take'}}}
+    // fields without a policy use the paginationWords
+    this.pagination = pagination || this.pagination;
+    this.paginationPolicies = makePaginationPolicies(this.schema, this.pagination, this.paginationWords);
+
+    // the read & merge functions for the fields of each type, eg {[typeName]: {fields: {[fieldName]: {read, merge}}}}
+    this.typePolicies = typePolicies || this.typePolicies;
+    this.fieldPolicies = makeFieldPolicies(this.schema, this.typePolicies);
+    // the keyFields of each type, eg {Issue: ['orgId', 'number']}. types without them are keyed by the idFieldName
+    this.typeKeys = makeTypeKeys(this.schema, this.typePolicies);
+
+    // a function for each query that points its args to docs in the entities, eg {getPostById: args => ({...})}
+    this.cacheRedirects = makeCacheRedirects(this.schema, cacheRedirects || this.cacheRedirects);
+
+    // the functions that resolve the @client fields of each type, eg {PostType: {isSelected: (post, args, {state}) => {}}}
+    this.clientResolvers = makeClientResolvers(this.schema, clientResolvers || this.clientResolvers);
+
+    // the time-to-live in milliseconds for the entities of each type, eg {PostType: 60000}
+    this.typeTTLs = typeTTLs || this.typeTTLs;
+
+    // true to collect garbage after every server response, or a number to collect after every n responses
+    this.autoGC = autoGC === undefined ? this.autoGC : autoGC;
+
+    // if true, queries sent during the same tick are merged into a single operation
+    this.mergeQueries = mergeQueries === undefined ? this.mergeQueries : mergeQueries;
+
+    // if truthy, mutations that can't reach the server are queued & replayed once the connection returns
+    // an object sets the delays between replays, eg {initialDelay, maxDelay, factor, jitter}
+    this.offlineMutations = offlineMutations === undefined ? this.offlineMutations : offlineMutations;
+    this.replayOptions = {...defaultReplayOptions, ...(typeof this.offlineMutations === 'object' && this.offlineMutations)};
+    if (this.offlineMutations && !this._onlineListener && typeof window !== 'undefined' && window.addEventListener) {
+      this._onlineListener = () => this.replayMutations();
+      window.addEventListener('online', this._onlineListener);
+    }
+    // a queue restored from a persisted state won't get an online event if the browser is already online
+    if (this.offlineMutations && this.store && this.getState() && this._getOfflineQueue().length) {
+      this._scheduleReplay();
+    }
   }
 
   /**
@@ -138,6 +274,13 @@ class Cashay {
     this._willInvalidateListener = true;
   }
 
+  /**
+   * dispatch an action tagged with this instance's stateKey so only its own reducer picks it up
+   */
+  _dispatch = action => {
+    this.store.dispatch({...action, meta: {...action.meta, stateKey: this.stateKey}});
+  };
+
   getTransport(specificTransport) {
     return specificTransport || this.priorityTransport || this.httpTransport;
   }
@@ -149,30 +292,50 @@ class Cashay {
    * @param {String} queryString The GraphQL query string, exactly as you'd send it to a GraphQL server
    * @param {Object} options The optional objects to include with the query
    *
+   * @property {String} options.operationName The operation to run, if the queryString has many of them
    * @property {String} options.component A string to match the component.
    * @property {String} options.key A string to uniquely match the component insance.
+   * @property {String} options.fetchPolicy cache-first (default), cache-and-network, network-only, or cache-only
    * @property {Boolean} options.forceFetch is true if the query is to ignore all local data and fetch new data
    * @property {Function} options.transport The function used to send the data request to GraphQL, if different from default
    * @property {Object} options.variables are the variables sent along with the query
    * @property {Object} options.mutationHandlers the functions used to change the local data when a mutation occurs
    * @property {Object} options.customMutations if mutations are too complex to be autogenerated (rare), write them here
-   * @property {Boolean} options.localOnly if you only want to query the local cache, set this to true
+   * @property {Boolean} options.localOnly the same as a cache-only fetchPolicy
+   * @property {Number} options.ttl the time in milliseconds before the root queries go stale & get refetched
    *
-   * @returns {Object} The denormalized object like GraphQL would return, with additional `isComplete` and `firstRun` flags
+   * @returns {Object} The denormalized object like GraphQL would return, with additional `isComplete`, `isStale`,
+   * and `firstRun` flags
    *
    */
   query(queryString, options = {}) {
-    //if you call forceFetch in a mapStateToProps, you're gonna have a bad time (it'll refresh on EVERY dispatch)
-    const {key, forceFetch} = options;
-    // const forceFetch = Boolean(options.forceFetch);
+    const {key, ttl, operationName} = options;
+    const fetchPolicy = options.fetchPolicy || (options.localOnly ? CACHE_ONLY : CACHE_FIRST);
+    if (!fetchPolicies.includes(fetchPolicy)) {
+      throw new Error(`${fetchPolicy} is not a fetchPolicy. Try one of: ${fetchPolicies.join(', ')}`);
+    }
 
     // Each component can have only 1 unique queryString/variable combo. This keeps memory use minimal.
     // if 2 components have the same queryString/variable but a different component, it'll fetch twice
-    const component = options.component || queryString;
+    // each operation of a document is a different query, so they each get their own default component
+    const defaultComponent = operationName ? `${operationName}:${queryString}` : queryString;
+    const component = options.component || defaultComponent;
 
     // get the result, containing a response, queryString, and options to re-call the query
     const fastResult = this.cachedQueries[component];
 
+    // a client field reads the rest of the redux state, so rebuild the response if one of them would change
+    if (fastResult && fastResult.hasChangedClientFields(key)) {
+      this._flushResponse(component, key);
+    }
+
+    // if the local data outlived its TTL, treat it like a forceFetch. cache-only never goes to the server, so it can't be
+    const isStale = fetchPolicy !== CACHE_ONLY && Boolean(fastResult && fastResult.response && fastResult.isStale(key));
+
+    //if you call forceFetch in a mapStateToProps, you're gonna have a bad time (it'll refresh on EVERY dispatch)
+    // a network-only fetchPolicy is the way to ignore the local data just once for each set of variables
+    const forceFetch = options.forceFetch || isStale;
+
     // if we got local data cached already, send it back fast
     if (!forceFetch && fastResult && fastResult.response) {
       if (!key) {
@@ -192,11 +355,14 @@ class Cashay {
       const refetch = key => {
         this.query(queryString, {
           key,
+          operationName,
+          component,
           forceFetch: true,
           transport: this.getTransport(options.transport)
         });
       };
-      this.cachedQueries[component] = new CachedQuery(queryString, this.schema, this.idFieldName, refetch);
+      this.cachedQueries[component] =
+        new CachedQuery(queryString, this.schema, this.idFieldName, refetch, this.typeKeys, operationName);
       invalidateMutationsOnNewQuery(component, this.cachedMutations);
     }
 
@@ -207,18 +373,48 @@ class Cashay {
     const variables = getVariables(options.variables, cashayDataState, component, key, cachedQuery.response);
 
     // create an AST that we can mutate
-    const {paginationWords, idFieldName, schema} = this;
+    const {paginationWords, paginationPolicies, fieldPolicies, idFieldName, typeKeys, schema} = this;
+    const {cacheRedirects, clientResolvers} = this;
     const context = buildExecutionContext(cachedQuery.ast, {
       cashayDataState,
       variables,
       paginationWords,
+      paginationPolicies,
+      fieldPolicies,
       idFieldName,
+      typeKeys,
+      cacheRedirects,
+      clientResolvers,
+      getReduxState: () => this.store.getState(),
       schema
     });
+    // cache-and-network & network-only ask the server for everything once for each set of variables
+    // while that's out, the missing fields are on their way, so asking for them again would cancel it
+    const isAwaitingNetworkFetch = cachedQuery.isNetworkFetching(key);
+    const isNetworkFetch = (fetchPolicy === CACHE_AND_NETWORK || fetchPolicy === NETWORK_ONLY) &&
+      cachedQuery.needsNetworkFetch(key, variables);
+    if (isNetworkFetch) {
+      cachedQuery.startNetworkFetch(key, variables);
+    }
+
     // create a response with a denormalized response and a function to set the variables
-    cachedQuery.createResponse(context, component, key, this.store.dispatch, this.getState, forceFetch);
+    // a network-only response isn't complete until the server answers, even if the local data has everything
+    const isWaitingOnServer = forceFetch || fetchPolicy === NETWORK_ONLY && cachedQuery.isNetworkFetching(key);
+    cachedQuery.createResponse(context, component, key, this._dispatch, this.getState, isWaitingOnServer, isStale);
     const cachedResponse = key ? cachedQuery.response[key] : cachedQuery.response;
 
+    // remember which results this response reads so they survive garbage collection
+    cachedQuery.resultKeys[key || ''] = getResultKeys(context);
+
+    const needsMissingFields = !isAwaitingNetworkFetch && Boolean(context.operation.sendToServer);
+    const needsServer = forceFetch || isNetworkFetch || needsMissingFields;
+
+    // ignore the local data & ask the server for everything
+    if (forceFetch || isNetworkFetch) {
+      rebuildOriginalArgs(context.operation);
+      sendChildrenToServer(context.operation);
+    }
+
     // if this is a different query string but the same base query
     // eg in this one we request 1 more field
     // we'll want to add dependencies since we don't know when the server response will come back
@@ -226,23 +422,35 @@ class Cashay {
       // normalize the cachedResponse so we can add dependencies and stick it in the store
       const normalizedPartialResponse = normalizeResponse(cachedResponse.data, context);
       addDeps(normalizedPartialResponse, component, key, this.normalizedDeps, this.denormalizedDeps);
+
+      // while stale data is being refetched, don't expire it again. the server response will recreate it
+      const expiresAt = isStale ? undefined : getExpiresAt(context, normalizedPartialResponse.entities, ttl, this.typeTTLs);
+      cachedQuery.setExpiresAt(key, expiresAt);
+
+      // a response that was flushed & rebuilt can be made of data that outlived its TTL in the meantime
+      if (!isStale && fetchPolicy !== CACHE_ONLY && cachedQuery.isStale(key)) {
+        return this.query(queryString, {...options, component});
+      }
     }
 
     // if we need more data, get it from the server
-    if (!cachedResponse.isComplete) {
+    if (needsServer && fetchPolicy !== CACHE_ONLY) {
       // if a variable is a function, it may need info that comes from the updated cachedResponse
-      context.variables = getVariables(options.variables, cashayDataState, component, key, cachedResponse);
+      const nextVariables = getVariables(options.variables, cashayDataState, component, key, cachedResponse);
+      context.variables = getVariablesWithDefaults(context.operation, nextVariables);
 
       //  async query the server (no need to track the promise it returns, as it will change the redux state)
       const transport = this.getTransport(options.transport);
       if (!transport) {
-        throw new Error('Cashay requires a transport to query the server. If you want to query locally, use `localOnly: true`');
+        throw new Error('Cashay requires a transport to query the server. If you want to query locally, use a cache-only fetchPolicy');
       }
-      if (!options.localOnly) {
-        this.queryServer(transport, context, component, key);
+      this.queryServer(transport, context, component, key);
+      // the server wasn't asked after all (eg every field is @client), so the response shouldn't wait on it
+      if (isNetworkFetch && !cachedQuery.isNetworkFetching(key)) {
+        return this.query(queryString, {...options, component});
       }
     }
-    if (options.mutationHandlers && component === queryString) {
+    if (options.mutationHandlers && component === defaultComponent) {
       throw new Error(`'component' option is required when including 'mutationHandlers' for: ${queryString}`);
     }
     this._prepareMutations(component, cashayDataState.variables[component], options);
@@ -263,34 +471,80 @@ class Cashay {
    * @return {undefined}
    */
   async queryServer(transport, context, component, key) {
-    const {variables, operation, idFieldName, schema} = context;
-    const {dispatch} = this.store;
-    const minimizedQueryString = printMinimalQuery(operation, idFieldName, variables, component, schema);
+    const {variables, operation, idFieldName, typeKeys, schema} = context;
+    const minimizedQueryString = printMinimalQuery(operation, idFieldName, variables, component, schema, typeKeys);
     // bail if we can't do anything with the variables that we were given
-    if (!minimizedQueryString) return;
-    const basePendingQuery = this.pendingQueries[minimizedQueryString];
+    if (!minimizedQueryString) {
+      // nothing is coming back, so a network fetch is over before it started
+      this._finishNetworkFetches([{component, key}], true);
+      return;
+    }
+
+    // the @defer parts of the query come in a follow-up request, so a slow field doesn't hold up the rest
+    // if anything is deferred, the deferred part is the last one (& the only one if the rest is already local)
+    const partOperations = splitDeferredOperation(operation, context);
+    const requests = partOperations.map((partOperation, idx) => {
+      const queryString = partOperation === operation ? minimizedQueryString : print(partOperation);
+      const isDeferred = partOperation !== operation && idx === partOperations.length - 1;
+      return {operation: partOperation, queryString, pendingKey: getPendingKey(queryString, variables), isDeferred};
+    });
+
+    // the component changed its mind (eg new variables), so results for its older requests shouldn't be written
+    this._supersedePendingQueries(component, key, requests.map(request => request.pendingKey));
+    const sendRequest = request => this._queryServerPart(transport, context, component, key, request);
+    const wasAnswered = await Promise.all(requests.filter(request => !request.isDeferred).map(sendRequest));
+    // if the initial part got cancelled, nobody is waiting on the rest
+    if (wasAnswered.includes(false)) return;
+    await Promise.all(requests.filter(request => request.isDeferred).map(sendRequest));
+  }
+
+  /**
+   * send a single request for a query & put the response in the state.
+   * each piece of the response is dispatched as soon as it arrives, so a deferred part lands after the rest
+   *
+   * @returns {Boolean} false if the request was cancelled before it came back
+   */
+  async _queryServerPart(transport, context, component, key, {operation, queryString, pendingKey, isDeferred}) {
+    const {variables} = context;
+    const dispatch = this._dispatch;
+    const basePendingQuery = this.pendingQueries[pendingKey];
     if (basePendingQuery) {
       if (!equalPendingQueries(basePendingQuery, {component, key, variables})) {
         // bounce identical queries for different components
-        this.pendingQueries[minimizedQueryString].push({component, key, variables: clone(variables)});
+        this.pendingQueries[pendingKey].push({component, key, variables: clone(variables)});
       }
       // if it's the same component, it'll get updates when they come
       return;
     }
-    const pendingQuery = this.pendingQueries[minimizedQueryString] = [{component, key, variables: clone(variables)}];
-
-
-    // send minimizedQueryString to server and await minimizedQueryResponse
-    const {error, data} = await transport.handleQuery({query: minimizedQueryString, variables});
+    const pendingQuery = this.pendingQueries[pendingKey] = [{component, key, variables: clone(variables)}];
+    const abortController = this._abortControllers[pendingKey] = makeAbortController();
+
+    // send the query string to the server and await its response
+    // a deferred part is sent on its own, since merging it with other queries would make it wait on them
+    const {signal} = abortController;
+    const {error, data} = await this._sendQuery(transport, operation, queryString, variables, signal, !isDeferred);
+
+    // every component that asked for this unregistered or moved on while we waited
+    if (!pendingQuery.length || abortController.signal.aborted) {
+      // a newer, identical request may have taken its place
+      if (this.pendingQueries[pendingKey] === pendingQuery) {
+        this.pendingQueries[pendingKey] = undefined;
+      }
+      return false;
+    }
+    this._abortControllers[pendingKey] = undefined;
 
     // handle errors coming back from the server
     if (error) {
+      // the error sticks around, so a network-only response won't try again until its variables change
+      this._finishNetworkFetches(pendingQuery, false);
       for (let i = 0; i < pendingQuery.length; i++) {
         const {key, component} = pendingQuery[i];
         const cachedQuery = this.cachedQueries[component];
         const cachedResponse = key ? cachedQuery.response[key] : cachedQuery.response;
         cachedResponse.error = error;
       }
+      this.pendingQueries[pendingKey] = undefined;
       return dispatch({type: SET_ERROR, error});
     }
 
@@ -300,18 +554,34 @@ class Cashay {
     const normalizedLocalResponse = normalizeResponse(denormalizedLocalResponse, context);
 
     // normalize response to get ready to dispatch it into the state tree
-    const normalizedServerResponse = normalizeResponse(data, context);
+    // fields with a merge function decide how the new value combines with what's already in the state
+    const normalizedServerResponse = applyMergePolicies(normalizeResponse(data, context), this.getState().data, context);
 
     // reset the variables that normalizeResponse mutated TODO no longer necessary?
     context.variables = pendingQuery[pendingQuery.length - 1].variables;
 
+    // stamp everything the server sent, even if it looks identical to what we have, so it won't go stale
+    const fetchedAt = makeFetchedAt(context, normalizedServerResponse.entities, data, Date.now());
+
     // now, remove the objects that look identical to the ones already in the state
     // that way, if the incoming entity (eg Person.123) looks exactly like the one already in the store
     // we don't have to invalidate and rerender
     const normalizedServerResponseForStore = shortenNormalizedResponse(normalizedServerResponse, this.getState().data);
 
-    // if the server didn't give us any new stuff, we already set the vars, so we're done here
-    if (!normalizedServerResponseForStore) return;
+    // if the server didn't give us any new stuff, we already set the vars, so we only update the fetch times
+    if (!normalizedServerResponseForStore) {
+      this.pendingQueries[pendingKey] = undefined;
+      this._flushStaleResponses(pendingQuery);
+      this._finishNetworkFetches(pendingQuery, true);
+      dispatch({
+        type: INSERT_QUERY,
+        payload: {
+          response: null,
+          fetchedAt
+        }
+      });
+      return;
+    }
 
     // combine the partial response with the server response to fully respond to the query
     const fullNormalizedResponse = mergeStores(normalizedLocalResponse, normalizedServerResponse);
@@ -321,6 +591,9 @@ class Cashay {
     // now, we want to ask for the 20 again (but locally)
     rebuildOriginalArgs(context.operation);
 
+    // a network-only response is complete now, so it gets recreated with everything the server sent
+    this._finishNetworkFetches(pendingQuery, true);
+
     // since we debounced all duplicate queries, we still have to update all their deps
     for (let i = 0; i < pendingQuery.length; i++) {
       const {component, key, variables} = pendingQuery[i];
@@ -338,12 +611,305 @@ class Cashay {
         type: INSERT_QUERY,
         payload: {
           response: i === 0 && normalizedServerResponseForStore,
+          fetchedAt: i === 0 && fetchedAt,
           variables: stateVariables
         }
       });
     }
 
-    this.pendingQueries[minimizedQueryString] = undefined;
+    this.pendingQueries[pendingKey] = undefined;
+    this._autoCollectGarbage();
+  }
+
+  /**
+   * send a minimized query to the server, or wait for other queries to merge with it
+   */
+  _sendQuery(transport, operation, minimizedQueryString, variables, signal, canMerge = true) {
+    if (!this.mergeQueries || !canMerge) {
+      return transport.handleQuery({query: minimizedQueryString, variables}, {signal});
+    }
+    return new Promise((resolve, reject) => {
+      let mergeQueue = this._mergeQueues.get(transport);
+      if (!mergeQueue) {
+        mergeQueue = [];
+        this._mergeQueues.set(transport, mergeQueue);
+        setTimeout(() => this._flushMergeQueue(transport), 0);
+      }
+      // the operation gets mutated once the response comes back, so hold onto a copy
+      mergeQueue.push({operation: clone(operation), query: minimizedQueryString, variables, signal, resolve, reject});
+    });
+  }
+
+  async _flushMergeQueue(transport) {
+    const queue = this._mergeQueues.get(transport);
+    this._mergeQueues.delete(transport);
+    // cancelled queries never make it into the merged operation
+    const mergeQueue = [];
+    for (let i = 0; i < queue.length; i++) {
+      if (queue[i].signal.aborted) {
+        queue[i].resolve({data: null});
+      } else {
+        mergeQueue.push(queue[i]);
+      }
+    }
+    if (!mergeQueue.length) return;
+    if (mergeQueue.length === 1) {
+      const {query, variables, signal, resolve, reject} = mergeQueue[0];
+      transport.handleQuery({query, variables}, {signal}).then(resolve, reject);
+      return;
+    }
+    const mergedRequest = mergeQueries(mergeQueue);
+    const {signal, cleanup} = mergeSignals(mergeQueue.map(queued => queued.signal));
+    let mergedResult;
+    try {
+      mergedResult = await transport.fetchResult(mergedRequest, {signal});
+    } catch (e) {
+      for (let i = 0; i < mergeQueue.length; i++) {
+        mergeQueue[i].reject(e);
+      }
+      return;
+    } finally {
+      cleanup();
+    }
+    const {data, errors, networkError, aborted} = mergedResult;
+    for (let i = 0; i < mergeQueue.length; i++) {
+      const {operation, query, variables, resolve} = mergeQueue[i];
+      if (aborted) {
+        resolve(mergedResult);
+        continue;
+      }
+      // each query only gets the errors for the fields it asked for
+      const splitResult = {
+        data: data && splitMergedResponse(data, operation, i),
+        errors: splitMergedErrors(errors, operation, i),
+        networkError
+      };
+      resolve(transport.handleResult({query, variables}, splitResult));
+    }
+  }
+
+  /**
+   * a stale response is waiting on the server. if the server sent nothing new, recreate it with the new fetch times
+   */
+  _flushStaleResponses(pendingQuery) {
+    for (let i = 0; i < pendingQuery.length; i++) {
+      const {component, key} = pendingQuery[i];
+      const cachedQuery = this.cachedQueries[component];
+      const cachedResponse = cachedQuery && cachedQuery.response && (key ? cachedQuery.response[key] : cachedQuery.response);
+      if (cachedResponse && cachedResponse.isStale) {
+        if (key) {
+          cachedQuery.response[key] = undefined;
+        } else {
+          cachedQuery.response = undefined;
+        }
+      }
+    }
+  }
+
+  /**
+   * a cache-and-network or network-only fetch came back. if it was a success, recreate the responses that waited on it
+   */
+  _finishNetworkFetches(pendingQuery, flushResponses) {
+    for (let i = 0; i < pendingQuery.length; i++) {
+      const {component, key} = pendingQuery[i];
+      const cachedQuery = this.cachedQueries[component];
+      if (cachedQuery && cachedQuery.finishNetworkFetch(key) && flushResponses) {
+        this._flushResponse(component, key);
+      }
+    }
+  }
+
+  /**
+   * Tear down everything cached for a component, usually called when the component unmounts.
+   * The data stays in the redux state, so calling the query again is fast.
+   *
+   * @param {String} component the component option used to call the query
+   * @param {String} [key] if provided, only tear down that instance of the component
+   *
+   * @return {undefined}
+   */
+  unregister(component, key) {
+    const cachedQuery = this.cachedQueries[component];
+    if (!cachedQuery) return;
+
+    // stop flushing the component when new data arrives
+    removeDeps(component, key, this.normalizedDeps, this.denormalizedDeps);
+
+    // in-flight queries shouldn't add the deps back once they return
+    this._removePendingQueries(component, key);
+
+    if (key) {
+      if (cachedQuery.response) {
+        delete cachedQuery.response[key];
+      }
+      delete cachedQuery.expiresAt[key];
+      delete cachedQuery.resultKeys[key];
+      delete cachedQuery.clientFields[key];
+      delete cachedQuery.networkFetches[key];
+
+      // other instances of the component are still around
+      if (Object.keys(cachedQuery.resultKeys).length) return;
+    }
+    delete this.cachedQueries[component];
+
+    const mutationNames = Object.keys(this.mutationHandlers);
+    for (let i = 0; i < mutationNames.length; i++) {
+      const mutationName = mutationNames[i];
+      const componentHandlers = this.mutationHandlers[mutationName];
+      delete componentHandlers[component];
+      if (!Object.keys(componentHandlers).length) {
+        delete this.mutationHandlers[mutationName];
+      }
+    }
+
+    const cachedMutationNames = Object.keys(this.cachedMutations);
+    for (let i = 0; i < cachedMutationNames.length; i++) {
+      const cachedMutation = this.cachedMutations[cachedMutationNames[i]];
+      delete cachedMutation.singles[component];
+      if (cachedMutation.activeComponentsObj[component]) {
+        // the full mutation included the component, so it must be rebuilt without it
+        cachedMutation.clear();
+        cachedMutation.activeComponentsObj = {};
+      }
+    }
+  }
+
+  _removePendingQueries(component, key) {
+    const pendingKeys = Object.keys(this.pendingQueries);
+    for (let i = 0; i < pendingKeys.length; i++) {
+      this._removePendingQuery(pendingKeys[i], pending => {
+        return pending.component === component && (!key || pending.key === key);
+      });
+    }
+  }
+
+  /**
+   * stop waiting on the older requests of a component instance. if nobody else wants them, cancel them
+   */
+  _supersedePendingQueries(component, key, currentPendingKeys) {
+    const pendingKeys = Object.keys(this.pendingQueries);
+    for (let i = 0; i < pendingKeys.length; i++) {
+      // the same request is still good
+      if (currentPendingKeys.includes(pendingKeys[i])) continue;
+      this._removePendingQuery(pendingKeys[i], pending => pending.component === component && pending.key === key);
+    }
+  }
+
+  _removePendingQuery(pendingKey, shouldRemove) {
+    const pendingQuery = this.pendingQueries[pendingKey];
+    if (!pendingQuery || !pendingQuery.length) return;
+    // mutate the array in place since queryServer holds onto it
+    for (let j = pendingQuery.length - 1; j >= 0; j--) {
+      if (shouldRemove(pendingQuery[j])) {
+        pendingQuery.splice(j, 1);
+      }
+    }
+    if (!pendingQuery.length) {
+      const abortController = this._abortControllers[pendingKey];
+      this.pendingQueries[pendingKey] = undefined;
+      this._abortControllers[pendingKey] = undefined;
+      if (abortController) {
+        abortController.abort();
+      }
+    }
+  }
+
+  /**
+   * Keep an entity in the store even if no query uses it.
+   * Each call to retain must be matched by a call to release.
+   *
+   * @param {String} typeName the GraphQL type of the entity, eg PostType
+   * @param {String} id the key of the entity, which is the value of its idFieldName unless its type has keyFields
+   *
+   * @returns {Function} a function to release the entity
+   */
+  retain(typeName, id) {
+    const normalString = makeNormalString(typeName, id);
+    this.retainedEntities[normalString] = (this.retainedEntities[normalString] || 0) + 1;
+    return () => this.release(typeName, id);
+  }
+
+  release(typeName, id) {
+    const normalString = makeNormalString(typeName, id);
+    const retainCount = this.retainedEntities[normalString];
+    if (retainCount > 1) {
+      this.retainedEntities[normalString] = retainCount - 1;
+    } else {
+      delete this.retainedEntities[normalString];
+    }
+  }
+
+  /**
+   * Remove the entities and results that aren't reachable from a cached query, a subscription, or a retained entity.
+   *
+   * @returns {Object|undefined} the garbage that was removed, or undefined if there was nothing to remove
+   */
+  gc() {
+    const {paginationWords, paginationPolicies, schema} = this;
+    const garbage = findGarbage(this.getState().data, this._getGCRoots(), {paginationWords, paginationPolicies, schema});
+    if (!garbage) return;
+
+    // forget the dependencies of the removed entities, no component depends on them anymore
+    const typeNames = Object.keys(garbage.entities);
+    for (let i = 0; i < typeNames.length; i++) {
+      const typeName = typeNames[i];
+      const typeDeps = this.denormalizedDeps[typeName];
+      if (!typeDeps) continue;
+      for (let entityName of garbage.entities[typeName]) {
+        delete typeDeps[entityName];
+      }
+    }
+    this._dispatch({
+      type: COLLECT_GARBAGE,
+      payload: {garbage}
+    });
+    return garbage;
+  }
+
+  _autoCollectGarbage() {
+    if (!this.autoGC) return;
+    const collectEvery = this.autoGC === true ? 1 : this.autoGC;
+    if (++this._responsesSinceGC >= collectEvery) {
+      this._responsesSinceGC = 0;
+      this.gc();
+    }
+  }
+
+  _getGCRoots() {
+    const resultRoots = {};
+    const entityRoots = new Set(Object.keys(this.retainedEntities));
+    const components = Object.keys(this.cachedQueries);
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      const {resultKeys} = this.cachedQueries[component];
+      const responseKeys = Object.keys(resultKeys);
+      for (let j = 0; j < responseKeys.length; j++) {
+        for (let {queryName, argsKey} of resultKeys[responseKeys[j]]) {
+          resultRoots[queryName] = resultRoots[queryName] || new Set();
+          resultRoots[queryName].add(argsKey);
+        }
+      }
+
+      // the deps include entities from the partial response that are waiting on the server
+      const componentDeps = this.normalizedDeps[component];
+      const depSets = componentDeps instanceof Set ? [componentDeps] :
+        Object.keys(componentDeps || {}).map(key => componentDeps[key]);
+      for (let depSet of depSets) {
+        for (let dep of depSet) {
+          entityRoots.add(dep);
+        }
+      }
+    }
+
+    // subscriptions don't track args, so keep their whole result
+    const subscriptions = Object.keys(this.cachedSubscriptions);
+    for (let i = 0; i < subscriptions.length; i++) {
+      const {selections} = this.cachedSubscriptions[subscriptions[i]].ast.definitions[0].selectionSet;
+      for (let selection of selections) {
+        resultRoots[selection.name.value] = true;
+      }
+    }
+    return {resultRoots, entityRoots};
   }
 
   _prepareMutations(component, componentStateVars, {mutationHandlers, customMutations}) {
@@ -365,7 +931,10 @@ class Cashay {
         this.cachedMutations[mutationName] = this.cachedMutations[mutationName] || new CachedMutation();
         const cachedSingles = this.cachedMutations[mutationName].singles;
         if (!cachedSingles[component]) {
-          const mutationAST = parse(customMutations[mutationName]);
+          // a document can hold many custom mutations, so use the operation that calls this one
+          const mutationString = customMutations[mutationName];
+          const operationName = getOperationNameForField(mutationString, mutationName);
+          const mutationAST = parseOperation(mutationString, operationName);
           const {namespaceAST, variableEnhancers} = namespaceMutation(mutationAST, component, componentStateVars, this.schema);
           cachedSingles[component] = {
             ast: namespaceAST,
@@ -393,14 +962,217 @@ class Cashay {
     this._updateCachedMutation(mutationName, options);
 
     // optimistcally update
-    this._processMutationHandlers(mutationName, cachedMutation.activeComponentsObj, null, variables);
+    const layer = this._processMutationHandlers(mutationName, cachedMutation.activeComponentsObj, null, variables);
+    if (layer) {
+      this._optimisticLayers.push(layer);
+    }
     // if (options.localOnly) return;
 
+    // mutations must reach the server in order, so wait behind the ones that are already queued
+    if (this.offlineMutations && (isOffline() || this._getOfflineQueue().length)) {
+      // the queue might be waiting on a replay that never got scheduled (eg it was restored while online)
+      this._scheduleReplay();
+      return Promise.resolve(this._queueMutation(mutationName, options, layer));
+    }
+
     // async call the server
-    const {variableEnhancers} = this.cachedMutations[mutationName];
-    const namespacedVariables = variableEnhancers.reduce((enhancer, reduction) => enhancer(reduction), variables);
-    const newOptions = {...options, variables: namespacedVariables};
-    return this._mutateServer(mutationName, cachedMutation.activeComponentsObj, cachedMutation.fullMutation, newOptions);
+    return this._sendMutation(mutationName, options, layer).then(docFromServer => {
+      if (this.offlineMutations && docFromServer.networkError) {
+        // the browser may think it's online, so there might not be an online event to wait for
+        this._scheduleReplay();
+        return this._queueMutation(mutationName, options, layer);
+      }
+      return docFromServer;
+    });
+  }
+
+  _sendMutation(mutationName, options, layer) {
+    const {query, variables} = this._getMutationRequest(mutationName, options);
+    const {activeComponentsObj} = this.cachedMutations[mutationName];
+    return this._mutateServer(mutationName, activeComponentsObj, query, {...options, variables}, layer);
+  }
+
+  /**
+   * the mutation string & namespaced variables that go to the server, built from the components that are mounted now
+   */
+  _getMutationRequest(mutationName, options) {
+    const {fullMutation, variableEnhancers} = this.cachedMutations[mutationName];
+    const variables = variableEnhancers.reduce((enhancer, reduction) => enhancer(reduction), options.variables);
+    return {query: fullMutation, variables};
+  }
+
+  _getOfflineQueue() {
+    return this.getState().offlineQueue || [];
+  }
+
+  /**
+   * put a mutation in the offline queue in the redux state. Only serializable options are kept
+   */
+  _queueMutation(mutationName, options, layer) {
+    const offlineQueue = this._getOfflineQueue();
+    const lastMutation = offlineQueue[offlineQueue.length - 1];
+    const mutation = {
+      id: lastMutation ? lastMutation.id + 1 : 1,
+      mutationName,
+      variables: options.variables,
+      components: options.components,
+      // the components that built the mutation might not be mounted when it's replayed (eg after a reload)
+      request: this._getMutationRequest(mutationName, options),
+      queuedAt: Date.now(),
+      // copies, since the layer gets rebased when the layers around it are settled
+      snapshot: layer && clone(layer.snapshot),
+      changes: layer && clone(layer.changes)
+    };
+    if (layer) {
+      layer.queueId = mutation.id;
+    }
+    this._dispatch({
+      type: ENQUEUE_MUTATION,
+      payload: {mutation}
+    });
+    return {data: null, queued: true, id: mutation.id};
+  }
+
+  /**
+   * Send the mutations in the offline queue to the server, in order.
+   * Called automatically when the browser comes back online, and after a backoff delay when the server can't be reached.
+   * If the server rejects a mutation, its optimistic changes are rolled back & the next one is sent.
+   * If the server still can't be reached (or answers without running it), the replay stops & the rest of the queue waits for the next one.
+   *
+   * @returns {Promise} resolves with true if the queue was emptied
+   */
+  replayMutations() {
+    if (!this._replayingMutations) {
+      clearTimeout(this._replayTimeout);
+      this._replayTimeout = undefined;
+      const onDone = isQueueEmpty => {
+        this._replayingMutations = undefined;
+        if (isQueueEmpty === true) {
+          this._replayRetries = 0;
+        } else {
+          this._scheduleReplay();
+        }
+      };
+      this._replayingMutations = this._replayMutations();
+      this._replayingMutations.then(onDone, onDone);
+    }
+    return this._replayingMutations;
+  }
+
+  /**
+   * replay the offline queue after a delay that grows with every replay that can't reach the server.
+   * while the browser is offline, its online event takes care of it
+   */
+  _scheduleReplay() {
+    if (this._replayTimeout || isOffline() && this._onlineListener) return;
+    const delay = getRetryDelay(++this._replayRetries, this.replayOptions);
+    this._replayTimeout = setTimeout(() => {
+      this._replayTimeout = undefined;
+      this.replayMutations();
+    }, delay);
+  }
+
+  async _replayMutations() {
+    let offlineQueue = this._getOfflineQueue();
+
+    // after a reload, the optimistic layers only exist in the persisted queue
+    for (let i = 0; i < offlineQueue.length; i++) {
+      const {id, snapshot, changes} = offlineQueue[i];
+      if (snapshot && !this._optimisticLayers.some(layer => layer.queueId === id)) {
+        this._optimisticLayers.push({snapshot: clone(snapshot), changes, queueId: id});
+      }
+    }
+
+    while (offlineQueue.length) {
+      const {id, mutationName, components, request} = offlineQueue[0];
+      const layer = this._optimisticLayers.find(optimisticLayer => optimisticLayer.queueId === id);
+      // only the components that are mounted now get the response
+      const activeComponentsObj = new ActiveComponentsObj(mutationName, components, this.cachedQueries, this.mutationHandlers);
+      const options = {variables: request.variables, isReplay: true};
+      const docFromServer = await this._mutateServer(mutationName, activeComponentsObj, request.query, options, layer);
+      if (docFromServer.networkError || isUnanswered(docFromServer)) return false;
+      this._dispatch({
+        type: DEQUEUE_MUTATION,
+        payload: {id}
+      });
+      offlineQueue = this._getOfflineQueue();
+    }
+    return true;
+  }
+
+  /**
+   * undo the optimistic changes of a mutation that the server rejected.
+   * the optimistic changes of later mutations are kept
+   */
+  _rollbackLayer(layer, componentsToUpdateObj) {
+    const idx = this._optimisticLayers.indexOf(layer);
+    if (idx === -1) return;
+    const snapshot = rollbackLayer(this._optimisticLayers, idx);
+    this._dispatch({
+      type: ROLLBACK_MUTATION,
+      payload: {snapshot}
+    });
+    this._flushSnapshot(snapshot, componentsToUpdateObj);
+  }
+
+  /**
+   * make the components that saw the changes in a snapshot recompute their responses
+   */
+  _flushSnapshot(snapshot, componentsToUpdateObj) {
+    // the mutation handlers changed these responses in place
+    const handlerComponents = Object.keys(componentsToUpdateObj);
+    for (let i = 0; i < handlerComponents.length; i++) {
+      const component = handlerComponents[i];
+      const key = componentsToUpdateObj[component] === true ? undefined : componentsToUpdateObj[component];
+      this._flushResponse(component, key);
+    }
+
+    // the rest read the optimistic entities & results from the state
+    const typeNames = Object.keys(snapshot.entities);
+    for (let i = 0; i < typeNames.length; i++) {
+      const typeName = typeNames[i];
+      const typeDeps = this.denormalizedDeps[typeName];
+      if (!typeDeps) continue;
+      const entityNames = Object.keys(snapshot.entities[typeName]);
+      for (let j = 0; j < entityNames.length; j++) {
+        const entityDeps = typeDeps[entityNames[j]];
+        if (!entityDeps) continue;
+        if (entityDeps instanceof Set) {
+          for (let component of entityDeps) {
+            this._flushResponse(component);
+          }
+        } else {
+          const keyedComponents = Object.keys(entityDeps);
+          for (let k = 0; k < keyedComponents.length; k++) {
+            for (let key of entityDeps[keyedComponents[k]]) {
+              this._flushResponse(keyedComponents[k], key);
+            }
+          }
+        }
+      }
+    }
+    const components = Object.keys(this.cachedQueries);
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      const {resultKeys} = this.cachedQueries[component];
+      const responseKeys = Object.keys(resultKeys);
+      for (let j = 0; j < responseKeys.length; j++) {
+        const readsRolledBackResult = resultKeys[responseKeys[j]].some(({queryName}) => snapshot.result[queryName] !== undefined);
+        if (readsRolledBackResult) {
+          this._flushResponse(component, responseKeys[j] || undefined);
+        }
+      }
+    }
+  }
+
+  _flushResponse(component, key) {
+    const cachedQuery = this.cachedQueries[component];
+    if (!cachedQuery || !cachedQuery.response) return;
+    if (key) {
+      cachedQuery.response[key] = undefined;
+    } else {
+      cachedQuery.response = undefined;
+    }
   }
 
   _updateCachedMutation(mutationName, options) {
@@ -433,8 +1205,8 @@ class Cashay {
           const component = componentsToUpdateKeys[i];
           if (!cachedSingles[component]) {
             const queryOperation = this.cachedQueries[component].ast.definitions[0];
-            const mutationAST = createMutationFromQuery(queryOperation, mutationName, variables, this.schema);
             const componentStateVars = this.getState().data.variables[component];
+            const mutationAST = createMutationFromQuery(queryOperation, mutationName, variables, this.schema, componentStateVars);
             const {namespaceAST, variableEnhancers} = namespaceMutation(mutationAST, component, componentStateVars, this.schema);
             cachedSingles[component] = {
               ast: namespaceAST,
@@ -453,18 +1225,28 @@ class Cashay {
     }
   };
 
-  async _mutateServer(mutationName, componentsToUpdateObj, mutationString, options) {
-    const {variables} = options;
+  async _mutateServer(mutationName, componentsToUpdateObj, mutationString, options, layer) {
+    const {variables, isReplay} = options;
     const transport = this.getTransport(options.transport);
     const docFromServer = await transport.handleQuery({query: mutationString, variables});
     const {error, data} = docFromServer;
+    // an offline mutation gets queued instead of failing
+    if (error && docFromServer.networkError && this.offlineMutations) return docFromServer;
+    // a queued mutation stays in the queue until the server runs it
+    if (isReplay && isUnanswered(docFromServer)) return docFromServer;
     if (error) {
-      this.store.dispatch({type: SET_ERROR, error});
+      this._dispatch({type: SET_ERROR, error});
+      // the optimistic update guessed wrong
+      this._rollbackLayer(layer, componentsToUpdateObj);
     } else {
       // each mutation should return only 1 response, but it may be aliased
       const queryResponse = data[mutationName] || data[Object.keys(data)[0]];
       // update state with new doc from server
-      this._processMutationHandlers(mutationName, componentsToUpdateObj, queryResponse);
+      const confirmedLayer = this._processMutationHandlers(mutationName, componentsToUpdateObj, queryResponse);
+      const idx = this._optimisticLayers.indexOf(layer);
+      if (idx !== -1) {
+        commitLayer(this._optimisticLayers, idx, confirmedLayer && confirmedLayer.changes);
+      }
     }
     return docFromServer;
   }
@@ -522,7 +1304,7 @@ class Cashay {
         cachedResult.response = makeErrorFreeResponse(cachedResult.response);
       }
 
-      const {schema, paginationWords, idFieldName} = this;
+      const {schema, paginationWords, paginationPolicies, idFieldName, typeKeys} = this;
       let contextVars;
       if (key) {
         const stateVars = cashayDataState.variables[component][key];
@@ -539,7 +1321,9 @@ class Cashay {
       const context = buildExecutionContext(ast, {
         variables: contextVars,
         paginationWords,
+        paginationPolicies,
         idFieldName,
+        typeKeys,
         schema,
         cashayDataState
       });
@@ -556,13 +1340,18 @@ class Cashay {
     // dont invalidate other queries, they might not want it.
     // if they want it, they'll ask for it in their own listener
     if (normalizedServerResponseForStore) {
-      this.store.dispatch({
+      this._dispatch({
         type: INSERT_MUTATION,
         payload: {
           response: normalizedServerResponseForStore,
           variables: allVariables
         }
       });
+      // remember what it looked like, in case the change has to be undone
+      return {
+        snapshot: makeSnapshot(normalizedServerResponseForStore, cashayDataState),
+        changes: normalizedServerResponseForStore
+      };
     }
   }
 
@@ -582,6 +1371,7 @@ class Cashay {
       }
       const context = {
         paginationWords: this.paginationWords,
+        paginationPolicies: this.paginationPolicies,
         variables: stateVars,
         skipTransform: true,
         schema: this.schema
@@ -594,35 +1384,40 @@ class Cashay {
    *
    */
   subscribe(subscriptionString, subscriber, options) {
-    const component = options.component || subscriptionString;
-    const {key} = options;
+    const {key, operationName} = options;
+    const component = options.component || (operationName ? `${operationName}:${subscriptionString}` : subscriptionString);
     const fastCachedSub = this.cachedSubscriptions[component];
     // TODO add support for keys
     if (fastCachedSub) {
       return fastCachedSub.response;
     } else {
-      this.cachedSubscriptions[component] = new CachedSubscription(subscriptionString);
+      this.cachedSubscriptions[component] = new CachedSubscription(subscriptionString, operationName);
     }
     const cachedSubscription = this.cachedSubscriptions[component];
     const cashayDataState = this.getState().data;
-    const {paginationWords, idFieldName, schema} = this;
+    const {paginationWords, paginationPolicies, fieldPolicies, idFieldName, typeKeys, schema} = this;
     const variables = getVariables(options.variables, cashayDataState, component, key, cachedSubscription.response);
     const context = buildExecutionContext(cachedSubscription.ast, {
       cashayDataState,
       variables,
       paginationWords,
+      paginationPolicies,
+      fieldPolicies,
       idFieldName,
+      typeKeys,
       schema
     });
 
     const getCachedResult = () => cachedSubscription.response.data;
     const subscriptionHandlers = this.makeSubscriptionHandlers(component, key, variables);
-    const startSubscription = (subVars) => subscriber(subscriptionString, subVars, subscriptionHandlers, getCachedResult);
+    // the server only gets the operation that was picked out of the document
+    const operationString = operationName ? print(cachedSubscription.ast) : subscriptionString;
+    const startSubscription = (subVars) => subscriber(operationString, subVars, subscriptionHandlers, getCachedResult);
     const unsubscribe = startSubscription(variables, cachedSubscription.response.data);
     const {data} = denormalizeStore(context, true);
     return cachedSubscription.response = {
       data,
-      setVariables: setSubVariablesFactory(component, key, this.store.dispatch, this.getState, cachedSubscription, startSubscription),
+      setVariables: setSubVariablesFactory(component, key, this._dispatch, this.getState, cachedSubscription, startSubscription),
       unsubscribe
     };
   }
@@ -631,12 +1426,15 @@ class Cashay {
     const handleCreateNewData = (handler, path, document) => {
       const cachedSubscription = this.cachedSubscriptions[component];
       const cashayDataState = this.getState().data;
-      const {paginationWords, idFieldName, schema} = this;
+      const {paginationWords, paginationPolicies, fieldPolicies, idFieldName, typeKeys, schema} = this;
       const context = buildExecutionContext(cachedSubscription.ast, {
         cashayDataState,
         variables,
         paginationWords,
+        paginationPolicies,
+        fieldPolicies,
         idFieldName,
+        typeKeys,
         schema
       });
       const operations = context.operation.selectionSet.selections;
@@ -667,7 +1465,7 @@ class Cashay {
 
       // stick normalize data in store and recreate any invalidated denormalized structures
       const stateVariables = key ? {[component]: {[key]: variables}} : {[component]: variables};
-      this.store.dispatch({
+      this._dispatch({
         type: INSERT_QUERY,
         payload: {
           response: normalizedDocForStore,
@@ -695,4 +1493,22 @@ class Cashay {
     }
   }
 }
+
+/**
+ * Create an isolated cashay instance with its own store, schema, transports, and caches.
+ * Useful for SSR, where many requests are rendered at once & shouldn't share a cache.
+ *
+ * @param {Object} [options] the same options accepted by `cashay.create`
+ *
+ * @returns {Cashay} a new cashay instance
+ */
+export const createCashay = options => {
+  const cashay = new Cashay();
+  if (options) {
+    cashay.create(options);
+  }
+  return cashay;
+};
+
+// the default instance for apps that only need 1 cache
 export default new Cashay();
@@ -0,0 +1,62 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, makeTestServer, waitFor} from './testCashay';
+
+const postQuery = `
+  query ($postId: String!) {
+    getPostById(_id: $postId) {
+      title
+    }
+  }`;
+const postCountQuery = `{getPostCount}`;
+
+test('new variables cancel the request for the old ones & keep its response out of the state', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer({delay: 20});
+  const {cashay, store} = makeTestCashay(sendToServer);
+  const {setVariables} = cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  setVariables(() => ({postId: 'p124'}));
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  t.is(requests.length, 2);
+  t.true(requests[0].signal.aborted);
+  t.false(requests[1].signal.aborted);
+  await waitFor(isIdle);
+  const {data} = cashay.query(postQuery, {component: 'Post'});
+  t.is(data.getPostById._id, 'p124');
+  t.falsy(store.getState().cashay.data.entities.PostType.p126);
+});
+
+test('unregistering the only component that wants a request cancels it', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer({delay: 20});
+  const {cashay, store} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  cashay.unregister('Post');
+  t.true(requests[0].signal.aborted);
+  await waitFor(isIdle);
+  t.falsy(store.getState().cashay.data.entities.PostType);
+});
+
+test('a merged request keeps going while one of its queries is still wanted', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer({delay: 20});
+  const {cashay} = makeTestCashay(sendToServer, {mergeQueries: true});
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  cashay.query(postCountQuery, {component: 'PostCount'});
+  await waitFor(() => requests.length === 1);
+  cashay.unregister('Post');
+  t.false(requests[0].signal.aborted);
+  await waitFor(isIdle);
+  const {data, isComplete} = cashay.query(postCountQuery, {component: 'PostCount'});
+  t.true(isComplete);
+  t.is(typeof data.getPostCount, 'number');
+});
+
+test('a merged request is cancelled once all of its queries are', async t => {
+  const {requests, sendToServer} = makeTestServer({delay: 20});
+  const {cashay} = makeTestCashay(sendToServer, {mergeQueries: true});
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  cashay.query(postCountQuery, {component: 'PostCount'});
+  await waitFor(() => requests.length === 1);
+  t.regex(requests[0].query, /getPostCount/);
+  cashay.unregister('Post');
+  cashay.unregister('PostCount');
+  t.true(requests[0].signal.aborted);
+});
@@ -0,0 +1,48 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, makeTestServer, tick, waitFor} from './testCashay';
+
+const postQuery = `
+  query {
+    getPostById(_id: "p126") {
+      title
+      author @defer {
+        name
+      }
+    }
+  }`;
+const postCountQuery = `{getPostCount}`;
+
+test('the deferred part is a follow-up request that is never merged with other queries', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer, {mergeQueries: true});
+  cashay.query(postQuery, {component: 'Post'});
+  cashay.query(postCountQuery, {component: 'PostCount'});
+  await waitFor(() => requests.length === 2 && isIdle());
+  // the initial part of the post query is merged with the post count
+  t.regex(requests[0].query, /getPostCount/);
+  t.regex(requests[0].query, /title/);
+  t.false(/author/.test(requests[0].query));
+  // the deferred part went out after the rest came back, on its own
+  t.false(requests[1].sentWhileWaiting);
+  t.regex(requests[1].query, /author/);
+  t.false(/getPostCount|title/.test(requests[1].query));
+
+  const {data, isComplete} = cashay.query(postQuery, {component: 'Post'});
+  t.true(isComplete);
+  t.is(data.getPostById.title, 'How does cashay store denormalized data?');
+  t.is(data.getPostById.author.name, 'Joe J');
+});
+
+test('the rest of the query lands before the deferred part', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer({delay: 20});
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post'});
+  await waitFor(() => requests.length === 2);
+  const partial = cashay.query(postQuery, {component: 'Post'});
+  t.false(partial.isComplete);
+  t.is(partial.data.getPostById.title, 'How does cashay store denormalized data?');
+  await waitFor(isIdle);
+  await tick();
+  t.true(cashay.query(postQuery, {component: 'Post'}).isComplete);
+});
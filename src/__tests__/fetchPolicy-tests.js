@@ -0,0 +1,68 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, makeTestServer, waitFor} from './testCashay';
+
+const postQuery = `
+  query {
+    getPostById(_id: "p126") {
+      title
+    }
+  }`;
+const title = 'How does cashay store denormalized data?';
+
+// put the post in the state with a default query from another component
+const makePrimedCashay = async () => {
+  const server = makeTestServer();
+  const {cashay} = makeTestCashay(server.sendToServer);
+  cashay.query(postQuery, {component: 'Primer'});
+  await waitFor(() => server.requests.length === 1 && server.isIdle());
+  return {...server, cashay};
+};
+
+test('cache-first only asks the server for what is missing', async t => {
+  const {requests, cashay} = await makePrimedCashay();
+  const {data, isComplete} = cashay.query(postQuery, {component: 'Post', fetchPolicy: 'cache-first'});
+  t.true(isComplete);
+  t.is(data.getPostById.title, title);
+  t.is(requests.length, 1);
+});
+
+test('cache-and-network answers from the cache & asks the server once for each set of variables', async t => {
+  const {requests, isIdle, cashay} = await makePrimedCashay();
+  const {data, isComplete} = cashay.query(postQuery, {component: 'Post', fetchPolicy: 'cache-and-network'});
+  t.true(isComplete);
+  t.is(data.getPostById.title, title);
+  t.is(requests.length, 2);
+  await waitFor(isIdle);
+  cashay.query(postQuery, {component: 'Post', fetchPolicy: 'cache-and-network'});
+  t.is(requests.length, 2);
+});
+
+test('network-only waits on the server even if the cache has everything', async t => {
+  const {requests, isIdle, cashay} = await makePrimedCashay();
+  const firstResponse = cashay.query(postQuery, {component: 'Post', fetchPolicy: 'network-only'});
+  t.false(firstResponse.isComplete);
+  t.is(requests.length, 2);
+  await waitFor(isIdle);
+  const {data, isComplete} = cashay.query(postQuery, {component: 'Post', fetchPolicy: 'network-only'});
+  t.true(isComplete);
+  t.is(data.getPostById.title, title);
+  t.is(requests.length, 2);
+});
+
+test('cache-only never asks the server', async t => {
+  const {requests, sendToServer} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  const {isComplete} = cashay.query(postQuery, {component: 'Post', fetchPolicy: 'cache-only'});
+  t.false(isComplete);
+  t.is(requests.length, 0);
+});
+
+test('network-only is complete right away if nothing has to go to the server', t => {
+  const {requests, sendToServer} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  const {isComplete} = cashay.query(`{getPostCount @include(if: false)}`, {component: 'Post', fetchPolicy: 'network-only'});
+  t.true(isComplete);
+  t.false(cashay.cachedQueries.Post.isNetworkFetching());
+  t.is(requests.length, 0);
+});
@@ -0,0 +1,34 @@
+import test from 'ava';
+import 'babel-register';
+import {graphql} from 'graphql';
+import {makeTestCashay, waitFor} from './testCashay';
+import Schema from './schema';
+
+const postQuery = `
+  query ($postId: String!) {
+    getPostById(_id: $postId) {
+      title
+    }
+  }`;
+const postCountQuery = `{getPostCount}`;
+
+test('an error in a merged response only goes to the query that asked for the field', async t => {
+  const requests = [];
+  // the server refuses to resolve posts, but still answers the rest of the request
+  const sendToServer = async ({query, variables}) => {
+    requests.push(query);
+    const result = await graphql(Schema, query, null, null, variables);
+    const postKey = Object.keys(result.data).find(responseKey => /getPostById$/.test(responseKey));
+    result.data[postKey] = null;
+    return {...result, errors: [{message: 'Not allowed', path: [postKey]}]};
+  };
+  const {cashay} = makeTestCashay(sendToServer, {mergeQueries: true});
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p126'}});
+  cashay.query(postCountQuery, {component: 'PostCount'});
+  await waitFor(() => requests.length === 1 && cashay.cachedQueries.Post.response.error);
+  t.deepEqual(cashay.cachedQueries.Post.response.error, {errors: [{message: 'Not allowed', path: ['getPostById']}]});
+  const {isComplete, error, data} = cashay.query(postCountQuery, {component: 'PostCount'});
+  t.true(isComplete);
+  t.falsy(error);
+  t.is(typeof data.getPostCount, 'number');
+});
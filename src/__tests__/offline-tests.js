@@ -0,0 +1,127 @@
+import test from 'ava';
+import 'babel-register';
+import {graphql} from 'graphql';
+import {makeTestCashay, waitFor} from './testCashay';
+import Schema from './schema';
+
+// a server that can't reach the database for the first few mutations, even though nothing says the browser is offline
+// requests only holds the mutations, since the queries just set up the components
+const makeFlakyServer = failures => {
+  const server = {requests: []};
+  server.sendToServer = async ({query, variables}) => {
+    if (!/^\s*mutation/.test(query)) {
+      return graphql(Schema, query, null, null, variables);
+    }
+    server.requests.push({query, variables});
+    if (server.requests.length <= failures) {
+      return {data: null, errors: [{_error: 'Failed to fetch'}], networkError: true};
+    }
+    return server.answer ? server.answer() : graphql(Schema, query, null, null, variables);
+  };
+  return server;
+};
+
+const mutationOptions = {variables: {post: {_id: 'p126', title: 'Cashay stores it normalized'}}};
+
+const postQuery = `
+  query {
+    getPostById(_id: "p126") {
+      _id
+      title
+    }
+  }`;
+
+const mutationHandlers = {
+  updatePost(optimisticVariables, docFromServer, response) {
+    response.getPostById.title = docFromServer ? docFromServer.title : optimisticVariables.post.title;
+    return response;
+  }
+};
+
+// a mounted component gives the mutation something to select
+const makeEditorCashay = async (sendToServer, options) => {
+  const {cashay, store} = makeTestCashay(sendToServer, options);
+  await waitFor(() => cashay.query(postQuery, {component: 'PostEditor', mutationHandlers}).isComplete);
+  return {cashay, store};
+};
+
+test('a queued mutation is replayed with a growing delay until the server answers', async t => {
+  const {requests, sendToServer} = makeFlakyServer(3);
+  const {cashay, store} = await makeEditorCashay(sendToServer, {offlineMutations: {initialDelay: 10, jitter: false}});
+  const start = Date.now();
+  const result = await cashay.mutate('updatePost', mutationOptions);
+  t.true(result.queued);
+  await waitFor(() => !store.getState().cashay.offlineQueue.length, 10000);
+  t.is(requests.length, 4);
+  // 10ms, then 20ms, then 40ms
+  t.true(Date.now() - start >= 70);
+  t.is(cashay._replayRetries, 0);
+  t.falsy(cashay._replayTimeout);
+});
+
+test('replaying the queue by hand cancels the scheduled replay', async t => {
+  const {requests, sendToServer} = makeFlakyServer(1);
+  const {cashay} = await makeEditorCashay(sendToServer, {offlineMutations: {initialDelay: 60000}});
+  await cashay.mutate('updatePost', mutationOptions);
+  t.truthy(cashay._replayTimeout);
+  t.true(await cashay.replayMutations());
+  t.falsy(cashay._replayTimeout);
+  t.is(requests.length, 2);
+});
+
+test('a queue restored while online is replayed', async t => {
+  const flakyServer = makeFlakyServer(1);
+  const {cashay: reloadedCashay, store: reloadedStore} = await makeEditorCashay(flakyServer.sendToServer, {offlineMutations: {initialDelay: 60000}});
+  await reloadedCashay.mutate('updatePost', mutationOptions);
+  clearTimeout(reloadedCashay._replayTimeout);
+  const {requests, sendToServer} = makeFlakyServer(0);
+  const {store} = makeTestCashay(sendToServer, {offlineMutations: {initialDelay: 10, jitter: false}}, reloadedStore.getState().cashay);
+  t.is(store.getState().cashay.offlineQueue.length, 1);
+  await waitFor(() => !store.getState().cashay.offlineQueue.length);
+  t.is(requests.length, 1);
+});
+
+test('a mutation that waits behind the queue schedules a replay', async t => {
+  const {sendToServer} = makeFlakyServer(1);
+  const {cashay, store} = await makeEditorCashay(sendToServer, {offlineMutations: {initialDelay: 60000}});
+  await cashay.mutate('updatePost', mutationOptions);
+  clearTimeout(cashay._replayTimeout);
+  cashay._replayTimeout = undefined;
+  const result = await cashay.mutate('updatePost', mutationOptions);
+  t.true(result.queued);
+  t.is(store.getState().cashay.offlineQueue.length, 2);
+  t.truthy(cashay._replayTimeout);
+  clearTimeout(cashay._replayTimeout);
+});
+
+test('a queued mutation is replayed as it was sent, even if its component is gone', async t => {
+  const {requests, sendToServer} = makeFlakyServer(1);
+  const {cashay: reloadedCashay, store: reloadedStore} = await makeEditorCashay(sendToServer, {offlineMutations: {initialDelay: 60000}});
+  await reloadedCashay.mutate('updatePost', mutationOptions);
+  clearTimeout(reloadedCashay._replayTimeout);
+  const [queuedMutation] = reloadedStore.getState().cashay.offlineQueue;
+  t.regex(queuedMutation.request.query, /title/);
+
+  const {cashay, store} = makeTestCashay(sendToServer, {offlineMutations: {initialDelay: 10, jitter: false}}, reloadedStore.getState().cashay);
+  await waitFor(() => !store.getState().cashay.offlineQueue.length);
+  t.is(requests.length, 2);
+  t.is(requests[1].query, queuedMutation.request.query);
+  t.deepEqual(requests[1].variables, queuedMutation.request.variables);
+  const {data} = cashay.query(postQuery, {component: 'PostEditor'});
+  t.is(data.getPostById.title, mutationOptions.variables.post.title);
+});
+
+test('a replayed mutation that the server does not run stays in the queue', async t => {
+  const server = makeFlakyServer(1);
+  const {cashay, store} = await makeEditorCashay(server.sendToServer, {offlineMutations: {initialDelay: 60000}});
+  await cashay.mutate('updatePost', mutationOptions);
+  clearTimeout(cashay._replayTimeout);
+  cashay._replayTimeout = undefined;
+  server.answer = () => ({errors: [{message: 'Unknown argument "post" on field "updatePost".'}]});
+  t.false(await cashay.replayMutations());
+  t.is(store.getState().cashay.offlineQueue.length, 1);
+  t.is(store.getState().cashay.error, null);
+  t.is(cashay.query(postQuery, {component: 'PostEditor'}).data.getPostById.title, mutationOptions.variables.post.title);
+  t.truthy(cashay._replayTimeout);
+  clearTimeout(cashay._replayTimeout);
+});
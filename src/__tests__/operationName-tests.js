@@ -0,0 +1,43 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, makeTestServer, waitFor} from './testCashay';
+
+const postsDocument = `
+  query GetPost {
+    getPostById(_id: "p126") {
+      title
+    }
+  }
+  query GetPostCount {
+    getPostCount
+  }`;
+
+const mutationHandlers = {
+  updatePost(optimisticVariables, docFromServer, response) {
+    return response;
+  }
+};
+
+test('each operation of a document gets its own default component', async t => {
+  const {sendToServer, isIdle} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postsDocument, {operationName: 'GetPost'});
+  cashay.query(postsDocument, {operationName: 'GetPostCount'});
+  await waitFor(isIdle);
+  t.truthy(cashay.cachedQueries[`GetPost:${postsDocument}`]);
+  t.truthy(cashay.cachedQueries[`GetPostCount:${postsDocument}`]);
+});
+
+test('mutationHandlers require a component even with an operationName', t => {
+  const {sendToServer} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  t.throws(() => cashay.query(postsDocument, {operationName: 'GetPost', mutationHandlers}), /'component' option is required/);
+});
+
+test('mutationHandlers are kept for a component with an operationName', async t => {
+  const {sendToServer, isIdle} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postsDocument, {operationName: 'GetPost', component: 'Post', mutationHandlers});
+  await waitFor(isIdle);
+  t.is(cashay.mutationHandlers.updatePost.Post, mutationHandlers.updatePost);
+});
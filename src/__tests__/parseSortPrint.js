@@ -31,40 +31,44 @@ const recurse = astSelections => {
   astSelections.sort(sortFields);
 };
 
-// if true, b moves forward
+// negative if a goes first, positive if b goes first
 const sortFields = (a,b) => {
   if (a.alias) {
     if (b.alias) {
       // if both have aliases, sort them alphabetically
-      return a.alias.value > b.alias.value
+      return compareValues(a.alias.value, b.alias.value);
     }
     // if a has an alias, put it ahead of b
-    return false;
+    return -1;
   } else if (b.alias) {
     // if b has an alias, put it ahead of a
-    return true;
+    return 1;
   }
   if (a.name) {
     if (b.name) {
       // if both have names, sort them alphabetically
-      return a.name.value > b.name.value;
+      return compareValues(a.name.value, b.name.value);
     }
     // if a has a name, put it ahead of b
-    return false;
+    return -1;
   } else if (b.name) {
     // if b has a name, put it ahead of a
-    return true;
+    return 1;
   }
   if (a.selectionSet) {
     if (b.selectionSet) {
       // if both are inline frags, sort by the length
-      return a.selectionSet.selections.length > b.selectionSet.selections.length
+      return a.selectionSet.selections.length - b.selectionSet.selections.length;
     }
-    return false;
+    return -1;
   } else if (b.selectionSet) {
-    return true
+    return 1;
   }
+  return 0;
 };
+
+const compareValues = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
 // inline frags don't have names, so just stick em at the end
 // const sortField = field => (field.alias && field.alias.value) ||
 // (field.name && field.name.value) ||
@@ -0,0 +1,68 @@
+import test from 'ava';
+import 'babel-register';
+import {graphql} from 'graphql';
+import {makeTestCashay, waitFor} from './testCashay';
+import Schema from './schema';
+
+// a server that answers queries with the test schema & mutations with whatever answerMutation returns
+const makeServer = answerMutation => async ({query, variables}) => {
+  if (/^\s*mutation/.test(query) && answerMutation) {
+    return answerMutation();
+  }
+  return graphql(Schema, query, null, null, variables);
+};
+
+const postQuery = `
+  query {
+    getPostById(_id: "p126") {
+      _id
+      title
+    }
+  }`;
+
+const mutationHandlers = {
+  updatePost(optimisticVariables, docFromServer, response) {
+    response.getPostById.title = docFromServer ? docFromServer.title : optimisticVariables.post.title;
+    return response;
+  }
+};
+
+const newTitle = 'Cashay stores it normalized';
+const mutationOptions = {variables: {post: {_id: 'p126', title: newTitle}}};
+
+const makeEditorCashay = async answerMutation => {
+  const {cashay, store} = makeTestCashay(makeServer(answerMutation));
+  const queryEditor = () => cashay.query(postQuery, {component: 'PostEditor', mutationHandlers});
+  await waitFor(() => queryEditor().isComplete);
+  const getPost = () => store.getState().cashay.data.entities.PostType.p126;
+  return {cashay, store, queryEditor, getPost};
+};
+
+test('a mutation that the server rejects is rolled back', async t => {
+  const {cashay, store, queryEditor, getPost} = await makeEditorCashay(() => ({
+    data: {updatePost: null},
+    errors: [{message: 'Not allowed'}]
+  }));
+  const titleBefore = queryEditor().data.getPostById.title;
+  const postBefore = getPost();
+  const mutation = cashay.mutate('updatePost', mutationOptions);
+  t.is(queryEditor().data.getPostById.title, newTitle);
+  t.notDeepEqual(getPost(), postBefore);
+  t.is(cashay._optimisticLayers.length, 1);
+  await mutation;
+  t.deepEqual(getPost(), postBefore);
+  t.is(queryEditor().data.getPostById.title, titleBefore);
+  t.is(cashay._optimisticLayers.length, 0);
+  t.deepEqual(store.getState().cashay.error, {errors: [{message: 'Not allowed'}]});
+});
+
+test('a mutation that the server accepts commits its layer', async t => {
+  const {cashay, store, queryEditor} = await makeEditorCashay();
+  // the test schema saves it, so use a title the other test doesn't
+  const committedTitle = 'Cashay commits it';
+  await cashay.mutate('updatePost', {variables: {post: {_id: 'p126', title: committedTitle}}});
+  t.is(cashay._optimisticLayers.length, 0);
+  t.is(queryEditor().data.getPostById.title, committedTitle);
+  t.is(cashay.query(postQuery, {component: 'PostViewer'}).data.getPostById.title, committedTitle);
+  t.is(store.getState().cashay.error, null);
+});
@@ -64,7 +64,7 @@ const HasAuthorType = new GraphQLInterfaceType({
   resolveType: (obj) => {
     if (obj.title) {
       return PostType;
-    } else if (obj.replies) {
+    } else if (obj.postId) {
       return CommentType;
     }
   }
@@ -224,6 +224,36 @@ const RemovePostMutationPayload = new GraphQLObjectType({
   })
 });
 
+const PageInfoType = new GraphQLObjectType({
+  name: "PageInfo",
+  description: "Information about pagination in a connection",
+  fields: () => ({
+    hasNextPage: {type: new GraphQLNonNull(GraphQLBoolean)},
+    hasPreviousPage: {type: new GraphQLNonNull(GraphQLBoolean)},
+    startCursor: {type: GraphQLString},
+    endCursor: {type: GraphQLString}
+  })
+});
+
+const PostEdgeType = new GraphQLObjectType({
+  name: "PostEdge",
+  description: "An edge in a connection of posts",
+  fields: () => ({
+    cursor: {type: new GraphQLNonNull(GraphQLString)},
+    node: {type: PostType}
+  })
+});
+
+const PostConnectionType = new GraphQLObjectType({
+  name: "PostConnection",
+  description: "A relay-style connection of posts",
+  fields: () => ({
+    edges: {type: new GraphQLList(PostEdgeType)},
+    pageInfo: {type: new GraphQLNonNull(PageInfoType)},
+    totalCount: {type: GraphQLInt}
+  })
+});
+
 const NewPost = new GraphQLInputObjectType({
   name: "NewPost",
   description: "input object for a new post",
@@ -299,6 +329,47 @@ const Query = new GraphQLObjectType({
         return handlePaginationArgs(args, sortedPosts);
       }
     },
+    getRecentPostsConnection: {
+      type: PostConnectionType,
+      description: "Recent posts in the blog, as a connection",
+      args: {
+        beforeCursor: {type: GraphQLString, description: 'the cursor coming from the back'},
+        afterCursor: {type: GraphQLString, description: 'the cursor coming from the front'},
+        first: {type: GraphQLInt, description: "Limit the posts from the front"},
+        last: {type: GraphQLInt, description: "Limit the posts from the back"}
+      },
+      resolve(source, args) {
+        const sortedPosts = PostDB.sort((a, b) => b.createdAt - a.createdAt);
+        const {first, last} = args;
+        const count = first || last;
+        const posts = handlePaginationArgs(args, sortedPosts);
+        // handlePaginationArgs sends an extra doc if there are more
+        const hasMore = Boolean(count) && posts.length > count;
+        const page = !hasMore ? posts : first ? posts.slice(0, count) : posts.slice(1);
+        return {
+          edges: page.map(post => ({cursor: post.cursor, node: post})),
+          pageInfo: {
+            hasNextPage: Boolean(first) && hasMore,
+            hasPreviousPage: Boolean(last) && hasMore,
+            startCursor: page.length ? page[0].cursor : null,
+            endCursor: page.length ? page[page.length - 1].cursor : null
+          },
+          totalCount: PostDB.length
+        };
+      }
+    },
+    getRecentPostsByOffset: {
+      type: new GraphQLList(PostType),
+      description: "Recent posts in the blog, paginated with an offset instead of a cursor",
+      args: {
+        offset: {type: GraphQLInt, description: 'the number of posts to skip'},
+        limit: {type: GraphQLInt, description: 'the max number of posts to return'}
+      },
+      resolve(source, {offset = 0, limit}) {
+        const sortedPosts = PostDB.sort((a, b) => b.createdAt - a.createdAt);
+        return sortedPosts.slice(offset, limit === undefined ? undefined : offset + limit);
+      }
+    },
     getPostById: {
       type: PostType,
       description: "PostType by _id",
@@ -309,6 +380,31 @@ const Query = new GraphQLObjectType({
         return PostDB.find(doc => doc._id === _id);
       }
     },
+    getPostGrid: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(PostType))))),
+      description: "Recent posts in rows",
+      args: {
+        columns: {type: new GraphQLNonNull(GraphQLInt), description: "the number of posts in each row"}
+      },
+      resolve(source, {columns}) {
+        const sortedPosts = PostDB.sort((a, b) => b.createdAt - a.createdAt);
+        const rows = [];
+        for (let i = 0; i < sortedPosts.length; i += columns) {
+          rows.push(sortedPosts.slice(i, i + columns));
+        }
+        return rows;
+      }
+    },
+    getAuthoredById: {
+      type: HasAuthorType,
+      description: "A post or a comment by _id",
+      args: {
+        _id: {type: new GraphQLNonNull(GraphQLString)}
+      },
+      resolve: function(source, {_id}) {
+        return PostDB.find(doc => doc._id === _id) || CommentDB.find(doc => doc._id === _id);
+      }
+    },
     getGroup: {
       type: GroupType,
       args: {
@@ -0,0 +1,38 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, makeTestServer, tick, waitFor} from './testCashay';
+
+const postQuery = `
+  query {
+    getPostById(_id: "p126") {
+      title
+    }
+  }`;
+
+test('a stale response is refetched', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', ttl: 300});
+  await waitFor(isIdle);
+  t.false(cashay.query(postQuery, {component: 'Post', ttl: 300}).isStale);
+  await tick(400);
+  const {isStale, data} = cashay.query(postQuery, {component: 'Post', ttl: 300});
+  t.true(isStale);
+  t.is(data.getPostById.title, 'How does cashay store denormalized data?');
+  t.is(requests.length, 2);
+});
+
+test('a response rebuilt after a flush is refetched if its data went stale', async t => {
+  const {requests, sendToServer, isIdle} = makeTestServer();
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', ttl: 300});
+  await waitFor(isIdle);
+  await tick(400);
+  // eg other data that the response depends on came in
+  cashay._flushResponse('Post');
+  const {isStale} = cashay.query(postQuery, {component: 'Post', ttl: 300});
+  t.true(isStale);
+  t.is(requests.length, 2);
+  await waitFor(isIdle);
+  t.false(cashay.query(postQuery, {component: 'Post', ttl: 300}).isStale);
+});
@@ -0,0 +1,56 @@
+import {graphql} from 'graphql';
+import cashayReducer from '../normalize/duck';
+import {createCashay} from '../Cashay';
+import Transport from '../transports/Transport';
+import clientSchema from './clientSchema.json';
+import Schema from './schema';
+
+/**
+ * A cashay instance on a bare-bones redux store, so a test can call query & friends without react-redux
+ * sendToServer gets every request & returns the GraphQL response, just like it would for a Transport
+ * pass a cashayState to start from a restored state (eg one that redux-persist rehydrated)
+ */
+export const makeTestCashay = (sendToServer, options = {}, cashayState = cashayReducer(undefined, {type: '@@INIT'})) => {
+  let state = {cashay: cashayState};
+  const store = {
+    getState: () => state,
+    dispatch: action => {
+      state = {cashay: cashayReducer(state.cashay, action)};
+      return action;
+    }
+  };
+  const httpTransport = sendToServer && new Transport(sendToServer);
+  const cashay = createCashay({store, schema: clientSchema, httpTransport, idFieldName: '_id', ...options});
+  return {cashay, store};
+};
+
+/**
+ * A server that answers with the test schema & remembers every request it got
+ * each request also knows if another one was still in flight when it was sent
+ */
+export const makeTestServer = ({delay = 5} = {}) => {
+  const requests = [];
+  let inFlight = 0;
+  const sendToServer = async ({query, variables}, {signal} = {}) => {
+    requests.push({query, variables, signal, sentWhileWaiting: inFlight > 0});
+    inFlight++;
+    await tick(delay);
+    const result = await graphql(Schema, query, null, null, variables);
+    inFlight--;
+    return result;
+  };
+  return {requests, sendToServer, isIdle: () => inFlight === 0};
+};
+
+export const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// wait for the requests that are in flight to come back
+export const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the test condition');
+    }
+    await tick(5);
+  }
+};
@@ -0,0 +1,48 @@
+import test from 'ava';
+import 'babel-register';
+import {makeTestCashay, tick} from './testCashay';
+
+const postQuery = `
+  query($postId: String!) {
+    getPostById(_id: $postId) {
+      content
+    }
+  }`;
+const sendToServer = async ({variables}) => ({data: {getPostById: {_id: variables.postId, content: 'Hello world'}}});
+
+test('unregister removes the deps & the cached query of a component', async t => {
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', variables: {postId: 'p123'}});
+  await tick();
+  t.true(cashay.normalizedDeps.Post instanceof Set);
+  t.truthy(cashay.denormalizedDeps.PostType.p123);
+  cashay.unregister('Post');
+  t.falsy(cashay.normalizedDeps.Post);
+  t.falsy(cashay.denormalizedDeps.PostType.p123);
+  t.falsy(cashay.cachedQueries.Post);
+});
+
+test('unregister removes the deps of every key when it is not given a key', async t => {
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', key: 'p123', variables: {postId: 'p123'}});
+  cashay.query(postQuery, {component: 'Post', key: 'p124', variables: {postId: 'p124'}});
+  await tick();
+  t.deepEqual(Object.keys(cashay.normalizedDeps.Post).sort(), ['p123', 'p124']);
+  t.notThrows(() => cashay.unregister('Post'));
+  t.falsy(cashay.normalizedDeps.Post);
+  t.deepEqual(cashay.denormalizedDeps.PostType, {});
+  t.falsy(cashay.cachedQueries.Post);
+});
+
+test('unregister with a key leaves the other keys of the component alone', async t => {
+  const {cashay} = makeTestCashay(sendToServer);
+  cashay.query(postQuery, {component: 'Post', key: 'p123', variables: {postId: 'p123'}});
+  await tick();
+  cashay.query(postQuery, {component: 'Post', key: 'p124', variables: {postId: 'p124'}});
+  await tick();
+  cashay.unregister('Post', 'p123');
+  t.deepEqual(Object.keys(cashay.normalizedDeps.Post), ['p124']);
+  t.falsy(cashay.denormalizedDeps.PostType.p123);
+  t.deepEqual([...cashay.denormalizedDeps.PostType.p124.Post], ['p124']);
+  t.deepEqual(Object.keys(cashay.cachedQueries.Post.resultKeys), ['p124']);
+});
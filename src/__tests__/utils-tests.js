@@ -0,0 +1,19 @@
+import test from 'ava';
+import 'babel-register';
+import {parseDocument, MAX_PARSED_DOCUMENTS} from '../utils';
+
+test('a document is only parsed once', t => {
+  t.is(parseDocument('{getPostCount}'), parseDocument('{getPostCount}'));
+});
+
+test('the parsed documents that were used least recently are forgotten', t => {
+  const first = parseDocument('{getLatestPost {_id}}');
+  const second = parseDocument('{getLatestPostId}');
+  for (let i = 0; i < MAX_PARSED_DOCUMENTS; i++) {
+    // keep using the first one, so the second one is the oldest
+    parseDocument('{getLatestPost {_id}}');
+    parseDocument(`{getPostById(_id: "p${i}") {_id}}`);
+  }
+  t.is(parseDocument('{getLatestPost {_id}}'), first);
+  t.not(parseDocument('{getLatestPostId}'), second);
+});
@@ -0,0 +1,8 @@
+// the names of the pagination args, unless cashay.create gets different ones
+// it's shared with the cashay-queries CLI, which shouldn't have to load the whole client to print queries
+export const defaultPaginationWords = {
+  before: 'before',
+  after: 'after',
+  first: 'first',
+  last: 'last'
+};
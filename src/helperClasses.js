@@ -15,7 +15,7 @@ import {TypeKind} from 'graphql/type/introspection';
 import {SET_VARIABLES} from './normalize/duck';
 import denormalizeStore from './normalize/denormalizeStore';
 import parseAndInitializeQuery from './query/parseAndInitializeQuery';
-import {parse} from './utils';
+import {parseOperation} from './utils';
 
 const {LIST, NON_NULL} = TypeKind;
 
@@ -38,31 +38,102 @@ export class CachedMutation {
 }
 
 export class CachedSubscription {
-  constructor(subscriptionString) {
-    this.ast = parse(subscriptionString);
+  constructor(subscriptionString, operationName) {
+    this.ast = parseOperation(subscriptionString, operationName);
     this.response = {};
   }
 }
 
 export class CachedQuery {
-  constructor(queryString, schema, idFieldName, refetch) {
-    this.ast = parseAndInitializeQuery(queryString, schema, idFieldName);
+  constructor(queryString, schema, idFieldName, refetch, typeKeys, operationName) {
+    this.ast = parseAndInitializeQuery(queryString, schema, idFieldName, typeKeys, operationName);
     this.refetch = refetch;
     this.response = {};
+
+    // the time when each response goes stale, keyed by the response key ('' if there is no key)
+    this.expiresAt = {};
+
+    // the results that each response reads from data.result, keyed by the response key ('' if there is no key)
+    // const example = {
+    //   [key]: [{queryName, argsKey}]
+    // }
+    this.resultKeys = {};
+
+    // the @client fields that each response resolved, keyed by the response key ('' if there is no key)
+    // const example = {
+    //   [key]: [{resolve, value}]
+    // }
+    this.clientFields = {};
+
+    // the variables that each response last went to the server with, for the fetchPolicies that always fetch once
+    // const example = {
+    //   [key]: {variablesKey, isFetching}
+    // }
+    this.networkFetches = {};
+  }
+
+  /**
+   * a response is stale if the TTL of one of its root queries or entities has run out
+   */
+  isStale(key = '') {
+    const expiresAt = this.expiresAt[key];
+    return expiresAt !== undefined && expiresAt <= Date.now();
+  }
+
+  setExpiresAt(key = '', expiresAt) {
+    this.expiresAt[key] = expiresAt;
+  }
+
+  /**
+   * a cache-and-network or network-only response goes to the server once for each set of variables
+   */
+  needsNetworkFetch(key = '', variables) {
+    const networkFetch = this.networkFetches[key];
+    return !networkFetch || networkFetch.variablesKey !== JSON.stringify(variables);
+  }
+
+  startNetworkFetch(key = '', variables) {
+    this.networkFetches[key] = {variablesKey: JSON.stringify(variables), isFetching: true};
+  }
+
+  isNetworkFetching(key = '') {
+    const networkFetch = this.networkFetches[key];
+    return Boolean(networkFetch && networkFetch.isFetching);
+  }
+
+  /**
+   * @returns {Boolean} true if the response was waiting on the fetch
+   */
+  finishNetworkFetch(key = '') {
+    if (!this.isNetworkFetching(key)) return false;
+    this.networkFetches[key].isFetching = false;
+    return true;
+  }
+
+  /**
+   * a response has to be rebuilt if a client field would resolve to something new, eg the redux state it reads changed
+   * a resolver may build a new array or object every time, so values are compared by their contents
+   */
+  hasChangedClientFields(key = '') {
+    const clientFields = this.clientFields[key];
+    return Boolean(clientFields) && clientFields.some(({resolve, value}) => !isEqualValue(resolve(), value));
   }
 
   /**
    * create a denormalized document from local data
    * it also turns frags to inline, and flags missing objects and variableDefinitions in context.operation
    * the response also contains isComplete and firstRun booleans.
-   * isComplete is true if the request is resolved locally
+   * isComplete is true if the request is resolved locally (& for network-only, the server already answered)
    * firstRun is true if the none of the queries within the request have been executed before
+   * isStale is true if the local data outlived its TTL & is being refetched
    */
-  createResponse(context, component, key, dispatch, getState, forceFetch) {
+  createResponse(context, component, key, dispatch, getState, forceFetch, isStale = false) {
     const {data, firstRun} = denormalizeStore(context);
+    this.clientFields[key || ''] = context.clientFields;
     const response = {
       data,
       firstRun,
+      isStale,
       isComplete: !forceFetch && !context.operation.sendToServer,
       setVariables: this.setVariablesFactory(component, key, dispatch, getState)
     };
@@ -77,7 +148,7 @@ export class CachedQuery {
     return cb => {
       let stateVariables;
       if (key) {
-        this.response.key = undefined;
+        this.response[key] = undefined;
         const currentVariables = getState().data.variables[component][key];
         const variables = Object.assign({}, currentVariables, cb(currentVariables));
         stateVariables = {[component]: {[key]: variables}};
@@ -180,3 +251,17 @@ const processArgType = argType => {
   }
   return vardefType;
 }
+
+const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const aKeys = Object.keys(a);
+  if (aKeys.length !== Object.keys(b).length) return false;
+  for (let i = 0; i < aKeys.length; i++) {
+    const aKey = aKeys[i];
+    if (!b.hasOwnProperty(aKey) || !isEqualValue(a[aKey], b[aKey])) return false;
+  }
+  return true;
+};
@@ -1,5 +1,9 @@
-export cashayReducer from './normalize/duck';
-export cashay from './Cashay';
+export cashayReducer, {createCashayReducer} from './normalize/duck';
+export cashay, {createCashay} from './Cashay';
 export HTTPTransport from './transports/HTTPTransport';
+export BatchedHTTPTransport from './transports/BatchedHTTPTransport';
+export PersistedHTTPTransport from './transports/PersistedHTTPTransport';
+export hashQuery from './transports/hashQuery';
 export Transport from './transports/Transport';
 export transformSchema from './schema/transformSchema';
+export removeExpiredData, {createPersistTransform} from './normalize/removeExpiredData';
@@ -130,3 +130,71 @@ mutation {
     }
   }
 }`;
+
+export const queryAuthoredThroughInterface = `
+  query($_id: String!) {
+    getAuthoredById(_id: $_id) {
+      author {
+        name
+      }
+      ... on PostType {
+        title
+      }
+      ... on CommentType {
+        karma
+      }
+    }
+  }`;
+
+export const mutatePostThroughInterface = `
+mutation {
+  updatePost {
+    author {
+      name
+    }
+    title
+  }
+}`;
+
+export const queryPostWithDirectives = `
+  query($first: Int!, $withContent: Boolean!, $withAuthor: Boolean!) {
+    getRecentPosts(count: $first) {
+      _id,
+      content @include(if: $withContent),
+      author @include(if: $withAuthor) {
+        name
+      }
+    }
+  }`;
+
+export const mutatePostWithDirectives = `
+mutation {
+  createPost {
+    post {
+      _id,
+      content
+    }
+  }
+}`;
+
+export const queryPostWithClientFields = `
+  query($first: Int!) {
+    getRecentPosts(count: $first) {
+      _id,
+      isSelected @client,
+      content
+    }
+    ui @client {
+      theme
+    }
+  }`;
+
+export const mutatePostWithoutClientFields = `
+mutation {
+  createPost {
+    post {
+      _id,
+      content
+    }
+  }
+}`;
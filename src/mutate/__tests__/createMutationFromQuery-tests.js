@@ -21,7 +21,13 @@ import {
   queryPostWithInlineFieldVars,
   mutatePostWithInlineFieldVars,
   queryMultiplePosts,
-  mutationForMultiplePosts
+  mutationForMultiplePosts,
+  queryAuthoredThroughInterface,
+  mutatePostThroughInterface,
+  queryPostWithDirectives,
+  mutatePostWithDirectives,
+  queryPostWithClientFields,
+  mutatePostWithoutClientFields
 } from './createMutationFromQuery-data';
 
 test('creates basic mutation from a query of many comments', t => {
@@ -179,3 +185,28 @@ test('creates payload mutation from multi-part query', t => {
   const actual = sortPrint(actualAST);
   t.is(actual, expected);
 });
+
+test('creates mutation from a query that selects the type through an interface', t => {
+  const queryAST = parse(queryAuthoredThroughInterface);
+  const expected = parseSortPrint(mutatePostThroughInterface);
+  const actualAST = createMutationFromQuery(queryAST.definitions[0], 'updatePost', {}, clientSchema);
+  const actual = sortPrint(actualAST);
+  t.is(actual, expected);
+});
+
+test('creates mutation without the selections that the query variables skip', t => {
+  const queryAST = parse(queryPostWithDirectives);
+  const expected = parseSortPrint(mutatePostWithDirectives);
+  const queryVariables = {first: 5, withContent: true, withAuthor: false};
+  const actualAST = createMutationFromQuery(queryAST.definitions[0], 'createPost', {}, clientSchema, queryVariables);
+  const actual = sortPrint(actualAST);
+  t.is(actual, expected);
+});
+
+test('creates mutation without the client fields of the query', t => {
+  const queryAST = parse(queryPostWithClientFields);
+  const expected = parseSortPrint(mutatePostWithoutClientFields);
+  const actualAST = createMutationFromQuery(queryAST.definitions[0], 'createPost', {}, clientSchema, {first: 5});
+  const actual = sortPrint(actualAST);
+  t.is(actual, expected);
+});
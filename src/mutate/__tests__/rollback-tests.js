@@ -0,0 +1,168 @@
+import 'babel-register';
+import test from 'ava';
+import {makeSnapshot, restoreSnapshot, rollbackLayer, commitLayer} from '../rollback';
+
+const cashayDataState = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', title: 'Hello'},
+      p124: {_id: 'p124', title: 'Hi'}
+    }
+  },
+  result: {
+    getRecentPosts: ['PostType::p123', 'PostType::p124']
+  },
+  variables: {}
+};
+
+const optimisticChanges = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', title: 'Hello!', karma: 1},
+      p125: {_id: 'p125', title: 'New'}
+    }
+  },
+  result: {
+    getRecentPosts: ['PostType::p125', 'PostType::p123', 'PostType::p124'],
+    getPostCount: 3
+  }
+};
+
+test('snapshot saves only the fields the changes write, with null for new results', t => {
+  const expected = {
+    entities: {
+      PostType: {
+        p123: {fields: {_id: 'p123', title: 'Hello'}, added: ['karma']},
+        p125: {fields: {}, added: ['_id', 'title']}
+      }
+    },
+    result: {
+      getRecentPosts: {value: ['PostType::p123', 'PostType::p124']},
+      getPostCount: null
+    }
+  };
+  t.deepEqual(makeSnapshot(optimisticChanges, cashayDataState), expected);
+});
+
+test('restoring a snapshot replaces docs & removes the ones that were added', t => {
+  const snapshot = makeSnapshot(optimisticChanges, cashayDataState);
+  const optimisticState = {
+    ...cashayDataState,
+    entities: {
+      PostType: {
+        ...cashayDataState.entities.PostType,
+        ...optimisticChanges.entities.PostType
+      }
+    },
+    result: optimisticChanges.result
+  };
+  t.deepEqual(restoreSnapshot(optimisticState, snapshot), cashayDataState);
+});
+
+const afterSecond = {entities: {PostType: {p123: {_id: 'p123', title: 'First', karma: 1}}}, result: {}};
+
+const makeLayers = () => {
+  const base = {entities: {PostType: {p123: {_id: 'p123', title: 'Hello', karma: 0}}}, result: {}};
+  const firstChanges = {entities: {PostType: {p123: {title: 'First'}}}};
+  const afterFirst = {entities: {PostType: {p123: {_id: 'p123', title: 'First', karma: 0}}}, result: {}};
+  const secondChanges = {entities: {PostType: {p123: {karma: 1}}}};
+  return [
+    {snapshot: makeSnapshot(firstChanges, base), changes: firstChanges},
+    {snapshot: makeSnapshot(secondChanges, afterFirst), changes: secondChanges}
+  ];
+};
+
+test('rolling back a layer keeps the changes of the layers after it', t => {
+  const layers = makeLayers();
+  const restore = rollbackLayer(layers, 0);
+  t.deepEqual(restoreSnapshot(afterSecond, restore).entities.PostType.p123, {_id: 'p123', title: 'Hello', karma: 1});
+  t.is(layers.length, 1);
+  const undoSecond = rollbackLayer(layers, 0);
+  t.deepEqual(restoreSnapshot(afterSecond, undoSecond).entities.PostType.p123, {_id: 'p123', title: 'First', karma: 0});
+});
+
+test('rolling back a layer rebases a later layer that wrote the same field', t => {
+  const base = {entities: {PostType: {p123: {_id: 'p123', title: 'Hello'}}}, result: {}};
+  const firstChanges = {entities: {PostType: {p123: {title: 'First'}}}};
+  const afterFirst = {entities: {PostType: {p123: {_id: 'p123', title: 'First'}}}, result: {}};
+  const secondChanges = {entities: {PostType: {p123: {title: 'Second'}}}};
+  const layers = [
+    {snapshot: makeSnapshot(firstChanges, base), changes: firstChanges},
+    {snapshot: makeSnapshot(secondChanges, afterFirst), changes: secondChanges}
+  ];
+  const restore = rollbackLayer(layers, 0);
+  t.deepEqual(restore.entities.PostType.p123, {fields: {title: 'Second'}, added: []});
+  // the later layer no longer remembers the rolled back title
+  t.deepEqual(layers[0].snapshot.entities.PostType.p123, {fields: {title: 'Hello'}, added: []});
+});
+
+test('committing a layer puts the server response in the snapshots of later layers', t => {
+  const base = {entities: {PostType: {p123: {_id: 'p123', title: 'Hello'}}}, result: {}};
+  const firstChanges = {entities: {PostType: {p123: {title: 'First'}}}};
+  const afterFirst = {entities: {PostType: {p123: {_id: 'p123', title: 'First'}}}, result: {}};
+  const secondChanges = {entities: {PostType: {p123: {title: 'Second'}}}};
+  const layers = [
+    {snapshot: makeSnapshot(firstChanges, base), changes: firstChanges},
+    {snapshot: makeSnapshot(secondChanges, afterFirst), changes: secondChanges}
+  ];
+  commitLayer(layers, 0, {entities: {PostType: {p123: {title: 'First from server'}}}});
+  t.is(layers.length, 1);
+  const restore = rollbackLayer(layers, 0);
+  t.deepEqual(restoreSnapshot(afterFirst, restore).entities.PostType.p123, {_id: 'p123', title: 'First from server'});
+});
+
+test('a rollback keeps the fields & argsKeys that arrived after the optimistic update', t => {
+  const before = {
+    entities: {PostType: {p123: {_id: 'p123', title: 'Hello'}}},
+    result: {getPostCount: 2, getPostById: {'{"_id":"p123"}': 'PostType::p123'}}
+  };
+  const changes = {
+    entities: {PostType: {p123: {title: 'Hello!'}}},
+    result: {getPostCount: 3, getPostById: {'{"_id":"p125"}': 'PostType::p125'}}
+  };
+  const snapshot = makeSnapshot(changes, before);
+  // a query response lands before the server rejects the mutation
+  const current = {
+    entities: {PostType: {p123: {_id: 'p123', title: 'Hello!', karma: 5}}},
+    result: {
+      getPostCount: 3,
+      getPostById: {
+        '{"_id":"p123"}': 'PostType::p123',
+        '{"_id":"p124"}': 'PostType::p124',
+        '{"_id":"p125"}': 'PostType::p125'
+      }
+    }
+  };
+  const expected = {
+    entities: {PostType: {p123: {_id: 'p123', title: 'Hello', karma: 5}}},
+    result: {
+      getPostCount: 2,
+      getPostById: {
+        '{"_id":"p123"}': 'PostType::p123',
+        '{"_id":"p124"}': 'PostType::p124'
+      }
+    }
+  };
+  t.deepEqual(restoreSnapshot(current, snapshot), expected);
+});
+
+test('a rollback removes the fetch times of the docs & argsKeys it removes', t => {
+  const before = {
+    entities: {PostType: {}},
+    result: {getPostById: {'{"_id":"p123"}': 'PostType::p123'}},
+    fetchedAt: {entities: {PostType: {}}, result: {getPostById: {'{"_id":"p123"}': 1}}}
+  };
+  const changes = {
+    entities: {PostType: {p125: {_id: 'p125', title: 'New'}}},
+    result: {getPostById: {'{"_id":"p125"}': 'PostType::p125'}}
+  };
+  const snapshot = makeSnapshot(changes, before);
+  const current = {
+    entities: {PostType: {p125: {_id: 'p125', title: 'New'}}},
+    result: {getPostById: {'{"_id":"p123"}': 'PostType::p123', '{"_id":"p125"}': 'PostType::p125'}},
+    fetchedAt: {entities: {PostType: {p125: 2}}, result: {getPostById: {'{"_id":"p123"}': 1, '{"_id":"p125"}': 2}}}
+  };
+  const restored = restoreSnapshot(current, snapshot);
+  t.deepEqual(restored.entities.PostType, {});
+  t.deepEqual(restored.fetchedAt, before.fetchedAt);
+});
@@ -1,4 +1,4 @@
-import {ensureRootType, clone} from '../utils';
+import {ensureRootType, clone, getVariablesWithDefaults} from '../utils';
 import {MutationShell, Field} from '../helperClasses';
 import {mergeSelections} from './mergeMutations';
 import {TypeKind} from 'graphql/type/introspection';
@@ -8,7 +8,9 @@ import makeArgsFromVars from './makeArgsFromVars';
 const {SCALAR} = TypeKind;
 
 
-export default function createMutationFromQuery(operation, mutationName, mutationVariables = {}, schema) {
+// the query variables decide which selections the @skip & @include directives leave out
+export default function createMutationFromQuery(operation, mutationName, mutationVariables = {}, schema, variables) {
+  const queryVariables = getVariablesWithDefaults(operation, variables);
   const mutationFieldSchema = schema.mutationSchema.fields[mutationName];
   const mutationResponseType = ensureRootType(mutationFieldSchema.type);
   const mutationResponseSchema = schema.types[mutationResponseType.name];
@@ -19,18 +21,18 @@ export default function createMutationFromQuery(operation, mutationName, mutatio
   const mutationAST = new MutationShell(mutationName, mutationArgs);
 
   // Assume the mutationResponseSchema is a single type (opposed to a payload full of many types)
-  const simpleSelections = trySimplePayload(mutationResponseSchema.name, operation, schema);
+  const simpleSelections = trySimplePayload(mutationResponseSchema.name, operation, schema, queryVariables);
   if (simpleSelections) {
     mutationAST.definitions[0].selectionSet.selections[0].selectionSet.selections = simpleSelections;
     return mutationAST;
   }
 
   // guess it's full of many types!
-  return tryComplexPayload(mutationAST, operation, mutationResponseSchema, schema);
+  return tryComplexPayload(mutationAST, operation, mutationResponseSchema, schema, queryVariables);
 };
 
-const trySimplePayload = (typeName, operation, schema) => {
-  const selectionsInQuery = findTypeInQuery(typeName, operation, schema);
+const trySimplePayload = (typeName, operation, schema, queryVariables) => {
+  const selectionsInQuery = findTypeInQuery(typeName, operation, schema, undefined, queryVariables);
   if (selectionsInQuery.length) {
     const allSelections = flattenFoundSelections(selectionsInQuery);
     // TODO for simple payloads, I think pushing a clone of allSelections is good enough
@@ -38,7 +40,7 @@ const trySimplePayload = (typeName, operation, schema) => {
   }
 };
 
-const tryComplexPayload = (mutationAST, operation, mutationResponseSchema, schema) => {
+const tryComplexPayload = (mutationAST, operation, mutationResponseSchema, schema, queryVariables) => {
   let atLeastOne = false;
 
   // the payload itself isn't used, since it's just a shell for the many fields inside
@@ -53,7 +55,7 @@ const tryComplexPayload = (mutationAST, operation, mutationResponseSchema, schem
 
     // For scalars, make sure the names match (don't want a million strings in the mutation request)
     const matchName = rootPayloadFieldType.kind === SCALAR && payloadField.name;
-    const selectionsInQuery = findTypeInQuery(rootPayloadFieldType.name, operation, schema, matchName);
+    const selectionsInQuery = findTypeInQuery(rootPayloadFieldType.name, operation, schema, matchName, queryVariables);
     if (selectionsInQuery.length) {
       atLeastOne = true;
       const allSelections = matchName ? selectionsInQuery : flattenFoundSelections(selectionsInQuery);
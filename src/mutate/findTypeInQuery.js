@@ -1,5 +1,12 @@
 import {INLINE_FRAGMENT} from 'graphql/language/kinds';
-import {ensureRootType} from '../utils'
+import {
+  ensureRootType,
+  isAbstractType,
+  isClientField,
+  isFragmentOfType,
+  isCashayDirective,
+  isSelectionIncluded
+} from '../utils'
 /**
  * Traverses a query AST operation looking for a specific type (for objects) or name (for scalars)
  * Uses a BFS since return values are likely high up the tree & scalars can break as soon as a matching name is found
@@ -8,10 +15,11 @@ import {ensureRootType} from '../utils'
  * @param {Object} operation the request AST's definition to traverse
  * @param {Object} schema the cashay client schema
  * @param {String} [matchName] if provided, it will match by typeName AND matchName (used for scalars)
+ * @param {Object} [variables] the variables of the query, used to leave out the selections that @skip or @include drop
  *
  * @returns {Array} a bag full of selections whose children will be added to the mutation response
  */
-export default function findTypeInQuery(typeName, operation, schema, matchName) {
+export default function findTypeInQuery(typeName, operation, schema, matchName, variables) {
   const bag = [];
   const queue = [];
   let next = {
@@ -24,9 +32,11 @@ export default function findTypeInQuery(typeName, operation, schema, matchName)
       const {selections} = operation.selectionSet;
       for (let i = 0; i <  selections.length; i++) {
         const selection = selections[i];
+        if (!isSelectionIncluded(selection, variables) || isClientField(selection)) continue;
         let subSchema;
         if (selection.kind === INLINE_FRAGMENT) {
-          subSchema = typeSchema;
+          const {typeCondition} = selection;
+          subSchema = typeCondition ? schema.types[typeCondition.name.value] : typeSchema;
         } else {
           const selectionName = selection.name.value;
           const fieldSchema = typeSchema.fields[selectionName];
@@ -40,8 +50,11 @@ export default function findTypeInQuery(typeName, operation, schema, matchName)
                 return bag;
               }
             } else {
-              bag.push(selection);
+              bag.push(withoutLocalSelections(selection, variables));
             }
+          } else if (!matchName && isAbstractType(subSchema) && subSchema.possibleTypes[typeName]) {
+            // a union or interface that can be the type, eg a mutation on a PostType can reuse the fields of a Node
+            bag.push(selectForType(withoutLocalSelections(selection, variables), schema.types[typeName], schema));
           }
         }
         queue.push({
@@ -54,3 +67,32 @@ export default function findTypeInQuery(typeName, operation, schema, matchName)
   }
   return bag;
 };
+
+// fragments on the other types of a union or interface can't go in a mutation that returns a single type
+// & the fragment on the type itself isn't needed, so its fields join the others
+const selectForType = (selection, typeSchema, schema) => {
+  const selections = [];
+  for (let child of selection.selectionSet.selections) {
+    if (child.kind !== INLINE_FRAGMENT) {
+      selections.push(child);
+    } else if (child.typeCondition && child.typeCondition.name.value === typeSchema.name) {
+      selections.push(...child.selectionSet.selections);
+    } else if (isFragmentOfType(child, typeSchema, schema)) {
+      selections.push(child);
+    }
+  }
+  return {...selection, selectionSet: {...selection.selectionSet, selections}};
+};
+
+// the mutation doesn't have the variables of the query, so its directives are evaluated now & left behind
+// client fields & @defer stay behind too, since the mutation is a single request to the server
+const withoutLocalSelections = (selection, variables) => {
+  if (!selection.selectionSet) return selection;
+  const selections = [];
+  for (let child of selection.selectionSet.selections) {
+    if (!isSelectionIncluded(child, variables) || isClientField(child)) continue;
+    const directives = child.directives && child.directives.filter(directive => !isCashayDirective(directive));
+    selections.push(withoutLocalSelections({...child, directives}, variables));
+  }
+  return {...selection, selectionSet: {...selection.selectionSet, selections}};
+};
@@ -11,7 +11,7 @@ export default function makeFriendlyStore(rawState, typeName, context) {
     for (let i = 0; i < typeKeys.length; i++) {
       const typeKey = typeKeys[i];
       const rawFieldState = subStore[typeKey];
-      const selection = findTypeInQuery(typeToFind, operation, schema);
+      const selection = findTypeInQuery(typeToFind, operation, schema, undefined, context.variables);
       const fieldState = getFieldState(rawFieldState, fieldSchema, selection, context)
       if (isObject(fieldState) && schema.types[typeKey]) {
         fieldState[typeKey] = recurseRawStore(rawFieldState, typeKey);
@@ -0,0 +1,278 @@
+import mergeStores from '../normalize/mergeStores';
+
+/**
+ * Remember what the state looked like before a mutation changed it, so the change can be undone.
+ * Only the fields of the entities & the argsKeys of the root results that the mutation wrote are saved,
+ * so a rollback doesn't overwrite the data that came back from the server in the meantime.
+ * Everything in the snapshot is plain data, so it can be persisted next to the queued mutation.
+ *
+ * @param {Object} normalizedChanges the normalized changes about to be merged into the state, eg {entities, result}
+ * @param {Object} cashayDataState the data in the cashay sub-state, before the changes
+ *
+ * @returns {Object} the snapshot, eg
+ * {entities: {PostType: {p123: {fields: {title: 'Hi'}, added: ['karma']}}}, result: {getPostCount: {value: 2}}}
+ */
+export const makeSnapshot = (normalizedChanges, cashayDataState) => {
+  const snapshot = {entities: {}, result: {}};
+  const {entities = {}, result = {}} = normalizedChanges;
+  const typeNames = Object.keys(entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const stateType = cashayDataState.entities[typeName] || {};
+    const entityNames = Object.keys(entities[typeName]);
+    snapshot.entities[typeName] = {};
+    for (let j = 0; j < entityNames.length; j++) {
+      const entityName = entityNames[j];
+      snapshot.entities[typeName][entityName] = snapshotDoc(stateType[entityName], entities[typeName][entityName]);
+    }
+  }
+  const queryNames = Object.keys(result);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    snapshot.result[queryName] = snapshotDoc(cashayDataState.result[queryName], result[queryName]);
+  }
+  return snapshot;
+};
+
+/**
+ * Put the fields & argsKeys from a snapshot back in the state.
+ * The ones the mutation added are removed, along with the docs & results that have nothing left.
+ * A removed doc or result loses its fetch time, too.
+ *
+ * @param {Object} cashayDataState the data in the cashay sub-state
+ * @param {Object} snapshot the snapshot made by makeSnapshot
+ *
+ * @returns {Object} a new data state
+ */
+export const restoreSnapshot = (cashayDataState, snapshot) => {
+  const entities = {...cashayDataState.entities};
+  const result = {...cashayDataState.result};
+  const {fetchedAt} = cashayDataState;
+  const newFetchedAt = fetchedAt && {
+    entities: {...fetchedAt.entities},
+    result: {...fetchedAt.result}
+  };
+  const typeNames = Object.keys(snapshot.entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const snapshotType = snapshot.entities[typeName];
+    const entityNames = Object.keys(snapshotType);
+    entities[typeName] = {...entities[typeName]};
+    for (let j = 0; j < entityNames.length; j++) {
+      const entityName = entityNames[j];
+      const doc = restoreDoc(entities[typeName][entityName], snapshotType[entityName]);
+      if (doc !== undefined) {
+        entities[typeName][entityName] = doc;
+        continue;
+      }
+      delete entities[typeName][entityName];
+      if (newFetchedAt && newFetchedAt.entities[typeName]) {
+        newFetchedAt.entities[typeName] = {...newFetchedAt.entities[typeName]};
+        delete newFetchedAt.entities[typeName][entityName];
+      }
+    }
+  }
+  const queryNames = Object.keys(snapshot.result);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    const resultSnapshot = snapshot.result[queryName];
+    const queryResult = restoreDoc(result[queryName], resultSnapshot);
+    if (queryResult === undefined) {
+      delete result[queryName];
+      if (newFetchedAt) {
+        delete newFetchedAt.result[queryName];
+      }
+      continue;
+    }
+    result[queryName] = queryResult;
+    if (newFetchedAt && newFetchedAt.result[queryName] && resultSnapshot.added) {
+      newFetchedAt.result[queryName] = {...newFetchedAt.result[queryName]};
+      resultSnapshot.added.forEach(argsKey => delete newFetchedAt.result[queryName][argsKey]);
+    }
+  }
+  const newState = {...cashayDataState, entities, result};
+  return newFetchedAt ? {...newState, fetchedAt: newFetchedAt} : newState;
+};
+
+/**
+ * Undo 1 optimistic layer while keeping the layers that were applied after it.
+ * For every field the layer wrote, start from its snapshot & re-apply the changes of the later layers on top.
+ * The later layers get rebased so they can be undone correctly, too. MUTATES LAYERS.
+ *
+ * @param {Array} layers the optimistic layers in the order they were applied, eg [{snapshot, changes}]
+ * @param {Number} idx the index of the layer to undo
+ *
+ * @returns {Object} a snapshot to restore with restoreSnapshot
+ */
+export const rollbackLayer = (layers, idx) => {
+  const [layer] = layers.splice(idx, 1);
+  const laterLayers = layers.slice(idx);
+  const {snapshot} = layer;
+  const restore = {entities: {}, result: {}};
+  const typeNames = Object.keys(snapshot.entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const entityNames = Object.keys(snapshot.entities[typeName]);
+    const getLayerEntities = ({entities = {}}) => entities[typeName] || {};
+    restore.entities[typeName] = {};
+    for (let j = 0; j < entityNames.length; j++) {
+      const entityName = entityNames[j];
+      restore.entities[typeName][entityName] =
+        reapplyLayers(snapshot.entities[typeName][entityName], laterLayers, getLayerEntities, entityName);
+    }
+  }
+  const getLayerResult = ({result = {}}) => result;
+  const queryNames = Object.keys(snapshot.result);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    restore.result[queryName] = reapplyLayers(snapshot.result[queryName], laterLayers, getLayerResult, queryName);
+  }
+  return restore;
+};
+
+/**
+ * Forget an optimistic layer because the server accepted it.
+ * What the server sent back becomes part of the snapshots of the later layers,
+ * so undoing them won't bring back the optimistic guess. MUTATES LAYERS.
+ *
+ * @param {Array} layers the optimistic layers in the order they were applied, eg [{snapshot, changes}]
+ * @param {Number} idx the index of the layer to forget
+ * @param {Object} confirmedChanges the normalized changes made by the server response, eg {entities, result}
+ */
+export const commitLayer = (layers, idx, confirmedChanges) => {
+  layers.splice(idx, 1);
+  if (!confirmedChanges) return;
+  const {entities = {}, result = {}} = confirmedChanges;
+  for (let i = idx; i < layers.length; i++) {
+    const {snapshot} = layers[i];
+    const typeNames = Object.keys(entities);
+    for (let j = 0; j < typeNames.length; j++) {
+      const typeName = typeNames[j];
+      const snapshotType = snapshot.entities[typeName];
+      if (!snapshotType) continue;
+      const entityNames = Object.keys(entities[typeName]);
+      for (let k = 0; k < entityNames.length; k++) {
+        const entityName = entityNames[k];
+        if (snapshotType[entityName] !== undefined) {
+          snapshotType[entityName] = mergeDocSnapshot(snapshotType[entityName], entities[typeName][entityName]);
+        }
+      }
+    }
+    const queryNames = Object.keys(result);
+    for (let j = 0; j < queryNames.length; j++) {
+      const queryName = queryNames[j];
+      if (snapshot.result[queryName] !== undefined) {
+        snapshot.result[queryName] = mergeDocSnapshot(snapshot.result[queryName], result[queryName]);
+      }
+    }
+  }
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * save the fields of an entity (or the argsKeys of a root result) that a change is about to write.
+ * a result that isn't split by argsKey (eg a count or a list) is saved whole.
+ *
+ * @returns {Object} {fields, added} with the old values & the names that didn't exist yet,
+ * {value} for a result saved whole, or null if there was nothing to save
+ */
+const snapshotDoc = (stateDoc, changedDoc) => {
+  if (!isObject(changedDoc) || stateDoc !== undefined && !isObject(stateDoc)) {
+    return stateDoc === undefined ? null : {value: stateDoc};
+  }
+  const fields = {};
+  const added = [];
+  const fieldNames = Object.keys(changedDoc);
+  for (let i = 0; i < fieldNames.length; i++) {
+    const fieldName = fieldNames[i];
+    const stateValue = stateDoc && stateDoc[fieldName];
+    if (stateValue === undefined) {
+      added.push(fieldName);
+    } else {
+      fields[fieldName] = stateValue;
+    }
+  }
+  return {fields, added};
+};
+
+// returns undefined if the doc should be removed from the state
+const restoreDoc = (stateDoc, docSnapshot) => {
+  if (docSnapshot === null) return undefined;
+  if (!docSnapshot.fields) return docSnapshot.value;
+  // it was removed since (eg garbage collected), so there's nothing to put the old fields back in
+  if (!isObject(stateDoc)) return undefined;
+  const doc = {...stateDoc, ...docSnapshot.fields};
+  for (let i = 0; i < docSnapshot.added.length; i++) {
+    delete doc[docSnapshot.added[i]];
+  }
+  return Object.keys(doc).length ? doc : undefined;
+};
+
+// an undefined value means the field didn't exist
+const setSnapshotField = (docSnapshot, fieldName, value) => {
+  docSnapshot.added = docSnapshot.added.filter(addedName => addedName !== fieldName);
+  delete docSnapshot.fields[fieldName];
+  if (value === undefined) {
+    docSnapshot.added.push(fieldName);
+  } else {
+    docSnapshot.fields[fieldName] = value;
+  }
+};
+
+/**
+ * walk through the later layers that touched the same thing, giving each one a new starting point
+ */
+const reapplyLayers = (docSnapshot, laterLayers, getLayerBranch, name) => {
+  if (docSnapshot === null || !docSnapshot.fields) {
+    let value = docSnapshot === null ? undefined : docSnapshot.value;
+    for (let i = 0; i < laterLayers.length; i++) {
+      const {snapshot, changes} = laterLayers[i];
+      const change = getLayerBranch(changes)[name];
+      if (change === undefined) continue;
+      getLayerBranch(snapshot)[name] = snapshotDoc(value, change);
+      value = mergeValue(value, change);
+    }
+    return value === undefined ? null : {value};
+  }
+  const restore = {fields: {}, added: []};
+  const fieldNames = [...Object.keys(docSnapshot.fields), ...docSnapshot.added];
+  for (let i = 0; i < fieldNames.length; i++) {
+    const fieldName = fieldNames[i];
+    let value = docSnapshot.fields[fieldName];
+    for (let j = 0; j < laterLayers.length; j++) {
+      const {snapshot, changes} = laterLayers[j];
+      const change = getLayerBranch(changes)[name];
+      if (!isObject(change) || change[fieldName] === undefined) continue;
+      const laterDocSnapshot = getLayerBranch(snapshot)[name];
+      if (laterDocSnapshot && laterDocSnapshot.fields) {
+        setSnapshotField(laterDocSnapshot, fieldName, value);
+      }
+      value = mergeValue(value, change[fieldName]);
+    }
+    setSnapshotField(restore, fieldName, value);
+  }
+  return restore;
+};
+
+// put what the server confirmed in a snapshot, but only in the parts the layer wrote
+const mergeDocSnapshot = (docSnapshot, confirmedDoc) => {
+  if (docSnapshot === null) return {value: confirmedDoc};
+  if (!docSnapshot.fields) return {value: mergeValue(docSnapshot.value, confirmedDoc)};
+  if (!isObject(confirmedDoc)) return docSnapshot;
+  const fieldNames = Object.keys(confirmedDoc);
+  for (let i = 0; i < fieldNames.length; i++) {
+    const fieldName = fieldNames[i];
+    const value = docSnapshot.fields[fieldName];
+    if (value !== undefined || docSnapshot.added.includes(fieldName)) {
+      setSnapshotField(docSnapshot, fieldName, mergeValue(value, confirmedDoc[fieldName]));
+    }
+  }
+  return docSnapshot;
+};
+
+// merge a change the same way INSERT_MUTATION does
+const mergeValue = (value, change) => {
+  if (value === null || value === undefined) return change;
+  return mergeStores({value}, {value: change}, true).value;
+};
@@ -0,0 +1,71 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {makeCacheRedirects} from '../cacheRedirects';
+import denormalizeStore from '../denormalizeStore';
+import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
+import {buildExecutionContext} from '../../utils';
+import {paginationWords} from './data';
+
+const idFieldName = '_id';
+// the posts came from getRecentPosts, so getPostById & getAuthoredById have never been called
+const recentPostsStore = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', content: 'Hello world'}
+    },
+    CommentType: {
+      c123: {_id: 'c123', content: 'This is great!'}
+    }
+  },
+  result: {
+    getRecentPosts: {
+      full: ['PostType::p123']
+    }
+  }
+};
+
+const cacheRedirects = makeCacheRedirects(clientSchema, {
+  getPostById: args => ({__typename: 'PostType', _id: args._id}),
+  getAuthoredById: args => ({__typename: args._id.startsWith('p') ? 'PostType' : 'CommentType', _id: args._id})
+});
+
+const makeContext = (queryString, variables) => {
+  const queryAST = parseAndInitializeQuery(queryString, clientSchema, idFieldName);
+  return buildExecutionContext(queryAST, {
+    cashayDataState: recentPostsStore,
+    variables,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    cacheRedirects
+  });
+};
+
+test('throws if a redirect is for a query that is not in the schema', t => {
+  t.throws(() => makeCacheRedirects(clientSchema, {getPost: args => args}),
+    'getPost in your cacheRedirects isn\'t a query in your schema');
+});
+
+test('a redirected query is read from the entities without going to the server', t => {
+  const context = makeContext(`query($postId: String!) {getPostById(_id: $postId) {content}}`, {postId: 'p123'});
+  const {data: actual, firstRun} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: 'p123', content: 'Hello world'}});
+  t.false(firstRun);
+  t.falsy(context.operation.sendToServer);
+});
+
+test('a redirected query goes to the server if the doc is not in the entities', t => {
+  const context = makeContext(`query {getPostById(_id: "p124") {content}}`);
+  const {data: actual, firstRun} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: null, content: null}});
+  t.true(firstRun);
+  t.true(context.operation.sendToServer);
+});
+
+test('a redirect picks the concrete type of an interface', t => {
+  const context = makeContext(`query {getAuthoredById(_id: "c123") {... on CommentType {content}}}`);
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {getAuthoredById: {_id: 'c123', __typename: 'CommentType', content: 'This is great!'}});
+  t.falsy(context.operation.sendToServer);
+});
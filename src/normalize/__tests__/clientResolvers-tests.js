@@ -0,0 +1,136 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {makeClientResolvers} from '../clientResolvers';
+import denormalizeStore from '../denormalizeStore';
+import normalizeResponse from '../normalizeResponse';
+import {sendChildrenToServer} from '../denormalizeHelpers';
+import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
+import {printMinimalQuery} from '../../query/printMinimalQuery';
+import {parseSortPrint} from '../../__tests__/parseSortPrint';
+import {CachedQuery} from '../../helperClasses';
+import {buildExecutionContext} from '../../utils';
+import {paginationWords} from './data';
+
+const idFieldName = '_id';
+const postStore = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', content: 'Hello world'}
+    }
+  },
+  result: {
+    getPostById: {
+      '{"_id":"p123"}': 'PostType::p123'
+    }
+  }
+};
+
+const clientResolvers = makeClientResolvers(clientSchema, {
+  PostType: {
+    isSelected: (post, args, {state}) => state.ui.selectedPostId === post._id,
+    excerpt: (post, args) => post.content.slice(0, args.length)
+  }
+});
+
+const postQuery = `
+  query {
+    getPostById(_id: "p123") {
+      content
+      isSelected @client
+      excerpt(length: 5) @client
+    }
+    ui @client {
+      theme
+    }
+  }`;
+
+const makeContext = (queryString, reduxState) => {
+  const queryAST = parseAndInitializeQuery(queryString, clientSchema, idFieldName);
+  return buildExecutionContext(queryAST, {
+    cashayDataState: postStore,
+    variables: {},
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    clientResolvers,
+    getReduxState: () => reduxState
+  });
+};
+
+test('throws if a client resolver is for a type that is not in the schema', t => {
+  t.throws(() => makeClientResolvers(clientSchema, {Post: {isSelected: () => true}}),
+    'Post in your clientResolvers isn\'t a type in your schema');
+});
+
+test('client fields are resolved from the redux state without going to the server', t => {
+  const reduxState = {ui: {selectedPostId: 'p123', theme: 'dark', isSidebarOpen: true}};
+  const context = makeContext(postQuery, reduxState);
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {
+    getPostById: {_id: 'p123', content: 'Hello world', isSelected: true, excerpt: 'Hello'},
+    ui: {theme: 'dark'}
+  });
+  t.falsy(context.operation.sendToServer);
+});
+
+test('client fields are left out of the minimal query & the normalized response', t => {
+  const reduxState = {ui: {selectedPostId: 'p124', theme: 'dark'}};
+  const context = makeContext(postQuery, reduxState);
+  const {data} = denormalizeStore(context);
+  const normalized = normalizeResponse(data, context);
+  t.deepEqual(normalized.entities, {PostType: {p123: {_id: 'p123', content: 'Hello world'}}});
+  // like a forceFetch, every field is flagged for the server
+  sendChildrenToServer(context.operation);
+  const minimizedQueryString = printMinimalQuery(context.operation, idFieldName, {}, 'component', clientSchema);
+  t.is(parseSortPrint(minimizedQueryString), parseSortPrint(`{getPostById(_id: "p123") {_id, content}}`));
+});
+
+test('a cached response knows when a client field changed', t => {
+  let reduxState = {ui: {selectedPostId: 'p123', theme: 'dark'}};
+  const cachedQuery = new CachedQuery(postQuery, clientSchema, idFieldName);
+  const context = buildExecutionContext(cachedQuery.ast, {
+    cashayDataState: postStore,
+    variables: {},
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    clientResolvers,
+    getReduxState: () => reduxState
+  });
+  cachedQuery.createResponse(context, 'component');
+  t.false(cachedQuery.hasChangedClientFields());
+  reduxState = {...reduxState, ui: {...reduxState.ui, selectedPostId: 'p124'}};
+  t.true(cachedQuery.hasChangedClientFields());
+});
+
+test('a client field that resolves to a new array only changes when its contents do', t => {
+  let reduxState = {ui: {selectedPostIds: ['p123', 'p124']}};
+  const listResolvers = makeClientResolvers(clientSchema, {
+    PostType: {
+      // a new array every time it resolves
+      relatedPostIds: (post, args, {state}) => state.ui.selectedPostIds.filter(postId => postId !== post._id)
+    }
+  });
+  const queryString = `
+    query {
+      getPostById(_id: "p123") {
+        relatedPostIds @client
+      }
+    }`;
+  const cachedQuery = new CachedQuery(queryString, clientSchema, idFieldName);
+  const context = buildExecutionContext(cachedQuery.ast, {
+    cashayDataState: postStore,
+    variables: {},
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    clientResolvers: listResolvers,
+    getReduxState: () => reduxState
+  });
+  cachedQuery.createResponse(context, 'component');
+  t.deepEqual(cachedQuery.response.data.getPostById.relatedPostIds, ['p124']);
+  t.false(cachedQuery.hasChangedClientFields());
+  reduxState = {ui: {selectedPostIds: ['p123', 'p124', 'p125']}};
+  t.true(cachedQuery.hasChangedClientFields());
+});
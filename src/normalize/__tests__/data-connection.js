@@ -0,0 +1,97 @@
+export const connectionFront2Query = `
+query {
+  getRecentPostsConnection(first:2) {
+    totalCount
+    edges {
+      cursor
+      node {
+        _id
+        title
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}`;
+
+export const connectionFront3Query = `
+query {
+  getRecentPostsConnection(first:3) {
+    totalCount
+    edges {
+      cursor
+      node {
+        _id
+        title
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}`;
+
+export const connectionFront2Response = {
+  "data": {
+    "getRecentPostsConnection": {
+      "totalCount": 4,
+      "edges": [
+        {
+          "cursor": "1444444444444chikachikow",
+          "node": {
+            "_id": "p126",
+            "title": "How does cashay store denormalized data?"
+          }
+        },
+        {
+          "cursor": "1433333333333chikachikow",
+          "node": {
+            "_id": "p125",
+            "title": "Is cashay smaller or faster than relay?"
+          }
+        }
+      ],
+      "pageInfo": {
+        "hasNextPage": true,
+        "endCursor": "1433333333333chikachikow"
+      }
+    }
+  }
+};
+
+export const connectionFront2Store = {
+  "entities": {
+    "PostType": {
+      "p126": {
+        "_id": "p126",
+        "title": {
+          "": "How does cashay store denormalized data?"
+        }
+      },
+      "p125": {
+        "_id": "p125",
+        "title": {
+          "": "Is cashay smaller or faster than relay?"
+        }
+      }
+    }
+  },
+  "result": {
+    "getRecentPostsConnection": {
+      "totalCount": 4,
+      "edges": {
+        "front": [
+          "PostType::p126",
+          "PostType::p125"
+        ]
+      },
+      "__cursors": {
+        "PostType::p126": "1444444444444chikachikow",
+        "PostType::p125": "1433333333333chikachikow"
+      }
+    }
+  }
+};
@@ -0,0 +1,68 @@
+export const interfaceQueryString = `
+query {
+  getAuthoredById(_id: "c123") {
+    author {
+      name
+    }
+    ... on CommentType {
+      content
+      karma
+    }
+    ... on PostType {
+      title
+    }
+  }
+}`;
+
+export const interfaceResponse = {
+  "data": {
+    "getAuthoredById": {
+      "__typename": "CommentType",
+      "_id": "c123",
+      "author": {
+        "_id": "a125",
+        "name": "Jane D"
+      },
+      "content": "This is great!",
+      "karma": 5
+    }
+  }
+};
+
+export const interfaceStoreFull = {
+  "entities": {
+    "CommentType": {
+      "c123": {
+        "_id": "c123",
+        "author": "AuthorType::a125",
+        "content": "This is great!",
+        "karma": 5
+      }
+    },
+    "AuthorType": {
+      "a125": {
+        "_id": "a125",
+        "name": "Jane D"
+      }
+    }
+  },
+  "result": {
+    "getAuthoredById": {
+      "{\"_id\":\"c123\"}": "CommentType::c123"
+    }
+  }
+};
+
+export const interfaceMissingAuthoredDenormalized = {
+  "getAuthoredById": {
+    "__typename": null,
+    "_id": null,
+    "author": {
+      "_id": null,
+      "name": null
+    },
+    "content": null,
+    "karma": null,
+    "title": null
+  }
+};
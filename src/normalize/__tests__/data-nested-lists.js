@@ -0,0 +1,62 @@
+export const postGridQuery = `
+query {
+  getPostGrid(columns: 2) {
+    _id
+    content
+  }
+}`;
+
+export const postGridResponse = {
+  "data": {
+    "getPostGrid": [
+      [
+        {
+          "_id": "p126",
+          "content": "Cashay is cool"
+        },
+        {
+          "_id": "p125",
+          "content": "Lists of lists"
+        }
+      ],
+      [
+        {
+          "_id": "p124",
+          "content": "A row of one"
+        }
+      ]
+    ]
+  }
+};
+
+export const postGridStore = {
+  "entities": {
+    "PostType": {
+      "p126": {
+        "_id": "p126",
+        "content": "Cashay is cool"
+      },
+      "p125": {
+        "_id": "p125",
+        "content": "Lists of lists"
+      },
+      "p124": {
+        "_id": "p124",
+        "content": "A row of one"
+      }
+    }
+  },
+  "result": {
+    "getPostGrid": {
+      "{\"columns\":\"2\"}": [
+        [
+          "PostType::p126",
+          "PostType::p125"
+        ],
+        [
+          "PostType::p124"
+        ]
+      ]
+    }
+  }
+};
@@ -0,0 +1,71 @@
+import {makePaginationPolicies} from '../separateArgs';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {paginationWords} from './data';
+
+export const paginationPolicies = makePaginationPolicies(clientSchema, {
+  BlogSchema: {
+    getRecentPostsByOffset: {type: 'offset'}
+  }
+}, paginationWords);
+
+export const offset2Limit2Query = `
+query {
+  getRecentPostsByOffset(offset: 2, limit: 2) {
+    _id
+  }
+}`;
+
+export const offset0Limit4Query = `
+query {
+  getRecentPostsByOffset(offset: 0, limit: 4) {
+    _id
+  }
+}`;
+
+export const offset2Limit2Response = {
+  "data": {
+    "getRecentPostsByOffset": [
+      {
+        "_id": "p124"
+      }
+    ]
+  }
+};
+
+export const offset2Limit2StoreFn = () => {
+  const indexed = [null, null, "PostType::p124"];
+  indexed.EOF = true;
+  return {
+    "entities": {
+      "PostType": {
+        "p124": {
+          "_id": "p124"
+        }
+      }
+    },
+    "result": {
+      "getRecentPostsByOffset": {
+        indexed
+      }
+    }
+  };
+};
+
+// the 2nd doc is missing & we don't know how long the list is
+export const offsetWithHoleStore = {
+  "entities": {
+    "PostType": {
+      "p126": {
+        "_id": "p126"
+      },
+      "p124": {
+        "_id": "p124"
+      }
+    }
+  },
+  "result": {
+    "getRecentPostsByOffset": {
+      "indexed": ["PostType::p126", null, "PostType::p124"]
+    }
+  }
+};
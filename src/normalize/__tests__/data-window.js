@@ -0,0 +1,84 @@
+export const windowAfter126Query = `
+query {
+  getRecentPosts(first:2, afterCursor: "c126") {
+    _id,
+    cursor
+  }
+}`;
+
+export const windowAfter126First4Query = `
+query {
+  getRecentPosts(first:4, afterCursor: "c126") {
+    _id,
+    cursor
+  }
+}`;
+
+export const windowAfter126Response = {
+  "data": {
+    "getRecentPosts": [
+      {
+        "_id": "p125",
+        "cursor": "c125"
+      },
+      {
+        "_id": "p124",
+        "cursor": "c124"
+      }
+    ]
+  }
+};
+
+export const windowAfter126Segment = {
+  docs: ["PostType::p125", "PostType::p124"],
+  cursors: {"PostType::p125": "c125", "PostType::p124": "c124"},
+  anchors: {c126: 0},
+  BOF: false,
+  EOF: false
+};
+
+export const windowAfter126StoreFn = () => ({
+  entities: {
+    PostType: {
+      p125: {
+        _id: "p125",
+        cursor: "c125"
+      },
+      p124: {
+        _id: "p124",
+        cursor: "c124"
+      }
+    }
+  },
+  result: {
+    getRecentPosts: {
+      windows: [windowAfter126Segment]
+    }
+  }
+});
+
+// the next page down, which starts after the last doc of windowAfter126Segment
+export const windowAfter124Segment = {
+  docs: ["PostType::p123", "PostType::p122"],
+  cursors: {"PostType::p123": "c123", "PostType::p122": "c122"},
+  anchors: {c124: 0},
+  BOF: false,
+  EOF: true
+};
+
+// the page above, which ends before the first doc of windowAfter126Segment
+export const windowBefore125Segment = {
+  docs: ["PostType::p126"],
+  cursors: {"PostType::p126": "c126"},
+  anchors: {c125: 1},
+  BOF: true,
+  EOF: false
+};
+
+export const windowAfter110Segment = {
+  docs: ["PostType::p109"],
+  cursors: {"PostType::p109": "c109"},
+  anchors: {c110: 0},
+  BOF: false,
+  EOF: false
+};
@@ -9,6 +9,8 @@ import {
   unionStoreMissingOwnerMembers,
   unionMissingOwnerMembersDenormalized
 } from './data-union';
+import {postGridQuery, postGridResponse, postGridStore} from './data-nested-lists';
+import {interfaceQueryString, interfaceStoreFull, interfaceResponse, interfaceMissingAuthoredDenormalized} from './data-interface';
 import {
   paginationWords,
   emptyInitialState,
@@ -35,7 +37,10 @@ import {
 
 import {back4,back4ResponseFn, back2After3Query} from './data-pagination-back'
 import {front2After3Query, front3Store, front4Query, front3LocalResponseFn} from './data-pagination-front';
-import {parse} from '../../utils';
+import {connectionFront2Query, connectionFront3Query, connectionFront2Store, connectionFront2Response} from './data-connection';
+import {paginationPolicies, offset0Limit4Query, offsetWithHoleStore} from './data-offset';
+import {windowAfter126Query, windowAfter126First4Query, windowAfter126StoreFn} from './data-window';
+import {parse, clone} from '../../utils';
 import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
 
 const idFieldName = '_id';
@@ -53,6 +58,62 @@ test('denormalize store from recursive union request', t => {
   t.deepEqual(actual, expected);
 });
 
+test('denormalize store from an interface request', t => {
+  const queryAST = parseAndInitializeQuery(interfaceQueryString, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: interfaceStoreFull,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  const {data: expected} = interfaceResponse;
+  t.deepEqual(actual, expected);
+  t.falsy(context.operation.sendToServer);
+});
+
+test('denormalize an interface that is not in the store as every type it could be', t => {
+  const queryAST = parseAndInitializeQuery(interfaceQueryString, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: emptyInitialState,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, interfaceMissingAuthoredDenormalized);
+  t.true(context.operation.sendToServer);
+});
+
+test('denormalize store from a list of lists', t => {
+  const queryAST = parseAndInitializeQuery(postGridQuery, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: postGridStore,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  const {data: expected} = postGridResponse;
+  t.deepEqual(actual, expected);
+  t.falsy(context.operation.sendToServer);
+});
+
+test('denormalize a list of lists with a doc that is missing a field', t => {
+  const queryAST = parseAndInitializeQuery(postGridQuery, clientSchema, idFieldName);
+  const cashayDataState = clone(postGridStore);
+  delete cashayDataState.entities.PostType.p124.content;
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual.getPostGrid[1], [{_id: 'p124', content: null}]);
+  t.true(context.operation.sendToServer);
+});
+
 test('denormalize store when the query returns a scalar (String)', t => {
   const queryAST = parseAndInitializeQuery(queryPostCount, clientSchema, idFieldName);
   const context = buildExecutionContext(queryAST, {
@@ -165,3 +226,82 @@ test('flag sendToServer = true for array of objects', t => {
   //                                    getPostById ->           keywordsMentioned ->       word
   t.true(context.operation.selectionSet.selections[0].selectionSet.selections[1].selectionSet.selections[0].sendToServer);
 });
+
+test('denormalize connection: rebuild the edges & pageInfo', t => {
+  const queryAST = parseAndInitializeQuery(connectionFront2Query, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: connectionFront2Store,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  const expected = clone(connectionFront2Response.data);
+  Object.assign(expected.getRecentPostsConnection.edges, {BOF: true, EOF: true, count: 2});
+  t.deepEqual(actual, expected);
+  t.falsy(context.operation.sendToServer);
+});
+
+test('denormalize connection: request the missing edges after the last cursor', t => {
+  const queryAST = parseAndInitializeQuery(connectionFront3Query, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: connectionFront2Store,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.is(actual.getRecentPostsConnection.edges.length, 2);
+  t.true(actual.getRecentPostsConnection.pageInfo.hasNextPage);
+  t.true(context.operation.sendToServer);
+  const args = context.operation.selectionSet.selections[0].arguments
+    .reduce((reduction, arg) => ({...reduction, [arg.name.value]: arg.value.value}), {});
+  t.deepEqual(args, {first: 1, afterCursor: '1433333333333chikachikow'});
+});
+
+test('denormalize offset pagination: request the docs from the first hole to the limit', t => {
+  const queryAST = parseAndInitializeQuery(offset0Limit4Query, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: offsetWithHoleStore,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    paginationPolicies
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual.getRecentPostsByOffset.slice(), [{_id: 'p126'}, null, {_id: 'p124'}]);
+  t.is(actual.getRecentPostsByOffset.offset, 0);
+  t.true(context.operation.sendToServer);
+  const args = context.operation.selectionSet.selections[0].arguments
+    .reduce((reduction, arg) => ({...reduction, [arg.name.value]: arg.value.value}), {});
+  t.deepEqual(args, {offset: 1, limit: 3});
+});
+
+test('denormalize window pagination: get a page that starts at a cursor', t => {
+  const queryAST = parseAndInitializeQuery(windowAfter126Query, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: windowAfter126StoreFn(),
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual.getRecentPosts.slice(), [{_id: 'p125', cursor: 'c125'}, {_id: 'p124', cursor: 'c124'}]);
+  t.falsy(context.operation.sendToServer);
+});
+
+test('denormalize window pagination: request the missing docs after the end of the segment', t => {
+  const queryAST = parseAndInitializeQuery(windowAfter126First4Query, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: windowAfter126StoreFn(),
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.is(actual.getRecentPosts.length, 2);
+  t.true(context.operation.sendToServer);
+  const args = context.operation.selectionSet.selections[0].arguments
+    .reduce((reduction, arg) => ({...reduction, [arg.name.value]: arg.value.value}), {});
+  t.deepEqual(args, {first: 2, afterCursor: 'c124'});
+});
@@ -0,0 +1,167 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import denormalizeStore from '../denormalizeStore';
+import normalizeResponse from '../normalizeResponse';
+import {sendChildrenToServer} from '../denormalizeHelpers';
+import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
+import {printMinimalQuery} from '../../query/printMinimalQuery';
+import {parseSortPrint} from '../../__tests__/parseSortPrint';
+import {buildExecutionContext} from '../../utils';
+import {paginationWords} from './data';
+
+const idFieldName = '_id';
+const postStore = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', content: 'Hello world'}
+    }
+  },
+  result: {
+    getPostById: {
+      '{"_id":"p123"}': 'PostType::p123'
+    }
+  }
+};
+
+const postWithAuthorQuery = `
+  query($withAuthor: Boolean!) {
+    getPostById(_id: "p123") {
+      content,
+      author @include(if: $withAuthor) {
+        name
+      }
+    }
+  }`;
+
+const makeContext = (queryString, variables) => {
+  const queryAST = parseAndInitializeQuery(queryString, clientSchema, idFieldName);
+  return buildExecutionContext(queryAST, {
+    cashayDataState: postStore,
+    variables,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+};
+
+test('a field that is not included is not denormalized or sent to the server', t => {
+  const context = makeContext(postWithAuthorQuery, {withAuthor: false});
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: 'p123', content: 'Hello world'}});
+  t.falsy(context.operation.sendToServer);
+});
+
+test('a skipped field with a literal condition is not sent to the server', t => {
+  const context = makeContext(`query {getPostById(_id: "p123") {content, author @skip(if: true) {name}}}`, {});
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: 'p123', content: 'Hello world'}});
+  t.falsy(context.operation.sendToServer);
+});
+
+test('an included field that is missing goes to the server without its directive', t => {
+  const variables = {withAuthor: true};
+  const context = makeContext(postWithAuthorQuery, variables);
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual.getPostById.author, {_id: null, name: null});
+  t.true(context.operation.sendToServer);
+  const minimizedQueryString = printMinimalQuery(context.operation, idFieldName, variables, 'component', clientSchema);
+  const expected = parseSortPrint(`{getPostById(_id: "p123") {_id, author {_id, name}}}`);
+  t.is(parseSortPrint(minimizedQueryString), expected);
+});
+
+test('a minimal query leaves out the skipped fields when everything is fetched', t => {
+  const variables = {withAuthor: false};
+  const context = makeContext(postWithAuthorQuery, variables);
+  // like a forceFetch, every field is flagged for the server
+  sendChildrenToServer(context.operation);
+  const minimizedQueryString = printMinimalQuery(context.operation, idFieldName, variables, 'component', clientSchema);
+  const expected = parseSortPrint(`{getPostById(_id: "p123") {_id, content}}`);
+  t.is(parseSortPrint(minimizedQueryString), expected);
+});
+
+test('a response is normalized with the selections that are included', t => {
+  const queryString = `
+  query($withAuthor: Boolean!) {
+    getPostById(_id: "p123") {
+      ... @skip(if: $withAuthor) {
+        author {
+          twitterHandle
+        }
+      }
+      ... @include(if: $withAuthor) {
+        author {
+          name
+        }
+      }
+    }
+  }`;
+  const context = makeContext(queryString, {withAuthor: true});
+  const response = {
+    getPostById: {
+      _id: 'p123',
+      author: {_id: 'a123', name: 'Matt K'}
+    }
+  };
+  const actual = normalizeResponse(response, context);
+  t.deepEqual(actual.entities, {
+    AuthorType: {a123: {_id: 'a123', name: 'Matt K'}},
+    PostType: {p123: {_id: 'p123', author: 'AuthorType::a123'}}
+  });
+});
+
+test('a fragment spread keeps its directives & a conditional key field gets an unconditional one', t => {
+  const queryString = `
+  query($full: Boolean!) {
+    getPostById(_id: "p123") {
+      _id @skip(if: $full)
+      ...PostFields @include(if: $full)
+    }
+  }
+  fragment PostFields on PostType {
+    content
+  }`;
+  const queryAST = parseAndInitializeQuery(queryString, clientSchema, idFieldName);
+  const [getPostById] = queryAST.definitions[0].selectionSet.selections;
+  const [skippedId, postFields, addedId] = getPostById.selectionSet.selections;
+  t.is(skippedId.directives[0].name.value, 'skip');
+  t.is(postFields.directives[0].name.value, 'include');
+  t.is(addedId.name.value, '_id');
+  t.falsy(addedId.directives);
+});
+
+test('a condition falls back to the default value of its variable', t => {
+  const queryString = `
+  query($withAuthor: Boolean = true) {
+    getPostById(_id: "p123") {
+      content,
+      author @include(if: $withAuthor) {
+        name
+      }
+    }
+  }`;
+  const context = makeContext(queryString, {});
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual.getPostById.author, {_id: null, name: null});
+  t.true(context.operation.sendToServer);
+  const minimizedQueryString = printMinimalQuery(context.operation, idFieldName, context.variables, 'component',
+    clientSchema);
+  const expected = parseSortPrint(`{getPostById(_id: "p123") {_id, author {_id, name}}}`);
+  t.is(parseSortPrint(minimizedQueryString), expected);
+});
+
+test('a variable that is given overrides its default value', t => {
+  const queryString = `
+  query($withAuthor: Boolean = true) {
+    getPostById(_id: "p123") {
+      content,
+      author @include(if: $withAuthor) {
+        name
+      }
+    }
+  }`;
+  const context = makeContext(queryString, {withAuthor: false});
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: 'p123', content: 'Hello world'}});
+  t.falsy(context.operation.sendToServer);
+});
@@ -0,0 +1,29 @@
+import test from 'ava';
+import 'babel-register';
+import reducer, {createCashayReducer, SET_ERROR, ENQUEUE_MUTATION, DEQUEUE_MUTATION} from '../duck';
+
+test('default reducer handles untagged actions', t => {
+  const error = {_error: 'oops'};
+  const actual = reducer(undefined, {type: SET_ERROR, error});
+  t.deepEqual(actual.error, error);
+});
+
+test('reducer ignores actions from an instance with a different stateKey', t => {
+  const adminReducer = createCashayReducer('adminCashay');
+  const error = {_error: 'oops'};
+  const initialState = adminReducer(undefined, {type: '@@INIT'});
+  const ignored = adminReducer(initialState, {type: SET_ERROR, error, meta: {stateKey: 'cashay'}});
+  t.is(ignored, initialState);
+  const handled = adminReducer(initialState, {type: SET_ERROR, error, meta: {stateKey: 'adminCashay'}});
+  t.deepEqual(handled.error, error);
+});
+
+test('offline queue keeps mutations in order until they are dequeued', t => {
+  const first = {id: 1, mutationName: 'updatePost', variables: {post: {_id: 'p123', title: 'A'}}};
+  const second = {id: 2, mutationName: 'updatePost', variables: {post: {_id: 'p123', title: 'B'}}};
+  let state = reducer(undefined, {type: ENQUEUE_MUTATION, payload: {mutation: first}});
+  state = reducer(state, {type: ENQUEUE_MUTATION, payload: {mutation: second}});
+  t.deepEqual(state.offlineQueue, [first, second]);
+  state = reducer(state, {type: DEQUEUE_MUTATION, payload: {id: 1}});
+  t.deepEqual(state.offlineQueue, [second]);
+});
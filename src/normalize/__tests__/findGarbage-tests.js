@@ -0,0 +1,80 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import findGarbage, {removeGarbage} from '../findGarbage';
+import {paginationWords} from './data';
+
+const context = {schema: clientSchema, paginationWords};
+
+const makeDataState = () => ({
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', author: 'AuthorType::a123'},
+      p124: {_id: 'p124', author: 'AuthorType::a124'},
+      p125: {_id: 'p125'}
+    },
+    AuthorType: {
+      a123: {_id: 'a123'},
+      a124: {_id: 'a124'}
+    }
+  },
+  result: {
+    getPostById: {
+      '{"_id":"p123"}': 'PostType::p123',
+      '{"_id":"p124"}': 'PostType::p124'
+    },
+    getRecentPosts: {
+      front: ['PostType::p125']
+    }
+  },
+  variables: {}
+});
+
+test('finds results and entities that are not reachable from a root', t => {
+  const resultRoots = {getPostById: new Set(['{"_id":"p123"}'])};
+  const actual = findGarbage(makeDataState(), {resultRoots, entityRoots: new Set()}, context);
+  const expected = {
+    entities: {
+      PostType: ['p124', 'p125'],
+      AuthorType: ['a124']
+    },
+    result: {
+      getPostById: ['{"_id":"p124"}'],
+      getRecentPosts: true
+    }
+  };
+  t.deepEqual(actual, expected);
+});
+
+test('keeps retained entities and the entities they reference', t => {
+  const resultRoots = {getRecentPosts: true};
+  const entityRoots = new Set(['PostType::p124']);
+  const actual = findGarbage(makeDataState(), {resultRoots, entityRoots}, context);
+  const expected = {
+    entities: {
+      PostType: ['p123'],
+      AuthorType: ['a123']
+    },
+    result: {
+      getPostById: true
+    }
+  };
+  t.deepEqual(actual, expected);
+});
+
+test('returns undefined when everything is reachable', t => {
+  const resultRoots = {getPostById: true, getRecentPosts: true};
+  t.is(findGarbage(makeDataState(), {resultRoots, entityRoots: new Set()}, context), undefined);
+});
+
+test('removes garbage without mutating the state', t => {
+  const dataState = makeDataState();
+  const garbage = {
+    entities: {PostType: ['p124']},
+    result: {getPostById: ['{"_id":"p124"}'], getRecentPosts: true}
+  };
+  const actual = removeGarbage(dataState, garbage);
+  t.deepEqual(Object.keys(actual.entities.PostType), ['p123', 'p125']);
+  t.deepEqual(actual.result, {getPostById: {'{"_id":"p123"}': 'PostType::p123'}});
+  t.deepEqual(dataState, makeDataState());
+});
@@ -20,6 +20,12 @@ import {
   back1Store,
   front3Back1Store
 } from './data-pagination';
+import {
+  windowAfter126Segment,
+  windowAfter124Segment,
+  windowBefore125Segment,
+  windowAfter110Segment
+} from './data-window';
 
 test('merge docs 1-3 with doc 4 that has EOF == true', t => {
   const firstDocs = front3Store;
@@ -276,3 +282,69 @@ test('merge permutation: target: full, src: full', t => {
 //   const expected = {full: [9, 2, 8, 6]};
 //   t.deepEqual(actual, expected);
 // });
+
+test('merge offset pages into the holes of an indexed array', t => {
+  const target = {getRecentPostsByOffset: {indexed: ['PostType::p126', null, 'PostType::p124']}};
+  const src = {getRecentPostsByOffset: {indexed: [null, 'PostType::p125']}};
+  const actual = mergeStores(target, src);
+  const expected = {getRecentPostsByOffset: {indexed: ['PostType::p126', 'PostType::p125', 'PostType::p124']}};
+  t.deepEqual(actual, expected);
+});
+
+test('merge an offset page with EOF == true ends the indexed array', t => {
+  const target = {getRecentPostsByOffset: {indexed: ['PostType::p126', 'PostType::p125', 'PostType::p124']}};
+  const srcIndexed = [null, 'PostType::p123'];
+  srcIndexed.EOF = true;
+  const actual = mergeStores(target, {getRecentPostsByOffset: {indexed: srcIndexed}});
+  t.deepEqual(actual.getRecentPostsByOffset.indexed.slice(), ['PostType::p126', 'PostType::p123']);
+  t.true(actual.getRecentPostsByOffset.indexed.EOF);
+});
+
+test('merge a window that starts after the last doc of another window', t => {
+  const target = {getRecentPosts: {windows: [windowAfter126Segment]}};
+  const src = {getRecentPosts: {windows: [windowAfter124Segment]}};
+  const actual = mergeStores(target, src);
+  const expected = {
+    getRecentPosts: {
+      windows: [{
+        docs: ['PostType::p125', 'PostType::p124', 'PostType::p123', 'PostType::p122'],
+        cursors: {...windowAfter126Segment.cursors, ...windowAfter124Segment.cursors},
+        anchors: {c126: 0},
+        BOF: false,
+        EOF: true
+      }]
+    }
+  };
+  t.deepEqual(actual, expected);
+});
+
+test('merge a window that ends before the first doc of another window', t => {
+  const target = {getRecentPosts: {windows: [windowAfter126Segment]}};
+  const src = {getRecentPosts: {windows: [windowBefore125Segment]}};
+  const actual = mergeStores(target, src);
+  const [segment] = actual.getRecentPosts.windows;
+  t.is(actual.getRecentPosts.windows.length, 1);
+  t.deepEqual(segment.docs, ['PostType::p126', 'PostType::p125', 'PostType::p124']);
+  // both anchors became docs
+  t.deepEqual(segment.anchors, {});
+  t.true(segment.BOF);
+  t.false(segment.EOF);
+});
+
+test('merge windows that do not overlap into separate segments', t => {
+  const target = {getRecentPosts: {windows: [windowAfter126Segment]}};
+  const src = {getRecentPosts: {windows: [windowAfter110Segment]}};
+  const actual = mergeStores(target, src);
+  t.deepEqual(actual.getRecentPosts.windows, [windowAfter126Segment, windowAfter110Segment]);
+});
+
+test('merge a window that bridges 2 windows', t => {
+  const target = {getRecentPosts: {windows: [windowBefore125Segment, windowAfter124Segment]}};
+  const src = {getRecentPosts: {windows: [windowAfter126Segment]}};
+  const actual = mergeStores(target, src);
+  t.is(actual.getRecentPosts.windows.length, 1);
+  t.deepEqual(actual.getRecentPosts.windows[0].docs,
+    ['PostType::p126', 'PostType::p125', 'PostType::p124', 'PostType::p123', 'PostType::p122']);
+  t.true(actual.getRecentPosts.windows[0].BOF);
+  t.true(actual.getRecentPosts.windows[0].EOF);
+});
@@ -4,6 +4,9 @@ import clientSchema from '../../__tests__/clientSchema.json';
 import normalizeResponse from '../normalizeResponse';
 import {buildExecutionContext} from '../../utils';
 import {unionQueryString, unionStoreFull, unionResponse} from './data-union';
+import {interfaceQueryString, interfaceStoreFull, interfaceResponse} from './data-interface';
+import {postGridQuery, postGridResponse, postGridStore} from './data-nested-lists';
+import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
 import {clone} from '../../utils';
 
 import {
@@ -32,9 +35,23 @@ import {
   back1After4Response,
   back1After4StoreFn
 } from './data-pagination-back';
+import {
+  connectionFront2Query,
+  connectionFront2Response,
+  connectionFront2Store
+} from './data-connection';
+import {paginationPolicies, offset2Limit2Query, offset2Limit2Response, offset2Limit2StoreFn} from './data-offset';
+import {windowAfter126Query, windowAfter126Response, windowAfter126StoreFn} from './data-window';
 import {parse} from '../../utils';
 import {paginationWords} from './data';
 
+// the cursor was added by cashay to get the rest of a page, so the page isn't a window (see getFieldState)
+const addedCursor = context => {
+  const selection = context.operation.selectionSet.selections[0];
+  const cursorWords = [paginationWords.before, paginationWords.after];
+  selection.originalArguments = selection.arguments.filter(arg => !cursorWords.includes(arg.name.value));
+};
+
 test('normalizes unions', t => {
   const queryAST = parse(unionQueryString);
   const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
@@ -43,6 +60,22 @@ test('normalizes unions', t => {
   t.deepEqual(actual, expected);
 });
 
+test('normalizes interfaces by their concrete type', t => {
+  const queryAST = parseAndInitializeQuery(interfaceQueryString, clientSchema, '_id');
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  const actual = normalizeResponse(interfaceResponse.data, context);
+  const expected = interfaceStoreFull;
+  t.deepEqual(actual, expected);
+});
+
+test('normalizes lists of lists', t => {
+  const queryAST = parse(postGridQuery);
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  const actual = normalizeResponse(postGridResponse.data, context);
+  const expected = postGridStore;
+  t.deepEqual(actual, expected);
+});
+
 
 test('normalize pagination: front 3', t => {
   const queryAST = parse(front3Query);
@@ -55,6 +88,7 @@ test('normalize pagination: front 3', t => {
 test('normalize pagination: request 2 after 3rd cursor, receive 1', t => {
   const queryAST = parse(front2After3Query);
   const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  addedCursor(context);
   const actual = normalizeResponse(clone(front1After3Response.data), context);
   const expected = front2After3StoreFn();
   // t.deepEqual(actual.entities, expected.entities);
@@ -64,6 +98,7 @@ test('normalize pagination: request 2 after 3rd cursor, receive 1', t => {
 test('normalize pagination: request doc 5 when it doesnt exist', t => {
   const queryAST = parse(front1After4Query);
   const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  addedCursor(context);
   const actual = normalizeResponse(clone(front1After4Response.data), context);
   const expected = front1After4StoreFn();
   t.deepEqual(actual, expected);
@@ -80,6 +115,7 @@ test('normalize back pagination: back 3', t => {
 test('normalize back pagination: request 2 after 3rd cursor, receive 1', t => {
   const queryAST = parse(back2After3Query);
   const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  addedCursor(context);
   const actual = normalizeResponse(clone(back1After3Response.data), context);
   const expected = back2After3StoreFn();
   t.deepEqual(actual, expected);
@@ -88,7 +124,43 @@ test('normalize back pagination: request 2 after 3rd cursor, receive 1', t => {
 test('normalize back pagination: request doc 5 when it doesnt exist', t => {
   const queryAST = parse(back1After4Query);
   const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  addedCursor(context);
   const actual = normalizeResponse(clone(back1After4Response.data), context);
   const expected = back1After4StoreFn();
   t.deepEqual(actual, expected);
 });
+
+test('normalize connection: front 2', t => {
+  const queryAST = parse(connectionFront2Query);
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  const actual = normalizeResponse(clone(connectionFront2Response.data), context);
+  const expected = connectionFront2Store;
+  t.deepEqual(actual, expected);
+  t.falsy(actual.result.getRecentPostsConnection.edges.front.EOF);
+});
+
+test('normalize connection: flag EOF when the pageInfo says there is no next page', t => {
+  const queryAST = parse(connectionFront2Query);
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  const response = clone(connectionFront2Response.data);
+  response.getRecentPostsConnection.pageInfo.hasNextPage = false;
+  const actual = normalizeResponse(response, context);
+  t.true(actual.result.getRecentPostsConnection.edges.front.EOF);
+});
+
+test('normalize offset pagination: put the page at its offset, flag EOF when short', t => {
+  const queryAST = parse(offset2Limit2Query);
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords, paginationPolicies});
+  const actual = normalizeResponse(clone(offset2Limit2Response.data), context);
+  const expected = offset2Limit2StoreFn();
+  t.deepEqual(actual, expected);
+  t.true(actual.result.getRecentPostsByOffset.indexed.EOF);
+});
+
+test('normalize window pagination: store a page that starts at a cursor as a segment', t => {
+  const queryAST = parse(windowAfter126Query);
+  const context = buildExecutionContext(queryAST, {idFieldName: '_id', schema: clientSchema, paginationWords});
+  const actual = normalizeResponse(clone(windowAfter126Response.data), context);
+  const expected = windowAfter126StoreFn();
+  t.deepEqual(actual, expected);
+});
@@ -0,0 +1,76 @@
+import test from 'ava';
+import 'babel-register';
+import removeExpiredData, {createPersistTransform} from '../removeExpiredData';
+
+const makeState = () => ({
+  error: null,
+  data: {
+    entities: {
+      PostType: {
+        p123: {_id: 'p123', title: 'Old'},
+        p124: {_id: 'p124', title: 'New'},
+        p125: {_id: 'p125', title: 'Optimistic'}
+      }
+    },
+    result: {
+      getPostById: {
+        '{"_id":"p123"}': 'PostType::p123'
+      },
+      getPostCount: 4
+    },
+    variables: {},
+    fetchedAt: {
+      entities: {
+        PostType: {
+          p123: 1000,
+          p124: 9000
+        }
+      },
+      result: {
+        getPostById: {
+          '{"_id":"p123"}': 1000
+        },
+        getPostCount: {
+          '': 9000
+        }
+      }
+    }
+  }
+});
+
+test('removes entities that outlived the TTL for their type', t => {
+  const actual = removeExpiredData(makeState(), {typeTTLs: {PostType: 5000}, now: 10000});
+  t.deepEqual(Object.keys(actual.data.entities.PostType), ['p124', 'p125']);
+  t.deepEqual(actual.data.fetchedAt.entities.PostType, {p124: 9000});
+  t.deepEqual(Object.keys(actual.data.result), ['getPostById', 'getPostCount']);
+});
+
+test('removes expired results with a global TTL', t => {
+  const actual = removeExpiredData(makeState(), {ttl: 5000, now: 10000});
+  t.deepEqual(actual.data.result, {getPostCount: 4});
+  t.deepEqual(Object.keys(actual.data.fetchedAt.result), ['getPostCount']);
+  t.deepEqual(Object.keys(actual.data.entities.PostType), ['p124', 'p125']);
+});
+
+test('only removes the expired args of a query with a global TTL', t => {
+  const state = makeState();
+  state.data.result.getPostById['{"_id":"p124"}'] = 'PostType::p124';
+  state.data.fetchedAt.result.getPostById['{"_id":"p124"}'] = 9000;
+  const actual = removeExpiredData(state, {ttl: 5000, now: 10000});
+  t.deepEqual(actual.data.result.getPostById, {'{"_id":"p124"}': 'PostType::p124'});
+  t.deepEqual(actual.data.fetchedAt.result.getPostById, {'{"_id":"p124"}': 9000});
+  t.is(actual.data.result.getPostCount, 4);
+});
+
+test('does not mutate the original state', t => {
+  const state = makeState();
+  removeExpiredData(state, {ttl: 5000, now: 10000});
+  t.deepEqual(state, makeState());
+});
+
+test('persist transform only touches the cashay key', t => {
+  const transform = createPersistTransform({ttl: 5000, now: 10000});
+  const otherState = makeState();
+  t.is(transform.out(otherState, 'other'), otherState);
+  t.deepEqual(transform.out(makeState(), 'cashay').data.result, {getPostCount: 4});
+});
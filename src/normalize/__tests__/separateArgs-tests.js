@@ -0,0 +1,48 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {separateArgs, makePaginationPolicies, getPaginationWords} from '../separateArgs';
+import {parse} from '../../utils';
+import {paginationWords} from './data';
+
+const getArgs = queryString => parse(queryString).definitions[0].selectionSet.selections[0].arguments;
+const {getRecentPosts, getRecentPostsByOffset} = clientSchema.querySchema.fields;
+
+test('fields without a policy use the paginationWords', t => {
+  const paginationPolicies = makePaginationPolicies(clientSchema, {}, paginationWords);
+  const args = getArgs(`{getRecentPosts(first: 2, afterCursor: "abc") {_id}}`);
+  const actual = separateArgs(getRecentPosts, args, {paginationWords, paginationPolicies});
+  t.deepEqual(actual, {regularArgs: false, paginationArgs: {first: 2, after: 'abc'}});
+});
+
+test('a cursor policy overrides the paginationWords for 1 field', t => {
+  const pagination = {BlogSchema: {getRecentPosts: {first: 'last', last: 'first'}}};
+  const paginationPolicies = makePaginationPolicies(clientSchema, pagination, paginationWords);
+  const args = getArgs(`{getRecentPosts(last: 2) {_id}}`);
+  const actual = separateArgs(getRecentPosts, args, {paginationWords, paginationPolicies});
+  t.deepEqual(actual.paginationArgs, {first: 2});
+  t.is(getPaginationWords(getRecentPosts, {paginationWords, paginationPolicies}).after, 'afterCursor');
+  t.is(getPaginationWords(getRecentPostsByOffset, {paginationWords, paginationPolicies}), paginationWords);
+});
+
+test('an offset policy is inferred from the offset words', t => {
+  const pagination = {BlogSchema: {getRecentPostsByOffset: {limit: 'limit'}}};
+  const paginationPolicies = makePaginationPolicies(clientSchema, pagination, paginationWords);
+  const args = getArgs(`{getRecentPostsByOffset(offset: 2, limit: 3) {_id}}`);
+  const actual = separateArgs(getRecentPostsByOffset, args, {paginationWords, paginationPolicies});
+  t.deepEqual(actual, {regularArgs: false, paginationArgs: {offset: 2, limit: 3}});
+});
+
+test('a false policy means none of the args are pagination', t => {
+  const pagination = {BlogSchema: {getRecentPosts: false}};
+  const paginationPolicies = makePaginationPolicies(clientSchema, pagination, paginationWords);
+  const args = getArgs(`{getRecentPosts(first: 2) {_id}}`);
+  const actual = separateArgs(getRecentPosts, args, {paginationWords, paginationPolicies});
+  t.deepEqual(actual, {regularArgs: {first: '2'}, paginationArgs: false});
+});
+
+test('throws on a policy for a field that does not exist', t => {
+  const pagination = {PostType: {notAField: {}}};
+  t.throws(() => makePaginationPolicies(clientSchema, pagination, paginationWords),
+    'PostType.notAField in your pagination policies isn\'t a field in your schema');
+});
@@ -0,0 +1,129 @@
+import test from 'ava';
+import 'babel-register';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {makeFieldPolicies, applyMergePolicies, makeTypeKeys, getDocKey} from '../typePolicies';
+import denormalizeStore from '../denormalizeStore';
+import normalizeResponse from '../normalizeResponse';
+import parseAndInitializeQuery from '../../query/parseAndInitializeQuery';
+import {buildExecutionContext} from '../../utils';
+import {paginationWords} from './data';
+
+const idFieldName = '_id';
+const postStore = {
+  entities: {
+    PostType: {
+      p123: {_id: 'p123', category: 'hot stuff'}
+    }
+  },
+  result: {
+    getPostById: {
+      '{"_id":"p123"}': 'PostType::p123'
+    }
+  }
+};
+
+test('throws if a policy is for a field that is not in the schema', t => {
+  const typePolicies = {PostType: {fields: {likes: {read: existing => existing}}}};
+  t.throws(() => makeFieldPolicies(clientSchema, typePolicies),
+    'PostType.likes in your typePolicies isn\'t a field in your schema');
+});
+
+test('merge an entity field with the value in the state', t => {
+  // keep the first category a post was filed under
+  const typePolicies = {PostType: {fields: {category: {merge: (existing, incoming) => existing || incoming}}}};
+  const fieldPolicies = makeFieldPolicies(clientSchema, typePolicies);
+  const normalizedResponse = {
+    entities: {PostType: {p123: {_id: 'p123', category: 'ice cold'}, p124: {_id: 'p124', category: 'ice cold'}}},
+    result: {}
+  };
+  const actual = applyMergePolicies(normalizedResponse, postStore, {schema: clientSchema, fieldPolicies, paginationWords});
+  t.is(actual.entities.PostType.p123.category, 'hot stuff');
+  t.is(actual.entities.PostType.p124.category, 'ice cold');
+});
+
+test('merge a query result with the args it was called with', t => {
+  const calls = [];
+  const merge = (existing, incoming, options) => {
+    calls.push({existing, incoming, options});
+    return incoming;
+  };
+  const fieldPolicies = makeFieldPolicies(clientSchema, {BlogSchema: {fields: {getPostById: {merge}}}});
+  const normalizedResponse = {
+    entities: {},
+    result: {getPostById: {'{"_id":"p123"}': 'PostType::p123'}}
+  };
+  applyMergePolicies(normalizedResponse, postStore, {schema: clientSchema, fieldPolicies, paginationWords});
+  t.deepEqual(calls, [{
+    existing: 'PostType::p123',
+    incoming: 'PostType::p123',
+    options: {fieldName: 'getPostById', typeName: 'BlogSchema', args: {_id: 'p123'}}
+  }]);
+});
+
+test('a read function gives a missing field a default, so it is not sent to the server', t => {
+  const typePolicies = {PostType: {fields: {title: {read: existing => existing === undefined ? 'Untitled' : existing}}}};
+  const queryAST = parseAndInitializeQuery(`query {getPostById(_id: "p123") {category, title}}`, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: postStore,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    fieldPolicies: makeFieldPolicies(clientSchema, typePolicies)
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.deepEqual(actual, {getPostById: {_id: 'p123', category: 'hot stuff', title: 'Untitled'}});
+  t.falsy(context.operation.sendToServer);
+});
+
+test('a read function computes a field from the value in the state', t => {
+  const typePolicies = {PostType: {fields: {category: {read: existing => existing.toUpperCase()}}}};
+  const queryAST = parseAndInitializeQuery(`query {getPostById(_id: "p123") {category}}`, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState: postStore,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords,
+    fieldPolicies: makeFieldPolicies(clientSchema, typePolicies)
+  });
+  const {data: actual} = denormalizeStore(context);
+  t.is(actual.getPostById.category, 'HOT STUFF');
+});
+
+test('throws if a keyField is not in the schema', t => {
+  const typePolicies = {AuthorType: {keyFields: ['handle']}};
+  t.throws(() => makeTypeKeys(clientSchema, typePolicies),
+    'AuthorType.handle in your keyFields isn\'t a field in your schema');
+});
+
+test('many keyFields make a key in the order they are listed', t => {
+  const doc = {karma: 3, postId: 'p123', content: 'Hi'};
+  t.is(getDocKey(doc, ['postId', 'karma']), '{"postId":"p123","karma":3}');
+  t.is(getDocKey(doc, doc => `${doc.postId}/${doc.karma}`), 'p123/3');
+});
+
+test('the keyFields are added to the query instead of the idFieldName', t => {
+  const typeKeys = makeTypeKeys(clientSchema, {AuthorType: {keyFields: ['twitterHandle']}});
+  const queryAST = parseAndInitializeQuery(`query {getPostById(_id: "p123") {author {name}}}`,
+    clientSchema, idFieldName, typeKeys);
+  const [getPostById] = queryAST.definitions[0].selectionSet.selections;
+  const author = getPostById.selectionSet.selections.find(selection => selection.name.value === 'author');
+  t.deepEqual(author.selectionSet.selections.map(selection => selection.name.value), ['name', 'twitterHandle']);
+});
+
+test('normalize a type by its keyFields', t => {
+  const typeKeys = makeTypeKeys(clientSchema, {AuthorType: {keyFields: ['twitterHandle']}});
+  const queryAST = parseAndInitializeQuery(`query {getPostById(_id: "p123") {author {name}}}`,
+    clientSchema, idFieldName, typeKeys);
+  const context = buildExecutionContext(queryAST, {variables: {}, idFieldName, typeKeys, schema: clientSchema, paginationWords});
+  const response = {
+    getPostById: {
+      _id: 'p123',
+      author: {name: 'Matt K', twitterHandle: '@mattkrick'}
+    }
+  };
+  const actual = normalizeResponse(response, context);
+  t.deepEqual(actual.entities, {
+    AuthorType: {'@mattkrick': {name: 'Matt K', twitterHandle: '@mattkrick'}},
+    PostType: {p123: {_id: 'p123', author: 'AuthorType::@mattkrick'}}
+  });
+});
@@ -1,8 +1,8 @@
-import {DELIMITER as _} from '../utils';
+import {makeNormalString, getDocFromNormalString} from './denormalizeHelpers';
 
 export default function addDeps(normalizedResponse, component, key, normalizedDeps, denormalizedDeps) {
   // get the previous set
-  // create a Set of normalized locations in entities (eg 'Post.123')
+  // create a Set of normalized locations in entities (eg 'Post::123')
   const newNormalizedDeps = makeNormalizedDeps(normalizedResponse.entities);
   let oldNormalizedDeps;
   if (key) {
@@ -31,7 +31,7 @@ export default function addDeps(normalizedResponse, component, key, normalizedDe
 
     // remove old deps
     for (let dep of oldNormalizedDeps) {
-      const [typeName, entityName] = dep.split(_);
+      const {typeName, docId: entityName} = getDocFromNormalString(dep);
       const entityDep = denormalizedDeps[typeName][entityName];
       if (key) {
         entityDep[component].delete(key);
@@ -43,7 +43,7 @@ export default function addDeps(normalizedResponse, component, key, normalizedDe
 
   // add new deps
   for (let dep of newUniques) {
-    const [typeName, entityName] = dep.split(_);
+    const {typeName, docId: entityName} = getDocFromNormalString(dep);
     denormalizedDeps[typeName] = denormalizedDeps[typeName] || {};
     if (key) {
       denormalizedDeps[typeName][entityName] = denormalizedDeps[typeName][entityName] || {};
@@ -56,6 +56,56 @@ export default function addDeps(normalizedResponse, component, key, normalizedDe
   }
 }
 
+/**
+ * remove every dependency of a component (or a single key of that component)
+ * used when a component unmounts so it no longer gets flushed by incoming data
+ */
+export const removeDeps = (component, key, normalizedDeps, denormalizedDeps) => {
+  const componentDeps = normalizedDeps[component];
+  if (!componentDeps) return;
+  if (!key && !(componentDeps instanceof Set)) {
+    // a component that was queried with keys has a Set for each key
+    const componentKeys = Object.keys(componentDeps);
+    for (let i = 0; i < componentKeys.length; i++) {
+      removeDeps(component, componentKeys[i], normalizedDeps, denormalizedDeps);
+    }
+    return;
+  }
+  const oldNormalizedDeps = key ? componentDeps[key] : componentDeps;
+  if (!oldNormalizedDeps) return;
+  for (let dep of oldNormalizedDeps) {
+    const {typeName, docId: entityName} = getDocFromNormalString(dep);
+    const typeDeps = denormalizedDeps[typeName];
+    const entityDep = typeDeps && typeDeps[entityName];
+    if (!entityDep) continue;
+    if (key) {
+      const componentKeys = entityDep[component];
+      if (componentKeys) {
+        componentKeys.delete(key);
+        if (!componentKeys.size) {
+          delete entityDep[component];
+        }
+      }
+      if (!Object.keys(entityDep).length) {
+        delete typeDeps[entityName];
+      }
+    } else {
+      entityDep.delete(component);
+      if (!entityDep.size) {
+        delete typeDeps[entityName];
+      }
+    }
+  }
+  if (key) {
+    delete componentDeps[key];
+    if (!Object.keys(componentDeps).length) {
+      delete normalizedDeps[component];
+    }
+  } else {
+    delete normalizedDeps[component];
+  }
+};
+
 const makeNormalizedDeps = entities => {
   const typeKeys = Object.keys(entities);
   const normalizedDeps = new Set();
@@ -64,8 +114,7 @@ const makeNormalizedDeps = entities => {
     const entityKeys = Object.keys(entities[typeName]);
     for (let j = 0; j < entityKeys.length; j++) {
       const entityName = entityKeys[j];
-      const dep = `${typeName}${_}${entityName}`;
-      normalizedDeps.add(dep);
+      normalizedDeps.add(makeNormalString(typeName, entityName));
     }
   }
   return normalizedDeps;
@@ -0,0 +1,75 @@
+import {separateArgs} from './separateArgs';
+import {makeNormalString} from './denormalizeHelpers';
+import {getKeyFields, getDocKey} from './typePolicies';
+import {TYPENAME} from '../utils';
+
+/**
+ * Check that each cache redirect is for a query in the schema.
+ * A redirect gets the args of the query & returns the doc it points to, or an array of them.
+ * A doc only needs its __typename & its key fields, so cashay can find it in the entities.
+ * const example = {
+ *   getPostById: args => ({__typename: 'PostType', _id: args._id}),
+ *   getPostsByIds: args => args.ids.map(_id => ({__typename: 'PostType', _id})),
+ *   node: args => ({__typename: args.id.startsWith('p') ? 'PostType' : 'CommentType', id: args.id})
+ * }
+ *
+ * @param {Object} schema the cashay client schema
+ * @param {Object} cacheRedirects a function for each query name
+ *
+ * @returns {Object} the cache redirects
+ */
+export const makeCacheRedirects = (schema, cacheRedirects = {}) => {
+  const queryNames = Object.keys(cacheRedirects);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    if (!schema.querySchema.fields[queryName]) {
+      throw new Error(`${queryName} in your cacheRedirects isn't a query in your schema`);
+    }
+    if (typeof cacheRedirects[queryName] !== 'function') {
+      throw new Error(`The cacheRedirect for ${queryName} must be a function`);
+    }
+  }
+  return cacheRedirects;
+};
+
+/**
+ * follow the cache redirect of a query that isn't in the result yet, eg getPostById(_id: "p123") => 'PostType::p123'
+ *
+ * @param {Object} queryFieldSchema the schema of the query, from the fields of the querySchema
+ * @param {Object} selection the query in the operation AST
+ * @param {Object} context
+ *
+ * @returns {String|Array|undefined} the normal string of the doc (or an array of them),
+ * or undefined if there's no redirect or the docs aren't all in the entities
+ */
+export const redirectToEntities = (queryFieldSchema, selection, context) => {
+  const {cacheRedirects} = context;
+  const redirect = cacheRedirects && cacheRedirects[queryFieldSchema.name];
+  if (!redirect) return;
+  const {regularArgs} = queryFieldSchema.args ? separateArgs(queryFieldSchema, selection.arguments, context) : {};
+  const docs = redirect(regularArgs || {});
+  if (!Array.isArray(docs)) {
+    return getEntityString(docs, context);
+  }
+  const normalStrings = [];
+  for (let i = 0; i < docs.length; i++) {
+    const normalString = getEntityString(docs[i], context);
+    // if a single doc is missing, the whole list has to come from the server
+    if (!normalString) return;
+    normalStrings[i] = normalString;
+  }
+  return normalStrings;
+};
+
+const getEntityString = (doc, context) => {
+  if (!doc || !doc[TYPENAME]) return;
+  const typeName = doc[TYPENAME];
+  const typeSchema = context.schema.types[typeName];
+  const keyFields = typeSchema && getKeyFields(typeSchema, context);
+  if (!keyFields) return;
+  const docId = getDocKey(doc, keyFields);
+  const typeEntities = context.cashayDataState.entities[typeName];
+  if (typeEntities && typeEntities[docId]) {
+    return makeNormalString(typeName, docId);
+  }
+};
@@ -0,0 +1,102 @@
+import {INLINE_FRAGMENT, VARIABLE} from 'graphql/language/kinds';
+import {isObject, isSelectionIncluded} from '../utils';
+
+/**
+ * Check that each client resolver is for a type in the schema.
+ * A resolver gets the doc that the field is on (as it's stored in the cashay state), the args of the field,
+ * and the redux state. Root fields are on the query type, so they get the redux state as their doc.
+ * const example = {
+ *   BlogSchema: {
+ *     isSidebarOpen: (source, args, {state}) => state.ui.isSidebarOpen
+ *   },
+ *   PostType: {
+ *     isSelected: (post, args, {state}) => state.ui.selectedPostId === post._id
+ *   }
+ * }
+ *
+ * @param {Object} schema the cashay client schema
+ * @param {Object} clientResolvers the resolvers for the client fields of each type
+ *
+ * @returns {Object} the client resolvers
+ */
+export const makeClientResolvers = (schema, clientResolvers = {}) => {
+  const typeNames = Object.keys(clientResolvers);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const rootSchemas = [schema.querySchema, schema.mutationSchema, schema.subscriptionSchema];
+    const typeSchema = rootSchemas.find(rootSchema => rootSchema && rootSchema.name === typeName) ||
+      schema.types[typeName];
+    if (!typeSchema || !typeSchema.fields) {
+      throw new Error(`${typeName} in your clientResolvers isn't a type in your schema`);
+    }
+    const fieldResolvers = clientResolvers[typeName];
+    const fieldNames = Object.keys(fieldResolvers);
+    for (let j = 0; j < fieldNames.length; j++) {
+      if (typeof fieldResolvers[fieldNames[j]] !== 'function') {
+        throw new Error(`The clientResolver for ${typeName}.${fieldNames[j]} must be a function`);
+      }
+    }
+  }
+  return clientResolvers;
+};
+
+/**
+ * resolve a field with an @client directive. without a resolver, the field is read from the doc it's on
+ * every resolved field is remembered in context.clientFields, so a cached response can tell when it's out of date
+ *
+ * @param {Object} source the doc the field is on, or undefined for a root field
+ * @param {Object} field the field in the query AST
+ * @param {String} typeName the name of the type the field is on
+ * @param {Object} context
+ *
+ * @returns {*} the value of the field, with only the fields in its selection set if it's an object
+ */
+export const resolveClientField = (source, field, typeName, context) => {
+  const {clientResolvers = {}, getReduxState, variables} = context;
+  const fieldName = field.name.value;
+  const typeResolvers = clientResolvers[typeName];
+  const resolver = typeResolvers && typeResolvers[fieldName];
+  const args = getClientArgs(field, variables);
+  const resolve = () => {
+    const state = getReduxState && getReduxState();
+    const doc = source === undefined ? state : source;
+    if (resolver) {
+      return resolver(doc, args, {state, variables});
+    }
+    return isObject(doc) ? doc[fieldName] : undefined;
+  };
+  const value = resolve();
+  if (context.clientFields) {
+    context.clientFields.push({resolve, value});
+  }
+  return pickSelections(value, field, variables);
+};
+
+// the field isn't in the schema, so the args are used just like they were written
+const getClientArgs = (field, variables = {}) => {
+  const args = {};
+  if (!field.arguments) return args;
+  for (let i = 0; i < field.arguments.length; i++) {
+    const arg = field.arguments[i];
+    args[arg.name.value] = arg.value.kind === VARIABLE ? variables[arg.value.name.value] : arg.value.value;
+  }
+  return args;
+};
+
+// an object from a resolver can have more than what was asked for, so only keep the fields in the selection set
+const pickSelections = (value, field, variables) => {
+  if (value === undefined) return null;
+  if (!field.selectionSet || !isObject(value)) return value;
+  if (Array.isArray(value)) {
+    return value.map(item => pickSelections(item, field, variables));
+  }
+  return field.selectionSet.selections.reduce((reduction, selection) => {
+    if (!isSelectionIncluded(selection, variables)) return reduction;
+    if (selection.kind === INLINE_FRAGMENT) {
+      return Object.assign(reduction, pickSelections(value, selection, variables));
+    }
+    const aliasOrFieldName = selection.alias && selection.alias.value || selection.name.value;
+    reduction[aliasOrFieldName] = pickSelections(value[selection.name.value], selection, variables);
+    return reduction;
+  }, {});
+};
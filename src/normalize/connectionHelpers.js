@@ -0,0 +1,71 @@
+import {TypeKind} from 'graphql/type/introspection';
+import {ensureRootType, ensureTypeFromNonNull} from '../utils';
+
+const {OBJECT, LIST} = TypeKind;
+
+// the reserved field names of a relay-style connection
+export const EDGES = 'edges';
+export const NODE = 'node';
+export const CURSOR = 'cursor';
+export const PAGE_INFO = 'pageInfo';
+
+// where the cursor of each edge is stored in the normalized connection, keyed by the normalized node
+// GraphQL reserves names starting with __, so it can't collide with a field
+export const CURSORS = '__cursors';
+
+/**
+ * a connection is an object type with a list of `edges` (each with a `node`) and a `pageInfo`
+ *
+ * @param {Object} typeSchema the schema of the type, eg schema.types.PostConnection
+ * @param {Object} schema the cashay client schema
+ *
+ * @returns {Boolean} true if the type is a relay-style connection
+ */
+export const isConnectionType = (typeSchema, schema) => {
+  if (!typeSchema || typeSchema.kind !== OBJECT || !typeSchema.fields) return false;
+  const edgesSchema = typeSchema.fields[EDGES];
+  if (!edgesSchema || !typeSchema.fields[PAGE_INFO] || ensureTypeFromNonNull(edgesSchema.type).kind !== LIST) {
+    return false;
+  }
+  const edgeSchema = getEdgeSchema(typeSchema, schema);
+  return Boolean(edgeSchema && edgeSchema.fields && edgeSchema.fields[NODE]);
+};
+
+/**
+ * get the type schema of the field, but only if it's a connection
+ */
+export const getConnectionSchema = (fieldSchema, schema) => {
+  if (!schema || !fieldSchema.type) return;
+  const typeSchema = schema.types[ensureRootType(fieldSchema.type).name];
+  return isConnectionType(typeSchema, schema) ? typeSchema : undefined;
+};
+
+export const getEdgeSchema = (connectionSchema, schema) => {
+  return schema.types[ensureRootType(connectionSchema.fields[EDGES].type).name];
+};
+
+export const getNodeSchema = (edgeSchema, schema) => {
+  return schema.types[ensureRootType(edgeSchema.fields[NODE].type).name];
+};
+
+/**
+ * turn the pagination flags of a sliced array into a relay pageInfo
+ * a page can only have more docs on the server if it's not the whole array, or the array doesn't have them all yet
+ *
+ * @param {Array} slicedArray the normalized nodes being returned, with BOF and EOF flags
+ * @param {Boolean} hasAllDocs true if the state holds every doc on the server in that direction
+ * @param {Object} paginationArgs the first/last args of the request
+ * @param {Object} cursors the cursor for each normalized node
+ *
+ * @returns {Object} the pageInfo, eg {hasNextPage, hasPreviousPage, startCursor, endCursor}
+ */
+export const makePageInfo = (slicedArray, hasAllDocs, {first, last}, cursors = {}) => {
+  const startNode = slicedArray[0];
+  const endNode = slicedArray[slicedArray.length - 1];
+  return {
+    hasNextPage: Boolean(first) && !(slicedArray.EOF && hasAllDocs),
+    hasPreviousPage: Boolean(last) && !(slicedArray.BOF && hasAllDocs),
+    startCursor: startNode && cursors[startNode] || null,
+    endCursor: endNode && cursors[endNode] || null
+  };
+};
@@ -1,8 +1,8 @@
 import {INLINE_FRAGMENT} from 'graphql/language/kinds';
 import {TypeKind} from 'graphql/type/introspection';
-import {ensureTypeFromNonNull, NORM_DELIMITER} from '../utils';
+import {ensureTypeFromNonNull, isAbstractType, NORM_DELIMITER} from '../utils';
 
-const {UNION, LIST, SCALAR} = TypeKind;
+const {LIST, SCALAR} = TypeKind;
 
 export const handleMissingData = (visit, aliasOrFieldName, field, fieldSchema, context) => {
   sendChildrenToServer(field);
@@ -13,23 +13,30 @@ export const handleMissingData = (visit, aliasOrFieldName, field, fieldSchema, c
     return [];
   } else {
     const newFieldSchema = context.schema.types[fieldType.name];
-    if (fieldType.kind === UNION) {
-      // since we don't know what the shape will look like, make it look like everything
-      // that way, we don't have to code defensively in the view layer
-      const {possibleTypes} = newFieldSchema;
-      const possibleTypesKeys = Object.keys(possibleTypes);
-      const unionResponse = {};
-      for (let possibleTypeKey of possibleTypesKeys) {
-        const objType = possibleTypes[possibleTypeKey];
-        const newFieldSchema = context.schema.types[objType.name];
-        Object.assign(unionResponse, visit(unionResponse, field, newFieldSchema, context), {__typename: null});
-      }
-      return unionResponse;
+    if (isAbstractType(fieldType)) {
+      return visitPossibleTypes(visit, field, newFieldSchema, context);
     }
     return visit({}, field, newFieldSchema, context);
   }
 };
 
+/**
+ * make a placeholder for a union or interface that isn't in the state
+ * since we don't know what the shape will look like, make it look like everything
+ * that way, we don't have to code defensively in the view layer
+ */
+export const visitPossibleTypes = (visit, field, abstractSchema, context) => {
+  const {possibleTypes} = abstractSchema;
+  const possibleTypesKeys = Object.keys(possibleTypes);
+  const unionResponse = {};
+  for (let possibleTypeKey of possibleTypesKeys) {
+    const objType = possibleTypes[possibleTypeKey];
+    const newFieldSchema = context.schema.types[objType.name];
+    Object.assign(unionResponse, visit({}, field, newFieldSchema, context), {__typename: null});
+  }
+  return unionResponse;
+};
+
 export const calculateSendToServer = (field, idFieldName) => {
   const {selections} = field.selectionSet;
   for (let i = 0; i < selections.length; i++) {
@@ -65,6 +72,12 @@ export const rebuildOriginalArgs = reqAST => {
   }
 };
 
+/**
+ * the string that points to a doc in the entities, eg 'PostType::p123'
+ * the key comes last since it can contain anything, even the delimiter
+ */
+export const makeNormalString = (typeName, docId) => `${typeName}${NORM_DELIMITER}${docId}`;
+
 export const getDocFromNormalString = (normalString) => {
   const splitPoint = normalString.indexOf(NORM_DELIMITER);
   const typeName = normalString.substr(0, splitPoint);
@@ -1,29 +1,54 @@
 import {TypeKind} from 'graphql/type/introspection';
 import {INLINE_FRAGMENT} from 'graphql/language/kinds';
-import {ensureRootType, ensureTypeFromNonNull, TYPENAME} from '../utils';
+import {
+  ensureRootType,
+  ensureTypeFromNonNull,
+  isClientField,
+  isFragmentOfType,
+  isSelectionIncluded,
+  TYPENAME
+} from '../utils';
 import {
   calculateSendToServer,
   sendChildrenToServer,
   handleMissingData,
+  visitPossibleTypes,
   getDocFromNormalString
 } from './denormalizeHelpers';
 import getFieldState from './getFieldState';
+import {readField} from './typePolicies';
+import {redirectToEntities} from './cacheRedirects';
+import {resolveClientField} from './clientResolvers';
+import {
+  isConnectionType,
+  getEdgeSchema,
+  makePageInfo,
+  EDGES,
+  NODE,
+  CURSOR,
+  CURSORS,
+  PAGE_INFO
+} from './connectionHelpers';
 
 
-const {UNION, LIST, OBJECT} = TypeKind;
+const {UNION, INTERFACE, LIST, OBJECT} = TypeKind;
 
 const arrayMetadata = ['BOF', 'EOF', 'count'];
 
 const visitObject = (subState = {}, reqAST, subSchema, context, baseReduction = {}) => {
   return reqAST.selectionSet.selections.reduce((reduction, field) => {
+    // a skipped field isn't in the response, so it doesn't need data or a trip to the server
+    if (!isSelectionIncluded(field, context.variables)) return reduction;
     if (field.kind === INLINE_FRAGMENT) {
-      // TODO handle null typeCondition?
-      if (field.typeCondition.name.value === subSchema.name) {
-        // only follow through if it's the correct union subtype
+      if (isFragmentOfType(field, subSchema, context.schema)) {
+        // only follow through if it's the correct union subtype or an interface that it implements
         visitObject(subState, field, subSchema, context, reduction);
       }
     } else if (field.name.value === TYPENAME) {
       reduction[TYPENAME] = subSchema.name;
+    } else if (isClientField(field)) {
+      const aliasOrFieldName = field.alias && field.alias.value || field.name.value;
+      reduction[aliasOrFieldName] = resolveClientField(subState, field, subSchema.name, context);
     } else {
       const fieldName = field.name.value;
       const aliasOrFieldName = field.alias && field.alias.value || fieldName;
@@ -32,12 +57,14 @@ const visitObject = (subState = {}, reqAST, subSchema, context, baseReduction =
         throw new Error(`No schema found for field: ${fieldName}. Did you update your schema?`)
       }
       const hasData = subState.hasOwnProperty(fieldName);
+      let fieldState = subState[fieldName];
+      if (hasData && fieldSchema.args) {
+        fieldState = getFieldState(fieldState, fieldSchema, field, context);
+      }
+      // a read function can compute the field or give it a default, so it doesn't have to come from the server
+      fieldState = readField(fieldState, fieldSchema, field, subSchema.name, context);
 
-      if (hasData) {
-        let fieldState = subState[fieldName];
-        if (fieldSchema.args) {
-          fieldState = getFieldState(fieldState, fieldSchema, field, context);
-        }
+      if (hasData || fieldState !== undefined) {
         reduction[aliasOrFieldName] = visit(fieldState, field, fieldSchema, context);
         if (field.selectionSet) {
           calculateSendToServer(field, context.idFieldName)
@@ -57,20 +84,35 @@ const visitNormalizedString = (subState, reqAST, subSchema, context) => {
   return visit(doc, reqAST, fieldSchema, context);
 };
 
+// a union or interface is a normalized string, unless its type isn't normalized. then it remembers its own __typename
+const visitAbstract = (subState, reqAST, subSchema, context) => {
+  if (typeof subState === 'string') {
+    return visitNormalizedString(subState, reqAST, subSchema, context);
+  }
+  if (!subState) {
+    sendChildrenToServer(reqAST);
+    const abstractSchema = subSchema.kind ? subSchema : context.schema.types[ensureRootType(subSchema.type).name];
+    return visitPossibleTypes(visit, reqAST, abstractSchema, context);
+  }
+  const fieldSchema = context.schema.types[subState[TYPENAME]];
+  return visit(subState, reqAST, fieldSchema, context);
+};
+
 const visitIterable = (subState, reqAST, subSchema, context) => {
 
-  // recurse into the root type, since it could be nonnull(list(nonnull(rootType))). Doesn't work with list of lists
-  const fieldType = ensureRootType(subSchema.type);
+  // the type of each item, without the nonnull. for a list of lists, eg [[Cell!]!], it's the inner list
+  const itemType = ensureTypeFromNonNull(ensureTypeFromNonNull(subSchema.type).ofType);
 
   if (Array.isArray(subState)) {
-    // get the schema for the root type, could be a union
-    const fieldSchema = context.schema.types[fieldType.name];
+    // get the schema for the item type, could be a union. an inner list gets visited like a field that returns it
+    const fieldSchema = itemType.kind === LIST ? {type: itemType} : context.schema.types[itemType.name];
 
     // for each value in the array, get the denormalized item
     const mappedState = [];
     for (let i = 0; i < subState.length; i++) {
       const res = subState[i];
-      mappedState[i] = visit(res, reqAST, fieldSchema, context);
+      // offset pages can have holes where the docs haven't arrived yet
+      mappedState[i] = res === null ? null : visit(res, reqAST, fieldSchema, context);
     }
     for (let i = 0; i < arrayMetadata.length; i++) {
       const metadataName = arrayMetadata[i];
@@ -78,6 +120,9 @@ const visitIterable = (subState, reqAST, subSchema, context) => {
         mappedState[metadataName] = subState[metadataName];
       }
     }
+    if (subState.offset !== undefined) {
+      mappedState.offset = subState.offset;
+    }
     return mappedState;
   }
   // recursively climb down the tree, flagging each branch with sendToServer
@@ -87,17 +132,111 @@ const visitIterable = (subState, reqAST, subSchema, context) => {
   return [];
 };
 
+/**
+ * rebuild the edges of a connection from the normalized nodes & their cursors
+ * pageInfo comes from getFieldState, or if the connection wasn't paginated, from the edges we have
+ */
+const visitConnection = (subState = {}, reqAST, subSchema, context) => {
+  const edgeSchema = getEdgeSchema(subSchema, context.schema);
+  const edgesState = subState[EDGES];
+  const cursors = subState[CURSORS] || {};
+  const otherSelections = [];
+  const reduction = {};
+  let edgesField;
+  let pageInfoField;
+  const {selections} = reqAST.selectionSet;
+  for (let i = 0; i < selections.length; i++) {
+    const field = selections[i];
+    if (!isSelectionIncluded(field, context.variables)) continue;
+    const fieldName = field.name && field.name.value;
+    if (fieldName === EDGES) {
+      edgesField = field;
+    } else if (fieldName === PAGE_INFO) {
+      pageInfoField = field;
+    } else {
+      otherSelections.push(field);
+    }
+  }
+  visitObject(subState, {selectionSet: {selections: otherSelections}}, subSchema, context, reduction);
+  if (edgesField) {
+    const aliasOrFieldName = edgesField.alias && edgesField.alias.value || EDGES;
+    if (Array.isArray(edgesState)) {
+      const edges = [];
+      for (let i = 0; i < edgesState.length; i++) {
+        edges[i] = visitEdge(edgesState[i], cursors, edgesField, edgeSchema, context);
+      }
+      for (let i = 0; i < arrayMetadata.length; i++) {
+        const metadataName = arrayMetadata[i];
+        if (edgesState[metadataName]) {
+          edges[metadataName] = edgesState[metadataName];
+        }
+      }
+      reduction[aliasOrFieldName] = edges;
+      calculateSendToServer(edgesField, context.idFieldName);
+    } else {
+      sendChildrenToServer(edgesField);
+      reduction[aliasOrFieldName] = [];
+    }
+    if (edgesField.sendToServer) {
+      // the cursors & pageInfo belong to the edges, so they come along for the ride
+      const cursorField = edgesField.selectionSet.selections.find(field => field.name && field.name.value === CURSOR);
+      if (cursorField) {
+        cursorField.sendToServer = true;
+      }
+      if (pageInfoField) {
+        sendChildrenToServer(pageInfoField);
+      }
+    }
+  }
+  if (pageInfoField) {
+    const aliasOrFieldName = pageInfoField.alias && pageInfoField.alias.value || PAGE_INFO;
+    const pageInfo = subState[PAGE_INFO] || makePageInfo(edgesState || [], true, {}, cursors);
+    reduction[aliasOrFieldName] = pageInfoField.selectionSet.selections.reduce((pageInfoReduction, field) => {
+      if (!isSelectionIncluded(field, context.variables)) return pageInfoReduction;
+      const aliasOrName = field.alias && field.alias.value || field.name.value;
+      pageInfoReduction[aliasOrName] = field.name.value === TYPENAME ?
+        ensureRootType(subSchema.fields[PAGE_INFO].type).name : pageInfo[field.name.value];
+      return pageInfoReduction;
+    }, {});
+  }
+  return reduction;
+};
+
+const visitEdge = (normalizedNode, cursors, edgesField, edgeSchema, context) => {
+  return edgesField.selectionSet.selections.reduce((reduction, field) => {
+    if (!isSelectionIncluded(field, context.variables)) return reduction;
+    const fieldName = field.name.value;
+    const aliasOrFieldName = field.alias && field.alias.value || fieldName;
+    if (fieldName === TYPENAME) {
+      reduction[aliasOrFieldName] = edgeSchema.name;
+    } else if (fieldName === CURSOR) {
+      reduction[aliasOrFieldName] = cursors[normalizedNode] || null;
+    } else if (fieldName === NODE) {
+      reduction[aliasOrFieldName] = visit(normalizedNode, field, edgeSchema.fields[NODE], context);
+      if (field.selectionSet) {
+        calculateSendToServer(field, context.idFieldName);
+      }
+    }
+    return reduction;
+  }, {});
+};
+
 const visit = (subState, reqAST, subSchema, context) => {
   // By implementing a ternary here, we can get rid of a pointless O(n) find in visitObject
-  const objectType = subSchema.kind ? subSchema.kind : subSchema.type.kind;
+  const objectType = subSchema.kind ? subSchema.kind : ensureTypeFromNonNull(subSchema.type).kind;
   switch (objectType) {
     case OBJECT:
       if (typeof subState === 'string') {
         return visitNormalizedString(subState, reqAST, subSchema, context);
       }
-      return visitObject(subState, reqAST, subSchema, context);
+      const typeSchema = subSchema.kind ? subSchema : context.schema.types[ensureRootType(subSchema.type).name];
+      if (isConnectionType(typeSchema, context.schema)) {
+        return visitConnection(subState, reqAST, typeSchema, context);
+      }
+      return visitObject(subState, reqAST, typeSchema, context);
     case UNION:
-      return visitNormalizedString(subState, reqAST, subSchema, context);
+    case INTERFACE:
+      return visitAbstract(subState, reqAST, subSchema, context);
     case LIST:
       return visitIterable(subState, reqAST, subSchema, context);
     default:
@@ -109,16 +248,26 @@ export default function denormalizeStore(context, isSubscription) {
   // if we have nothing in the local state for this query, send it right to the server
   let firstRun = true;
 
+  // every client field that gets resolved, so the response can be rebuilt when one of them changes
+  context.clientFields = [];
+
   // Lookup the root schema for the queryType (hardcoded name in the return of the introspection query)
   const schema = isSubscription ? context.schema.subscriptionSchema : context.schema.querySchema;
 
   // a query operation can have multiple queries, gotta catch 'em all
   const queryReduction = context.operation.selectionSet.selections.reduce((reduction, selection) => {
+    if (!isSelectionIncluded(selection, context.variables)) return reduction;
     const queryName = selection.name.value;
 
     // aliases are common for executing the same query twice (eg getPerson(id:1) getPerson(id:2))
     const aliasOrName = selection.alias && selection.alias.value || queryName;
 
+    // a client field isn't in the result, it comes from the rest of the redux state
+    if (isClientField(selection)) {
+      reduction[aliasOrName] = resolveClientField(undefined, selection, schema.name, context);
+      return reduction;
+    }
+
     // get the query schema to know the expected type and args
     const queryFieldSchema = schema.fields[queryName];
     if (!queryFieldSchema) {
@@ -131,7 +280,13 @@ export default function denormalizeStore(context, isSubscription) {
     let queryInState = context.cashayDataState.result[queryName];
 
     // if there's no results stored or being fetched, save some time & don't bother with the args
-    const fieldState = queryInState && getFieldState(queryInState, queryFieldSchema, selection, context);
+    let fieldStateInState = queryInState && getFieldState(queryInState, queryFieldSchema, selection, context);
+
+    // a query that hasn't been called with these args could still point to docs that other queries fetched
+    if (fieldStateInState === undefined && !isSubscription) {
+      fieldStateInState = redirectToEntities(queryFieldSchema, selection, context);
+    }
+    const fieldState = readField(fieldStateInState, queryFieldSchema, selection, schema.name, context);
 
     // if a result exists in the state, this isn't the first time the query was called.
     // a firstRun flag means there's no need to try to minimize the query pre-server fetch & no need to add deps
@@ -2,21 +2,52 @@ export const INSERT_QUERY = '@@cashay/INSERT_QUERY';
 export const INSERT_MUTATION = '@@cashay/INSERT_MUTATION';
 export const SET_VARIABLES = '@@cashay/SET_VARIABLES';
 export const SET_ERROR = '@@cashay/SET_ERROR';
+export const COLLECT_GARBAGE = '@@cashay/COLLECT_GARBAGE';
+export const ENQUEUE_MUTATION = '@@cashay/ENQUEUE_MUTATION';
+export const DEQUEUE_MUTATION = '@@cashay/DEQUEUE_MUTATION';
+export const ROLLBACK_MUTATION = '@@cashay/ROLLBACK_MUTATION';
 import mergeStores from './mergeStores';
+import {removeGarbage} from './findGarbage';
+import {restoreSnapshot} from '../mutate/rollback';
+
+// the key of the cashay sub-state in the redux state if none is provided
+export const DEFAULT_STATE_KEY = 'cashay';
 
 const initialState = {
   error: null,
   data: {
     entities: {},
     result: {},
-    variables: {}
-  }
+    variables: {},
+    // when each result & entity was last fetched from the server, used for TTLs
+    fetchedAt: {
+      entities: {},
+      result: {}
+    }
+  },
+  // the mutations waiting for a connection, in the order they were called
+  // const example = [{id, mutationName, variables, components, request, queuedAt, snapshot, changes}]
+  offlineQueue: []
 };
 
-export default function reducer(state = initialState, action) {
+/**
+ * create a reducer that only responds to actions dispatched by the cashay instance with the same stateKey
+ * that way, many instances can share 1 redux store by mounting each reducer under its own key
+ */
+export const createCashayReducer = (stateKey = DEFAULT_STATE_KEY) => {
+  return (state = initialState, action) => {
+    const actionStateKey = action.meta && action.meta.stateKey || DEFAULT_STATE_KEY;
+    return actionStateKey === stateKey ? reducer(state, action) : state;
+  };
+};
+
+export default createCashayReducer();
+
+const reducer = (state, action) => {
   if (action.type === INSERT_QUERY) {
-    const {variables, response} = action.payload;
-    const newMergedState = mergeStores(state.data, response);
+    const {variables, response, fetchedAt} = action.payload;
+    const mergedState = mergeStores(state.data, response);
+    const newMergedState = fetchedAt ? {...mergedState, fetchedAt: mergeStores(state.data.fetchedAt, fetchedAt)} : mergedState;
     return variables ? newStateWithVars(state, newMergedState, action.payload) : {...state, data: newMergedState, error: null};
   } else if (action.type === INSERT_MUTATION) {
     const newMergedState = mergeStores(state.data, action.payload.response, true);
@@ -25,6 +56,16 @@ export default function reducer(state = initialState, action) {
     return newStateWithVars(state, {...state.data}, action.payload);
   } else if (action.type === SET_ERROR) {
     return {...state, error: action.error};
+  } else if (action.type === COLLECT_GARBAGE) {
+    return {...state, data: removeGarbage(state.data, action.payload.garbage)};
+  } else if (action.type === ENQUEUE_MUTATION) {
+    const {offlineQueue = []} = state;
+    return {...state, offlineQueue: [...offlineQueue, action.payload.mutation]};
+  } else if (action.type === DEQUEUE_MUTATION) {
+    const {offlineQueue = []} = state;
+    return {...state, offlineQueue: offlineQueue.filter(mutation => mutation.id !== action.payload.id)};
+  } else if (action.type === ROLLBACK_MUTATION) {
+    return {...state, data: restoreSnapshot(state.data, action.payload.snapshot)};
   } else {
     return state;
   }
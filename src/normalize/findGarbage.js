@@ -0,0 +1,161 @@
+import {isObject, NORM_DELIMITER} from '../utils';
+import {getDocFromNormalString, makeNormalString} from './denormalizeHelpers';
+import {getPossibleArgs, getPaginationWords} from './separateArgs';
+
+/**
+ * Mark & sweep the normalized store.
+ * Everything reachable from a retained result or a retained entity survives, the rest is garbage.
+ *
+ * @param {Object} cashayDataState the data in the cashay sub-state
+ * @param {Object} roots
+ * @property {Object} roots.resultRoots the results that are in use, eg {[queryName]: true || Set(...argsKeys)}
+ * @property {Set} roots.entityRoots the entities that are in use, eg Set(...['PostType::p123'])
+ * @param {Object} context
+ * @property {Object} context.schema the cashay client schema
+ * @property {Object} context.paginationWords the reserved words for pagination
+ * @property {Map} [context.paginationPolicies] the pagination policy for each field, see makePaginationPolicies
+ *
+ * @returns {Object|undefined} the garbage, eg {entities: {[typeName]: [ids]}, result: {[queryName]: true || [argsKeys]}}
+ */
+export default function findGarbage(cashayDataState, {resultRoots, entityRoots}, context) {
+  const {entities, result} = cashayDataState;
+  const marked = new Set();
+  const queue = [];
+  const mark = value => {
+    if (typeof value === 'string') {
+      if (value.indexOf(NORM_DELIMITER) === -1 || marked.has(value)) return;
+      const {typeName, docId} = getDocFromNormalString(value);
+      const doc = entities[typeName] && entities[typeName][docId];
+      if (doc) {
+        marked.add(value);
+        queue.push(doc);
+      }
+    } else if (isObject(value)) {
+      // works for arrays, objects full of args, and documents alike
+      const valueKeys = Object.keys(value);
+      for (let i = 0; i < valueKeys.length; i++) {
+        mark(value[valueKeys[i]]);
+      }
+    }
+  };
+
+  const garbage = {entities: {}, result: {}};
+  let hasGarbage = false;
+
+  // sweep the results & mark the entities they reference
+  const queryNames = Object.keys(result);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    const resultRoot = resultRoots[queryName];
+    if (!resultRoot) {
+      garbage.result[queryName] = true;
+      hasGarbage = true;
+      continue;
+    }
+    const queryResult = result[queryName];
+    if (resultRoot === true || !isKeyedByArgs(queryName, context)) {
+      mark(queryResult);
+      continue;
+    }
+    const argsKeys = Object.keys(queryResult);
+    for (let j = 0; j < argsKeys.length; j++) {
+      const argsKey = argsKeys[j];
+      if (resultRoot.has(argsKey)) {
+        mark(queryResult[argsKey]);
+      } else {
+        garbage.result[queryName] = garbage.result[queryName] || [];
+        garbage.result[queryName].push(argsKey);
+        hasGarbage = true;
+      }
+    }
+  }
+
+  for (let normalString of entityRoots) {
+    mark(normalString);
+  }
+
+  // walk every marked doc to find the docs that it references
+  while (queue.length) {
+    mark(queue.shift());
+  }
+
+  // sweep the entities
+  const typeNames = Object.keys(entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const entityNames = Object.keys(entities[typeName]);
+    for (let j = 0; j < entityNames.length; j++) {
+      const entityName = entityNames[j];
+      if (!marked.has(makeNormalString(typeName, entityName))) {
+        garbage.entities[typeName] = garbage.entities[typeName] || [];
+        garbage.entities[typeName].push(entityName);
+        hasGarbage = true;
+      }
+    }
+  }
+  return hasGarbage ? garbage : undefined;
+};
+
+/**
+ * results are stored under an args key only if the query accepts regular (non-pagination) args
+ */
+const isKeyedByArgs = (queryName, context) => {
+  const fieldSchema = context.schema.querySchema.fields[queryName];
+  if (!fieldSchema) return false;
+  return Boolean(getPossibleArgs(fieldSchema, getPaginationWords(fieldSchema, context)).acceptsRegularArgs);
+};
+
+/**
+ * remove the garbage found by findGarbage from the data in the cashay sub-state
+ */
+export const removeGarbage = (cashayDataState, garbage) => {
+  const entities = {...cashayDataState.entities};
+  const result = {...cashayDataState.result};
+  const {fetchedAt} = cashayDataState;
+  const newFetchedAt = fetchedAt && {
+    entities: {...fetchedAt.entities},
+    result: {...fetchedAt.result}
+  };
+
+  const typeNames = Object.keys(garbage.entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    // keep the type around (even if it's empty) so dangling references are treated like missing data
+    entities[typeName] = {...entities[typeName]};
+    const typeFetchedAt = newFetchedAt && newFetchedAt.entities[typeName] && {...newFetchedAt.entities[typeName]};
+    for (let entityName of garbage.entities[typeName]) {
+      delete entities[typeName][entityName];
+      if (typeFetchedAt) {
+        delete typeFetchedAt[entityName];
+      }
+    }
+    if (typeFetchedAt) {
+      newFetchedAt.entities[typeName] = typeFetchedAt;
+    }
+  }
+
+  const queryNames = Object.keys(garbage.result);
+  for (let i = 0; i < queryNames.length; i++) {
+    const queryName = queryNames[i];
+    const argsKeys = garbage.result[queryName];
+    if (argsKeys === true) {
+      delete result[queryName];
+      if (newFetchedAt) {
+        delete newFetchedAt.result[queryName];
+      }
+      continue;
+    }
+    result[queryName] = {...result[queryName]};
+    const queryFetchedAt = newFetchedAt && newFetchedAt.result[queryName] && {...newFetchedAt.result[queryName]};
+    for (let argsKey of argsKeys) {
+      delete result[queryName][argsKey];
+      if (queryFetchedAt) {
+        delete queryFetchedAt[argsKey];
+      }
+    }
+    if (queryFetchedAt) {
+      newFetchedAt.result[queryName] = queryFetchedAt;
+    }
+  }
+  return {...cashayDataState, entities, result, fetchedAt: newFetchedAt};
+};
@@ -1,8 +1,10 @@
 import {STRING, INT, VARIABLE} from 'graphql/language/kinds';
-import {isObject, getRegularArgsKey, FULL, FRONT, BACK} from '../utils';
-import {separateArgs} from './separateArgs';
+import {isObject, getRegularArgsKey, FULL, FRONT, BACK, INDEXED, WINDOWS} from '../utils';
+import {separateArgs, getOffsetWords, getPaginationWords} from './separateArgs';
 import {getDocFromNormalString, sendChildrenToServer} from './denormalizeHelpers';
 import {RequestArgument} from '../helperClasses';
+import {getConnectionSchema, makePageInfo, EDGES, CURSORS, PAGE_INFO} from './connectionHelpers';
+import {isWindowRequest, findInWindows, getDocCursors} from './windowHelpers';
 
 /**
  * given a parent field state & some args, drill down to the data using the args as a map
@@ -16,15 +18,22 @@ import {RequestArgument} from '../helperClasses';
  * */
 export default function getFieldState(fieldState, fieldSchema, selection, context) {
   if (isObject(fieldState)) {
-    const {skipTransform, paginationWords} = context;
+    const {skipTransform} = context;
     const {arguments: fieldArgs} = selection;
     const {regularArgs, paginationArgs} = separateArgs(fieldSchema, fieldArgs, context);
     if (regularArgs) {
       const regularArgsString = getRegularArgsKey(regularArgs);
       fieldState = fieldState[regularArgsString];
     }
-    if (paginationArgs) {
-      const arrType = fieldState[FULL] ? FULL : paginationArgs[paginationWords.last] ? BACK : FRONT;
+    const offsetWords = getOffsetWords(fieldSchema, context);
+    if (paginationArgs && offsetWords) {
+      fieldState = getOffsetState(fieldState, paginationArgs, offsetWords, selection, context);
+    } else if (paginationArgs && getConnectionSchema(fieldSchema, context.schema)) {
+      fieldState = getConnectionState(fieldState, paginationArgs, fieldSchema, selection, context);
+    } else if (paginationArgs && isWindowRequest(fieldSchema, selection, context)) {
+      fieldState = getWindowState(fieldState, paginationArgs, fieldSchema, selection, context);
+    } else if (paginationArgs) {
+      const arrType = fieldState[FULL] ? FULL : paginationArgs.last ? BACK : FRONT;
       fieldState = handlePaginationArgs(paginationArgs, fieldState[arrType], arrType);
       if (arrType !== FULL && !skipTransform) {
         reducePaginationRequest(paginationArgs, fieldState, fieldSchema, selection, context);
@@ -34,6 +43,176 @@ export default function getFieldState(fieldState, fieldSchema, selection, contex
   return fieldState;
 };
 
+/**
+ * get a page from an offset list. if there are holes in it, ask the server for just the missing range
+ * the page remembers its offset so it can be normalized back into place (see normalizeResponse)
+ */
+const getOffsetState = (fieldState, paginationArgs, offsetWords, selection, context) => {
+  const indexedArray = isObject(fieldState) && fieldState[INDEXED];
+  if (!indexedArray) return;
+  const {offset = 0, limit} = paginationArgs;
+  const requestedEnd = limit === undefined ? Infinity : offset + limit;
+  const end = indexedArray.EOF ? Math.min(requestedEnd, indexedArray.length) : requestedEnd;
+  let firstMissingIdx;
+  let lastMissingIdx;
+  const page = [];
+  for (let i = offset; i < Math.min(end, indexedArray.length); i++) {
+    const doc = indexedArray[i];
+    if (doc === null || doc === undefined) {
+      firstMissingIdx = firstMissingIdx === undefined ? i : firstMissingIdx;
+      lastMissingIdx = i;
+    }
+    page.push(doc === undefined ? null : doc);
+  }
+  if (end > indexedArray.length) {
+    // we need docs past what we have
+    firstMissingIdx = firstMissingIdx === undefined ? Math.max(offset, indexedArray.length) : firstMissingIdx;
+    lastMissingIdx = end - 1;
+  }
+  // trailing holes aren't useful, they're just docs that are still on their way
+  while (page.length && page[page.length - 1] === null) {
+    page.pop();
+  }
+  page.offset = offset;
+  page.EOF = Boolean(indexedArray.EOF) && end >= indexedArray.length;
+  if (firstMissingIdx !== undefined && !context.skipTransform) {
+    reduceOffsetRequest(firstMissingIdx, lastMissingIdx, offsetWords, selection);
+  }
+  return page;
+};
+
+const reduceOffsetRequest = (firstMissingIdx, lastMissingIdx, offsetWords, selection) => {
+  const {arguments: fieldArgs} = selection;
+  sendChildrenToServer(selection);
+  selection.originalArguments = fieldArgs.slice();
+  const newArgs = fieldArgs.filter(arg => arg.name.value !== offsetWords.offset && arg.name.value !== offsetWords.limit);
+  newArgs.push(makeCountArg(offsetWords.offset, firstMissingIdx));
+  // without an end, we want everything after the first missing doc
+  if (lastMissingIdx !== Infinity) {
+    newArgs.push(makeCountArg(offsetWords.limit, lastMissingIdx - firstMissingIdx + 1));
+  }
+  selection.arguments = newArgs;
+};
+
+/**
+ * paginate the edges of a connection & recreate its pageInfo
+ */
+const getConnectionState = (fieldState, paginationArgs, fieldSchema, selection, context) => {
+  if (!isObject(fieldState) || !isObject(fieldState[EDGES])) return fieldState;
+  const {skipTransform} = context;
+  const edgesState = fieldState[EDGES];
+  const cursors = fieldState[CURSORS];
+  if (isWindowRequest(fieldSchema, selection, context)) {
+    const edges = getWindowState(edgesState, paginationArgs, fieldSchema, selection, context, cursors);
+    if (!edges) {
+      const otherFields = {...fieldState};
+      delete otherFields[EDGES];
+      return otherFields;
+    }
+    return {
+      ...fieldState,
+      [EDGES]: edges,
+      [PAGE_INFO]: makePageInfo(edges, true, paginationArgs, cursors)
+    };
+  }
+  const arrType = edgesState[FULL] ? FULL : paginationArgs.last ? BACK : FRONT;
+  const usefulArray = edgesState[arrType];
+  if (!usefulArray) {
+    // we only have docs from the other direction, so the edges have to come from the server
+    const otherFields = {...fieldState};
+    delete otherFields[EDGES];
+    return otherFields;
+  }
+  const {first, last} = paginationArgs;
+  let edges;
+  if (first || last) {
+    edges = handlePaginationArgs(paginationArgs, usefulArray);
+    if (arrType !== FULL && !skipTransform) {
+      reducePaginationRequest(paginationArgs, edges, fieldSchema, selection, context, cursors);
+    }
+  } else {
+    // without a count, the connection is everything we have
+    edges = usefulArray.slice();
+    assignFieldStateMeta(edges, usefulArray);
+  }
+  const hasAllDocs = arrType === FULL || Boolean(first ? usefulArray.EOF : usefulArray.BOF);
+  return {
+    ...fieldState,
+    [EDGES]: edges,
+    [PAGE_INFO]: makePageInfo(edges, hasAllDocs, paginationArgs, cursors)
+  };
+};
+
+/**
+ * get a page that starts at a cursor from the segment that holds the cursor.
+ * if the segment doesn't have enough docs, only ask the server for the ones after the segment ends
+ *
+ * @returns {Array|undefined} the page with BOF & EOF flags, or undefined if we've never seen the cursor
+ */
+const getWindowState = (listState, paginationArgs, fieldSchema, selection, context, cursors) => {
+  if (!isObject(listState)) return;
+  const {after, before, first, last} = paginationArgs;
+  const windowState = findInWindows(listState[WINDOWS], after || before);
+  // the cursor might also be in a page that started at the front or back
+  const arrayState = windowState ? undefined : findInWindows(getArraySegments(listState, context, cursors), after || before);
+  const {segment, beforeEnd, afterStart} = windowState || arrayState || {};
+  if (!segment) return;
+  const {docs} = segment;
+  let page;
+  let missingDocCount;
+  if (after) {
+    page = docs.slice(afterStart, afterStart + first);
+    page.EOF = segment.EOF && afterStart + first >= docs.length;
+    missingDocCount = page.EOF ? 0 : first - page.length;
+  } else {
+    page = docs.slice(Math.max(0, beforeEnd - last), beforeEnd);
+    page.BOF = segment.BOF && beforeEnd - last <= 0;
+    missingDocCount = page.BOF ? 0 : last - page.length;
+  }
+  if (missingDocCount > 0 && !context.skipTransform) {
+    sendChildrenToServer(selection);
+    // the front & back arrays aren't segments, so a partial page from them is asked for in full & becomes 1
+    if (windowState && page.length) {
+      reduceWindowRequest(paginationArgs, page, segment, missingDocCount, fieldSchema, selection, context);
+    }
+  }
+  return page;
+};
+
+// start from the cursor of the last doc we have, since the server's response will join the segment there
+const reduceWindowRequest = (paginationArgs, page, segment, missingDocCount, fieldSchema, selection, context) => {
+  const {after} = paginationArgs;
+  const bestCursor = segment.cursors[after ? page[page.length - 1] : page[0]];
+  if (!bestCursor) return;
+  const {arguments: fieldArgs} = selection;
+  const paginationWords = getPaginationWords(fieldSchema, context);
+  const countWord = after ? paginationWords.first : paginationWords.last;
+  const cursorWord = after ? paginationWords.after : paginationWords.before;
+  selection.originalArguments = fieldArgs.slice();
+  const newArgs = fieldArgs.filter(arg => arg.name.value !== countWord && arg.name.value !== cursorWord);
+  newArgs.push(makeCountArg(countWord, missingDocCount), makeCursorArg(cursorWord, bestCursor));
+  selection.arguments = newArgs;
+};
+
+// treat the front, back, & full arrays like segments that start or end at the edge of the list
+const getArraySegments = (listState, context, cursors) => {
+  const arraySegments = [];
+  const arrTypes = [FULL, FRONT, BACK];
+  for (let i = 0; i < arrTypes.length; i++) {
+    const arrType = arrTypes[i];
+    const docs = listState[arrType];
+    if (!Array.isArray(docs)) continue;
+    arraySegments.push({
+      docs,
+      cursors: cursors || getDocCursors(docs, context.cashayDataState.entities),
+      anchors: {},
+      BOF: arrType !== BACK,
+      EOF: arrType !== FRONT
+    });
+  }
+  return arraySegments;
+};
+
 const handlePaginationArgs = (paginationArgs, usefulArray) => {
   const {first, last} = paginationArgs;
 
@@ -59,11 +238,11 @@ const handlePaginationArgs = (paginationArgs, usefulArray) => {
   return slicedArr;
 };
 
-const reducePaginationRequest = (paginationArgs, usefulArray, fieldSchema, selection, context) => {
+const reducePaginationRequest = (paginationArgs, usefulArray, fieldSchema, selection, context, cursors) => {
   const {first, last} = paginationArgs;
   const count = last || first;
   const {arguments: fieldArgs} = selection;
-  const {paginationWords} = context;
+  const paginationWords = getPaginationWords(fieldSchema, context);
   const countWord = last ? paginationWords.last : paginationWords.first;
 
   const missingDocCount = count - usefulArray.length;
@@ -77,7 +256,7 @@ const reducePaginationRequest = (paginationArgs, usefulArray, fieldSchema, selec
     sendChildrenToServer(selection);
     // TODO when to remove doWarn?
     const doWarn = true;
-    const {bestCursor, cursorIdx} = getBestCursor(first, usefulArray, context.cashayDataState.entities, doWarn);
+    const {bestCursor, cursorIdx} = getBestCursor(first, usefulArray, context.cashayDataState.entities, doWarn, cursors);
     const desiredDocCount = count - (cursorIdx + 1);
 
     // save the original arguments, we'll overwrite them with efficient ones for the server,
@@ -96,26 +275,30 @@ const reducePaginationRequest = (paginationArgs, usefulArray, fieldSchema, selec
   }
 };
 
-const getBestCursor = (first, usefulArray, entities, doWarn) => {
-  let storedDoc;
+// the cursor lives on the doc, or for connections, in a map next to the edges
+const getBestCursor = (first, usefulArray, entities, doWarn, cursors) => {
+  const getCursor = normalString => {
+    if (cursors) return cursors[normalString];
+    // given something like `Post:123`, return the document from the store
+    const {typeName, docId} = getDocFromNormalString(normalString);
+    return entities[typeName][docId].cursor;
+  };
+  let cursor;
   let i;
   if (first) {
     for (i = usefulArray.length - 1; i >= 0; i--) {
-      // given something like `Post:123`, return the document from the store
-      const {typeName, docId} = getDocFromNormalString(usefulArray[i]);
-      storedDoc = entities[typeName][docId];
-      if (storedDoc.cursor) break;
+      cursor = getCursor(usefulArray[i]);
+      if (cursor) break;
     }
   } else {
     for (i = 0; i < usefulArray.length; i++) {
-      const {typeName, docId} = getDocFromNormalString(usefulArray[i]);
-      storedDoc = entities[typeName][docId];
-      if (storedDoc.cursor) break;
+      cursor = getCursor(usefulArray[i]);
+      if (cursor) break;
     }
   }
 
   if (i >= 0 && i < usefulArray.length) {
-    return {bestCursor: storedDoc.cursor, cursorIdx: i};
+    return {bestCursor: cursor, cursorIdx: i};
   } else if (doWarn) {
     console.warn(`No cursor was included for the following docs: ${usefulArray}. 
         Include the 'cursor' field for those docs`)
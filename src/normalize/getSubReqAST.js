@@ -1,10 +1,25 @@
 import {INLINE_FRAGMENT} from 'graphql/language/kinds';
+import {isFragmentOfType, isSelectionIncluded} from '../utils';
 
-export const getSubReqAST = (key, reqAST, fragments) => {
+// if the concrete type is given, fragments on other types are skipped since they can select the same field differently
+// skipped selections aren't in the response, so a key always belongs to a selection that's included with these variables
+export const getSubReqAST = (key, reqAST, variables, typeSchema, schema) => {
+  const subReqAST = findSubReqAST(key, reqAST, variables, typeSchema, schema);
+  if (!subReqAST) {
+    throw new Error(`${key} was found in the query response, but not the request.
+    Did you optimistically add more fields than you originally requested?`)
+  }
+  return subReqAST;
+};
+
+// a field that isn't in one fragment could still be in the next one, so only the top level throws
+const findSubReqAST = (key, reqAST, variables, typeSchema, schema) => {
   let subReqAST;
   for (let selection of reqAST.selectionSet.selections) {
+    if (!isSelectionIncluded(selection, variables)) continue;
     if (selection.kind === INLINE_FRAGMENT) {
-      subReqAST = getSubReqAST(key, selection, fragments);
+      if (typeSchema && !isFragmentOfType(selection, typeSchema, schema)) continue;
+      subReqAST = findSubReqAST(key, selection, variables, typeSchema, schema);
     } else if (selection.alias && selection.alias.value === key || selection.name.value === key) {
       subReqAST = selection;
     }
@@ -12,6 +27,4 @@ export const getSubReqAST = (key, reqAST, fragments) => {
       return subReqAST;
     }
   }
-  throw new Error(`${key} was found in the query response, but not the request.
-    Did you optimistically add more fields than you originally requested?`)
 };
@@ -1,6 +1,7 @@
-import {isObject, FRONT, BACK, FULL} from '../utils';
+import {isObject, FRONT, BACK, FULL, INDEXED, WINDOWS} from '../utils';
+import {mergeWindows} from './windowHelpers';
 
-const paginationArrayNames = new Set([FRONT, BACK, FULL]);
+const paginationArrayNames = new Set([FRONT, BACK, FULL, INDEXED]);
 
 /**
  * check for overlap in docs, intelligently append keys
@@ -41,7 +42,37 @@ const mergeDifferentArrays = (front, back) => {
   }
 };
 
+/**
+ * offset pages know exactly where they go, so there's no guessing about overlap. newer docs win.
+ * if the page hit the end of the list, that's where the list ends now, even if it used to be longer
+ */
+const mergeIndexedArrays = (targetArray, srcArray) => {
+  const mergedArray = targetArray.slice();
+  for (let i = 0; i < srcArray.length; i++) {
+    if (srcArray[i] !== null && srcArray[i] !== undefined) {
+      mergedArray[i] = srcArray[i];
+    }
+  }
+  // fill the holes so the array survives a trip through JSON
+  for (let i = 0; i < mergedArray.length; i++) {
+    if (mergedArray[i] === undefined) {
+      mergedArray[i] = null;
+    }
+  }
+  if (srcArray.EOF) {
+    mergedArray.length = srcArray.length;
+    mergedArray.EOF = true;
+  } else if (targetArray.EOF && mergedArray.length === targetArray.length) {
+    mergedArray.EOF = true;
+  }
+  return mergedArray;
+};
+
 const handleArrays = (target, src) => {
+  if (src[INDEXED]) {
+    target[INDEXED] = target[INDEXED] ? mergeIndexedArrays(target[INDEXED], src[INDEXED]) : src[INDEXED];
+    return;
+  }
   // merge similar
   const pageTarget = {};
   const pageSrc = {};
@@ -122,7 +153,10 @@ export default function mergeStores(state, src, isMutation) {
       if (isObject(srcProp) && isObject(targetProp)) {
         const srcIsArray = Array.isArray(srcProp);
         const stateIsArray = Array.isArray(targetProp);
-        if (!srcIsArray && !stateIsArray) {
+        if (key === WINDOWS && srcIsArray && stateIsArray) {
+          // segments that overlap become 1 bigger segment
+          target[key] = mergeWindows(targetProp, srcProp);
+        } else if (!srcIsArray && !stateIsArray) {
           // if both the state and src are objects, merge them
           target[key] = {...mergeStores(targetProp, srcProp, isMutation)};
         } else if (isCashayArray) {
@@ -137,6 +171,8 @@ export default function mergeStores(state, src, isMutation) {
             const spliceStart = targetPropCopy.length - oldCount;
             targetPropCopy.splice(spliceStart, targetPropCopy.length, ...srcProp);
             target[key] = targetPropCopy;
+          } else if (key === INDEXED) {
+            target[key] = mergeIndexedArrays(targetProp, srcProp);
           }
         } else {
           // if the src is not the same as the state, use the pointer from src
@@ -1,19 +1,59 @@
 import mergeStores from './mergeStores';
-import {separateArgs} from './separateArgs';
+import {separateArgs, getOffsetWords, getPaginationWords} from './separateArgs';
 import {getSubReqAST} from './getSubReqAST';
-import {ensureRootType, getRegularArgsKey, isObject, NORM_DELIMITER, FULL, FRONT, BACK} from '../utils';
+import {
+  ensureRootType,
+  getRegularArgsKey,
+  isObject,
+  isAbstractType,
+  isClientField,
+  TYPENAME,
+  FULL,
+  FRONT,
+  BACK,
+  INDEXED,
+  WINDOWS
+} from '../utils';
+import {makeNormalString} from './denormalizeHelpers';
+import {getKeyFields, getDocKey} from './typePolicies';
+import {isWindowRequest, makeSegment, getDocCursors} from './windowHelpers';
 import {VARIABLE} from 'graphql/language/kinds';
-import {TypeKind} from 'graphql/type/introspection';
+import {
+  getConnectionSchema,
+  isConnectionType,
+  getEdgeSchema,
+  getNodeSchema,
+  EDGES,
+  NODE,
+  CURSOR,
+  CURSORS,
+  PAGE_INFO
+} from './connectionHelpers';
 
-const {UNION} = TypeKind;
-
-const mapResponseToResult = (nestedResult, response, fieldSchema, reqASTArgs, context) => {
-  const {regularArgs, paginationArgs} = separateArgs(fieldSchema, reqASTArgs, context);
+const mapResponseToResult = (nestedResult, response, fieldSchema, subReqAST, context, bag) => {
+  const {regularArgs, paginationArgs} = separateArgs(fieldSchema, subReqAST.arguments, context);
   const regularArgsString = getRegularArgsKey(regularArgs);
-  if (paginationArgs) {
+  if (paginationArgs && getOffsetWords(fieldSchema, context)) {
+    response = {[INDEXED]: placeAtOffset(response, paginationArgs)};
+  } else if (paginationArgs && isWindowRequest(fieldSchema, subReqAST, context)) {
+    // a page that starts at a cursor is a segment in the middle of the list
+    if (getConnectionSchema(fieldSchema, context.schema)) {
+      if (isObject(response) && Array.isArray(response[EDGES])) {
+        const segment = makeSegment(response[EDGES], paginationArgs, response[CURSORS]);
+        response = {...response, [EDGES]: {[WINDOWS]: [segment]}};
+      }
+    } else if (Array.isArray(response)) {
+      response = {[WINDOWS]: [makeSegment(response, paginationArgs, getDocCursors(response, bag))]};
+    }
+  } else if (paginationArgs) {
     const {first, last} = paginationArgs;
     const arrName = first ? FRONT : last ? BACK : FULL;
-    response = {[arrName]: response};
+    if (getConnectionSchema(fieldSchema, context.schema)) {
+      // only the edges of a connection are paginated
+      response = {...response, [EDGES]: {[arrName]: response[EDGES]}};
+    } else {
+      response = {[arrName]: response};
+    }
   }
   if (regularArgs === false) {
     return response;
@@ -23,10 +63,36 @@ const mapResponseToResult = (nestedResult, response, fieldSchema, reqASTArgs, co
   }
 };
 
+/**
+ * put an offset page where it belongs in the list, eg offset 2 => [null, null, ...page]
+ * a local response remembers its offset because its args may have been rewritten to only get the missing docs
+ */
+const placeAtOffset = (normalizedPage, paginationArgs) => {
+  if (!Array.isArray(normalizedPage)) return normalizedPage;
+  const isLocal = normalizedPage.offset !== undefined;
+  const offset = isLocal ? normalizedPage.offset : paginationArgs.offset || 0;
+  const {limit} = paginationArgs;
+  const indexedArray = [];
+  for (let i = 0; i < offset; i++) {
+    indexedArray[i] = null;
+  }
+  for (let i = 0; i < normalizedPage.length; i++) {
+    indexedArray[offset + i] = normalizedPage[i];
+  }
+  // without a limit, the server sent everything after the offset
+  const isEOF = isLocal ? normalizedPage.EOF : limit === undefined || normalizedPage.length < limit;
+  if (isEOF) {
+    indexedArray.EOF = true;
+  }
+  return indexedArray;
+};
+
 const visitObject = (bag, subResponse, reqAST, subSchema, context) => {
   return Object.keys(subResponse).reduce((reduction, key) => {
     if (key.startsWith('__')) return reduction;
-    let subReqAST = getSubReqAST(key, reqAST, context.fragments);
+    let subReqAST = getSubReqAST(key, reqAST, context.variables, subSchema, context.schema);
+    // a client field is resolved from the redux state every time, so it isn't stored
+    if (isClientField(subReqAST)) return reduction;
     const name = subReqAST.name.value;
     const field = subSchema.fields[name];
     if (!field) {
@@ -36,9 +102,9 @@ const visitObject = (bag, subResponse, reqAST, subSchema, context) => {
     let fieldSchema = context.schema.types[fieldType.name];
     // handle first recursion where things are stored in the query
     fieldSchema = fieldSchema || subSchema.types[fieldType.name];
-    const normalizedResponse = visit(bag, subResponse[key], subReqAST, fieldSchema, context);
+    const normalizedResponse = visit(bag, subResponse[key], subReqAST, fieldSchema, context, field);
     if (field.args) {
-      reduction[name] = mapResponseToResult(reduction[name], normalizedResponse, field, subReqAST.arguments, context);
+      reduction[name] = mapResponseToResult(reduction[name], normalizedResponse, field, subReqAST, context, bag);
     } else {
       reduction[name] = normalizedResponse;
     }
@@ -51,22 +117,50 @@ const visitEntity = (bag, subResponse, reqAST, subSchema, context, id) => {
   bag[entityKey][id] = bag[entityKey][id] || {};
   let normalized = visitObject(bag, subResponse, reqAST, subSchema, context);
   bag[entityKey][id] = mergeStores(bag[entityKey][id], normalized);
-  return `${entityKey}${NORM_DELIMITER}${id}`;
+  return makeNormalString(entityKey, id);
 };
 
-const visitIterable = (bag, subResponse, reqAST, subSchema, context) => {
+const visitIterable = (bag, subResponse, reqAST, subSchema, context, parentField) => {
+  // subSchema is the type of the innermost items, so an inner list of a list of lists gets visited the same way.
+  // only the outer list gets the parentField, since pagination args never apply to the inner lists
   const normalizedSubResponse = subResponse.map(res => visit(bag, res, reqAST, subSchema, context));
-  if (reqAST.arguments && reqAST.arguments.length) {
-    const {first, last} = context.paginationWords;
-    const paginationFlags = [{word: first, flag: 'EOF'}, {word: last, flag: 'BOF'}];
+  if (subResponse.offset !== undefined) {
+    // a local offset page already knows where it goes & if it's the end of the list
+    normalizedSubResponse.offset = subResponse.offset;
+    normalizedSubResponse.EOF = subResponse.EOF;
+  } else {
+    assignPaginationFlags(normalizedSubResponse, subResponse, reqAST, context, parentField);
+  }
+  return normalizedSubResponse
+};
+
+/**
+ * flag a paginated array with EOF or BOF if the server doesn't have any more docs in that direction
+ *
+ * @param {Array} normalizedSubResponse the normalized array
+ * @param {Array} subResponse the array from the response
+ * @param {Object} reqAST the field that holds the pagination args
+ * @param {Object} context
+ * @param {Object} parentField the schema of the paginated field, used to find its reserved words
+ * @param {Object} [pageInfo] the pageInfo of a connection. if the server told us, we don't need to guess
+ */
+const assignPaginationFlags = (normalizedSubResponse, subResponse, reqAST, context, parentField, pageInfo = {}) => {
+  if (parentField && reqAST.arguments && reqAST.arguments.length) {
+    const {first, last} = getPaginationWords(parentField, context);
+    const paginationFlags = [
+      {word: first, flag: 'EOF', pageInfoFlag: 'hasNextPage'},
+      {word: last, flag: 'BOF', pageInfoFlag: 'hasPreviousPage'}
+    ];
     for (let i = 0; i < paginationFlags.length; i++) {
-      const {word, flag} = paginationFlags[i];
+      const {word, flag, pageInfoFlag} = paginationFlags[i];
       const count = reqAST.arguments.find(arg => arg.name.value === word);
       // allow count === 0
       if (count !== undefined) {
         let countVal;
         if (count.value.kind === VARIABLE) {
           const variableDefName = count.value.name.value;
+          // a query can take both counts as variables & only use 1 of them
+          if (context.variables[variableDefName] === undefined) continue;
           countVal = +context.variables[variableDefName];
 
           // pass the count onto the normalized response to perform a slice during the state merge
@@ -81,34 +175,105 @@ const visitIterable = (bag, subResponse, reqAST, subSchema, context) => {
         } else {
           countVal = +count.value.value;
         }
-        if (normalizedSubResponse.length < countVal) {
+        const hasMore = pageInfo[pageInfoFlag];
+        if (typeof hasMore === 'boolean' ? !hasMore : normalizedSubResponse.length < countVal) {
           normalizedSubResponse[flag] = true;
         }
         break;
       }
     }
   }
-  return normalizedSubResponse
 };
 
-const visitUnion = (bag, subResponse, reqAST, subSchema, context) => {
-  const concreteSubScema = context.schema.types[subResponse.__typename];
-  return visit(bag, subResponse, reqAST, concreteSubScema, context);
+/**
+ * store a connection like {edges: [...normalizedNodes], __cursors: {[normalizedNode]: cursor}, ...otherFields}
+ * pageInfo isn't stored since it depends on the args, it's recreated from the pagination flags of the edges
+ */
+const visitConnection = (bag, subResponse, reqAST, subSchema, context, parentField) => {
+  const responseKeys = Object.keys(subResponse);
+  const otherFields = {};
+  let pageInfo;
+  let edgesKey;
+  for (let i = 0; i < responseKeys.length; i++) {
+    const key = responseKeys[i];
+    const name = getSubReqAST(key, reqAST, context.variables).name.value;
+    if (name === PAGE_INFO) {
+      pageInfo = getFieldsByName(subResponse[key], getSubReqAST(key, reqAST, context.variables), context);
+    } else if (name === EDGES) {
+      edgesKey = key;
+    } else {
+      otherFields[key] = subResponse[key];
+    }
+  }
+  const normalized = visitObject(bag, otherFields, reqAST, subSchema, context);
+  const edges = edgesKey && subResponse[edgesKey];
+  if (Array.isArray(edges)) {
+    const edgeReqAST = getSubReqAST(edgesKey, reqAST, context.variables);
+    const edgeSchema = getEdgeSchema(subSchema, context.schema);
+    const nodeSchema = getNodeSchema(edgeSchema, context.schema);
+    const normalizedEdges = [];
+    const cursors = {};
+    for (let i = 0; i < edges.length; i++) {
+      const edge = getFieldsByName(edges[i], edgeReqAST, context);
+      const nodeReqAST = edgeReqAST.selectionSet.selections.find(field => field.name && field.name.value === NODE);
+      const normalizedNode = visit(bag, edge[NODE], nodeReqAST, nodeSchema, context);
+      normalizedEdges[i] = normalizedNode;
+      if (edge[CURSOR] !== undefined && typeof normalizedNode === 'string') {
+        cursors[normalizedNode] = edge[CURSOR];
+      }
+    }
+    assignPaginationFlags(normalizedEdges, edges, reqAST, context, parentField, pageInfo);
+    normalized[EDGES] = normalizedEdges;
+    normalized[CURSORS] = cursors;
+  }
+  return normalized;
 };
 
-const visit = (bag, subResponse, reqAST, subSchema, context) => {
+// key a piece of the response by field name instead of alias
+const getFieldsByName = (subResponse, reqAST, context) => {
+  if (!isObject(subResponse)) return {};
+  const responseKeys = Object.keys(subResponse);
+  const fields = {};
+  for (let i = 0; i < responseKeys.length; i++) {
+    const key = responseKeys[i];
+    if (key.startsWith('__')) continue;
+    fields[getSubReqAST(key, reqAST, context.variables).name.value] = subResponse[key];
+  }
+  return fields;
+};
+
+// the __typename of a union or interface says which concrete type to normalize it as
+const visitAbstract = (bag, subResponse, reqAST, subSchema, context) => {
+  const typeName = subResponse[TYPENAME];
+  const concreteSubSchema = context.schema.types[typeName];
+  if (!concreteSubSchema) {
+    // a placeholder for data that hasn't come back from the server yet doesn't have a type
+    return null;
+  }
+  const normalized = visit(bag, subResponse, reqAST, concreteSubSchema, context);
+  if (isObject(normalized)) {
+    // a type that isn't normalized is stored in its parent, so it has to remember what it is
+    normalized[TYPENAME] = typeName;
+  }
+  return normalized;
+};
+
+const visit = (bag, subResponse, reqAST, subSchema, context, parentField) => {
   if (!isObject(subResponse)) {
     return subResponse;
   }
   if (Array.isArray(subResponse)) {
-    return visitIterable(bag, subResponse, reqAST, subSchema, context);
+    return visitIterable(bag, subResponse, reqAST, subSchema, context, parentField);
+  }
+  if (isAbstractType(subSchema)) {
+    return visitAbstract(bag, subResponse, reqAST, subSchema, context);
   }
-  if (subSchema.kind === UNION) {
-    return visitUnion(bag, subResponse, reqAST, subSchema, context);
+  if (isConnectionType(subSchema, context.schema)) {
+    return visitConnection(bag, subResponse, reqAST, subSchema, context, parentField);
   }
-  const {idFieldName} = context;
-  if (subSchema.fields[idFieldName]) {
-    const id = subResponse[idFieldName];
+  const keyFields = getKeyFields(subSchema, context);
+  if (keyFields) {
+    const id = getDocKey(subResponse, keyFields);
     return visitEntity(bag, subResponse, reqAST, subSchema, context, id);
   }
   return visitObject(bag, subResponse, reqAST, subSchema, context);
@@ -0,0 +1,102 @@
+import {DEFAULT_STATE_KEY} from './duck';
+import {isObject} from '../utils';
+
+/**
+ * remove the results & entities that outlived their TTL from a cashay state
+ * results & entities without a fetch time are kept, since we can't know how old they are
+ *
+ * @param {Object} cashayState the cashay sub-state of the redux state
+ * @param {Object} options
+ * @property {Number} options.ttl the time-to-live in milliseconds for every result & entity
+ * @property {Object} options.typeTTLs the time-to-live in milliseconds for the entities of each type
+ * @property {Number} options.now the current time, defaults to Date.now()
+ *
+ * @returns {Object} a new cashay state without the expired data
+ */
+export default function removeExpiredData(cashayState, {ttl, typeTTLs = {}, now = Date.now()} = {}) {
+  const {data} = cashayState;
+  if (!data || !data.fetchedAt) return cashayState;
+  const {entities, result, fetchedAt} = data;
+  const newEntities = {...entities};
+  const newResult = {...result};
+  const newFetchedAt = {
+    entities: {...fetchedAt.entities},
+    result: {...fetchedAt.result}
+  };
+
+  const typeKeys = Object.keys(fetchedAt.entities);
+  for (let i = 0; i < typeKeys.length; i++) {
+    const typeName = typeKeys[i];
+    const typeTTL = typeTTLs.hasOwnProperty(typeName) ? typeTTLs[typeName] : ttl;
+    if (typeTTL === undefined || !newEntities[typeName]) continue;
+    // keep the type around (even if it's empty) so references to removed docs are treated like missing data
+    newEntities[typeName] = {...newEntities[typeName]};
+    newFetchedAt.entities[typeName] = {...newFetchedAt.entities[typeName]};
+    const entityKeys = Object.keys(fetchedAt.entities[typeName]);
+    for (let j = 0; j < entityKeys.length; j++) {
+      const entityName = entityKeys[j];
+      if (fetchedAt.entities[typeName][entityName] + typeTTL <= now) {
+        delete newEntities[typeName][entityName];
+        delete newFetchedAt.entities[typeName][entityName];
+      }
+    }
+  }
+
+  if (ttl !== undefined) {
+    const queryKeys = Object.keys(fetchedAt.result);
+    for (let i = 0; i < queryKeys.length; i++) {
+      const queryName = queryKeys[i];
+      const queryFetchedAt = fetchedAt.result[queryName];
+      const argsKeys = Object.keys(queryFetchedAt);
+      const queryResult = newResult[queryName];
+      // results without args (or with only regular args) aren't keyed by argsKey, so they expire as a whole
+      const isKeyed = isObject(queryResult) && argsKeys.every(argsKey => queryResult.hasOwnProperty(argsKey));
+      const newQueryResult = isKeyed ? {...queryResult} : queryResult;
+      const newQueryFetchedAt = {...queryFetchedAt};
+      let isExpired = false;
+      for (let j = 0; j < argsKeys.length; j++) {
+        const argsKey = argsKeys[j];
+        if (queryFetchedAt[argsKey] + ttl <= now) {
+          isExpired = true;
+          delete newQueryFetchedAt[argsKey];
+          if (isKeyed) {
+            delete newQueryResult[argsKey];
+          }
+        }
+      }
+      if (!isExpired) continue;
+      if (isKeyed && Object.keys(newQueryFetchedAt).length) {
+        newResult[queryName] = newQueryResult;
+        newFetchedAt.result[queryName] = newQueryFetchedAt;
+      } else {
+        delete newResult[queryName];
+        delete newFetchedAt.result[queryName];
+      }
+    }
+  }
+
+  return {
+    ...cashayState,
+    data: {
+      ...data,
+      entities: newEntities,
+      result: newResult,
+      fetchedAt: newFetchedAt
+    }
+  };
+};
+
+/**
+ * create a redux-persist transform that removes expired data from the cashay state during rehydration
+ *
+ * @param {Object} options the same options as removeExpiredData
+ * @property {String} options.stateKey the key of the cashay sub-state, defaults to 'cashay'
+ *
+ * @returns {Object} a transform to include in the `transforms` option of persistStore
+ */
+export const createPersistTransform = ({stateKey = DEFAULT_STATE_KEY, ...options} = {}) => {
+  return {
+    in: state => state,
+    out: (state, key) => key === stateKey ? removeExpiredData(state, options) : state
+  };
+};
@@ -2,9 +2,12 @@ import {VARIABLE} from 'graphql/language/kinds';
 import {TypeKind} from 'graphql/type/introspection';
 const {LIST} = TypeKind;
 import {ensureTypeFromNonNull} from '../utils';
+import {getConnectionSchema} from './connectionHelpers';
 
 const FIRST = 'first';
 const LAST = 'last';
+const OFFSET = 'offset';
+const LIMIT = 'limit';
 
 const getSuppliedArgs = (args, variables = {}, paginationWords) => {
   const regularArgs = {};
@@ -18,7 +21,8 @@ const getSuppliedArgs = (args, variables = {}, paginationWords) => {
     if (argValue === undefined) continue;
     let paginationMeaning = paginationWordKeys.find(pageWord => paginationWords[pageWord] === argName);
     if (paginationMeaning) {
-      if (paginationMeaning === FIRST || paginationMeaning === LAST) {
+      if (paginationMeaning === FIRST || paginationMeaning === LAST ||
+        paginationMeaning === OFFSET || paginationMeaning === LIMIT) {
         argValue = parseInt(argValue);
       }
       paginationArgs[paginationMeaning] = argValue;
@@ -28,7 +32,10 @@ const getSuppliedArgs = (args, variables = {}, paginationWords) => {
     }
   }
   if (hasPagination) {
-    const {before, after, first, last} = paginationArgs;
+    const {before, after} = paginationArgs;
+    // a count of 0 is still a count
+    const first = paginationArgs.first !== undefined;
+    const last = paginationArgs.last !== undefined;
     if (before && !last || after && !first || before && first || after && last || before && after || first && last) {
       throw new Error('Pagination options are: `before, last` `after, first`, `first`, and `last`');
     }
@@ -36,7 +43,7 @@ const getSuppliedArgs = (args, variables = {}, paginationWords) => {
   return {regularArgs, paginationArgs};
 };
 
-const getPossibleArgs = (schema, paginationWords) => {
+export const getPossibleArgs = (schema, paginationWords) => {
     if (!schema.args) return {};
     let acceptsRegularArgs = false;
     let acceptsPaginationArgs = false;
@@ -55,14 +62,94 @@ const getPossibleArgs = (schema, paginationWords) => {
   }
   ;
 
-export const separateArgs = (fieldSchema, reqASTArgs, {paginationWords, variables}) => {
+const CURSOR_POLICY = 'cursor';
+const OFFSET_POLICY = 'offset';
+
+/**
+ * Turn the pagination option into a map from each field schema to its policy.
+ * Keying by the field schema means we don't need to know the parent type every time we look at some args.
+ * A policy is the reserved words for cursors (defaults to paginationWords), or offsets, or false for no pagination.
+ *
+ * @param {Object} schema the cashay client schema
+ * @param {Object} pagination the policy for each field, eg {[typeName]: {[fieldName]: {type: 'offset', limit: 'take'}}}
+ * @param {Object} paginationWords the default reserved words for cursor pagination
+ *
+ * @returns {Map} the policy for each field schema, eg {type: 'offset', words: {offset: 'offset', limit: 'take'}}
+ */
+export const makePaginationPolicies = (schema, pagination = {}, paginationWords) => {
+  const policies = new Map();
+  const typeNames = Object.keys(pagination);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const rootSchemas = [schema.querySchema, schema.mutationSchema, schema.subscriptionSchema];
+    const typeSchema = rootSchemas.find(rootSchema => rootSchema && rootSchema.name === typeName) ||
+      schema.types[typeName];
+    if (!typeSchema || !typeSchema.fields) {
+      throw new Error(`${typeName} in your pagination policies isn't a type in your schema`);
+    }
+    const fieldNames = Object.keys(pagination[typeName]);
+    for (let j = 0; j < fieldNames.length; j++) {
+      const fieldName = fieldNames[j];
+      const fieldSchema = typeSchema.fields[fieldName];
+      if (!fieldSchema) {
+        throw new Error(`${typeName}.${fieldName} in your pagination policies isn't a field in your schema`);
+      }
+      policies.set(fieldSchema, makePolicy(pagination[typeName][fieldName], paginationWords));
+    }
+  }
+  return policies;
+};
+
+const makePolicy = (fieldPolicy, paginationWords) => {
+  if (!fieldPolicy) {
+    // none of the args are pagination, even if they share a name with a reserved word
+    return {type: undefined, words: {}};
+  }
+  const {type, ...words} = fieldPolicy;
+  const isOffset = type ? type === OFFSET_POLICY : Boolean(words[OFFSET] || words[LIMIT]);
+  if (isOffset) {
+    return {type: OFFSET_POLICY, words: {[OFFSET]: OFFSET, [LIMIT]: LIMIT, ...words}};
+  }
+  return {type: CURSOR_POLICY, words: {...paginationWords, ...words}};
+};
+
+/**
+ * get the reserved words for pagination on a field, falling back to the global paginationWords
+ *
+ * @param {Object} fieldSchema the schema of the field, from the fields of its parent type
+ * @param {Object} context
+ * @property {Map} [context.paginationPolicies] the policy for each field, see makePaginationPolicies
+ * @property {Object} context.paginationWords the reserved words for fields without a policy
+ *
+ * @returns {Object} the reserved words, eg {first: 'first', after: 'after'} or {offset: 'skip', limit: 'take'}
+ */
+export const getPaginationWords = (fieldSchema, {paginationPolicies, paginationWords}) => {
+  const policy = paginationPolicies && paginationPolicies.get(fieldSchema);
+  return policy ? policy.words : paginationWords;
+};
+
+/**
+ * get the reserved words for an offset field, eg {offset: 'skip', limit: 'take'}
+ *
+ * @returns {Object|undefined} undefined if the field uses cursor pagination (or none at all)
+ */
+export const getOffsetWords = (fieldSchema, {paginationPolicies}) => {
+  const policy = paginationPolicies && paginationPolicies.get(fieldSchema);
+  return policy && policy.type === OFFSET_POLICY ? policy.words : undefined;
+};
+
+export const separateArgs = (fieldSchema, reqASTArgs, context) => {
+  const {variables, schema} = context;
+  // each field can have its own reserved words, so a word like `first` isn't special everywhere
+  const paginationWords = getPaginationWords(fieldSchema, context);
   const responseType = ensureTypeFromNonNull(fieldSchema.type);
   // TODO for a speed boost, we could just return the result of getSuppliedArgs, the rest is for safety
   const {acceptsRegularArgs, acceptsPaginationArgs} = getPossibleArgs(fieldSchema, paginationWords);
   let {regularArgs, paginationArgs} = getSuppliedArgs(reqASTArgs, variables, paginationWords);
   regularArgs = acceptsRegularArgs && regularArgs;
   paginationArgs = acceptsPaginationArgs && paginationArgs;
-  if (paginationArgs && responseType.kind !== LIST) {
+  // a connection paginates its edges
+  if (paginationArgs && responseType.kind !== LIST && !getConnectionSchema(fieldSchema, schema)) {
     console.warn(`${responseType} is not a List. Pagination args ignored`);
     paginationArgs = false;
   }
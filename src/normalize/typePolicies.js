@@ -0,0 +1,232 @@
+import {separateArgs, getPaginationWords, getPossibleArgs} from './separateArgs';
+import {isAbstractType} from '../utils';
+
+/**
+ * Turn the typePolicies option into a map from each field schema to its read & merge functions.
+ * Just like the pagination policies, keying by the field schema means we don't need the parent type to find them.
+ * const example = {
+ *   PostType: {
+ *     fields: {
+ *       title: {
+ *         read(existing, {args, fieldName, typeName}) {return existing || 'Untitled'},
+ *         merge(existing, incoming, {args, fieldName, typeName}) {return incoming}
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * @param {Object} schema the cashay client schema
+ * @param {Object} typePolicies the policies for each type
+ *
+ * @returns {Map} the read & merge functions for each field schema, eg {read, merge}
+ */
+export const makeFieldPolicies = (schema, typePolicies = {}) => {
+  const policies = new Map();
+  const typeNames = Object.keys(typePolicies);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const typeSchema = getTypeSchema(schema, typeName);
+    if (!typeSchema || !typeSchema.fields) {
+      throw new Error(`${typeName} in your typePolicies isn't a type in your schema`);
+    }
+    const {fields = {}} = typePolicies[typeName];
+    const fieldNames = Object.keys(fields);
+    for (let j = 0; j < fieldNames.length; j++) {
+      const fieldName = fieldNames[j];
+      const fieldSchema = typeSchema.fields[fieldName];
+      if (!fieldSchema) {
+        throw new Error(`${typeName}.${fieldName} in your typePolicies isn't a field in your schema`);
+      }
+      const {read, merge} = fields[fieldName];
+      policies.set(fieldSchema, {read, merge});
+    }
+  }
+  return policies;
+};
+
+// the root types aren't in schema.types, so look them up by name
+const getTypeSchema = (schema, typeName) => {
+  const rootSchemas = [schema.querySchema, schema.mutationSchema, schema.subscriptionSchema];
+  return rootSchemas.find(rootSchema => rootSchema && rootSchema.name === typeName) || schema.types[typeName];
+};
+
+const getFieldPolicy = (fieldSchema, {fieldPolicies}) => fieldPolicies && fieldPolicies.get(fieldSchema);
+
+/**
+ * call the read function of a field, if it has one
+ * the read function gets the normalized value from the state (after the pagination args are applied)
+ * & returns a normalized value, so it can point to other docs using their normal strings, eg 'PostType::p123'
+ *
+ * @param {*} existing the normalized value in the state, or undefined if there isn't one
+ * @param {Object} fieldSchema the schema of the field, from the fields of its parent type
+ * @param {Object} field the field in the query AST
+ * @param {String} typeName the name of the parent type
+ * @param {Object} context
+ *
+ * @returns {*} the value to denormalize. undefined means the field is missing & has to come from the server
+ */
+export const readField = (existing, fieldSchema, field, typeName, context) => {
+  const policy = getFieldPolicy(fieldSchema, context);
+  if (!policy || !policy.read) return existing;
+  const {regularArgs} = fieldSchema.args ? separateArgs(fieldSchema, field.arguments, context) : {};
+  return policy.read(existing, {args: regularArgs || {}, fieldName: fieldSchema.name, typeName});
+};
+
+/**
+ * call the merge function of each field in a normalized query response, using what's already in the state as the existing value.
+ * mutation & subscription handlers already decide what the new value is, so their responses skip this.
+ * the merged value replaces the incoming one. arrays go into the state as-is, objects are still deep-merged by mergeStores
+ *
+ * @param {Object} normalizedResponse the normalized response from the server, eg {entities, result}
+ * @param {Object} cashayDataState the data in the cashay state
+ * @param {Object} context
+ *
+ * @returns {Object} a normalized response with the merged values
+ */
+export const applyMergePolicies = (normalizedResponse, cashayDataState, context) => {
+  const {fieldPolicies, schema} = context;
+  if (!fieldPolicies || !fieldPolicies.size) return normalizedResponse;
+  const {entities = {}, result} = normalizedResponse;
+  const mergedEntities = {};
+  const typeNames = Object.keys(entities);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const typeSchema = schema.types[typeName];
+    const stateType = cashayDataState.entities[typeName] || {};
+    const docIds = Object.keys(entities[typeName]);
+    mergedEntities[typeName] = {};
+    for (let j = 0; j < docIds.length; j++) {
+      const docId = docIds[j];
+      mergedEntities[typeName][docId] = mergeFields(stateType[docId], entities[typeName][docId], typeSchema, context);
+    }
+  }
+  const mergedResult = result && mergeFields(cashayDataState.result, result, schema.querySchema, context);
+  return {...normalizedResponse, entities: mergedEntities, result: mergedResult};
+};
+
+const mergeFields = (existingDoc = {}, incomingDoc, typeSchema, context) => {
+  const mergedDoc = {...incomingDoc};
+  const fieldNames = Object.keys(incomingDoc);
+  for (let i = 0; i < fieldNames.length; i++) {
+    const fieldName = fieldNames[i];
+    const fieldSchema = typeSchema.fields[fieldName];
+    const policy = fieldSchema && getFieldPolicy(fieldSchema, context);
+    if (!policy || !policy.merge) continue;
+    const options = {fieldName, typeName: typeSchema.name};
+    const existing = existingDoc[fieldName];
+    const incoming = incomingDoc[fieldName];
+    if (isKeyedByArgs(fieldSchema, context)) {
+      // fields with regular args are stored under the args they were called with, eg {'{"_id":"p123"}': value}
+      const mergedValues = {};
+      const argsKeys = Object.keys(incoming);
+      for (let j = 0; j < argsKeys.length; j++) {
+        const argsKey = argsKeys[j];
+        const args = argsKey ? JSON.parse(argsKey) : {};
+        mergedValues[argsKey] = policy.merge(existing && existing[argsKey], incoming[argsKey], {...options, args});
+      }
+      mergedDoc[fieldName] = mergedValues;
+    } else {
+      mergedDoc[fieldName] = policy.merge(existing, incoming, {...options, args: {}});
+    }
+  }
+  return mergedDoc;
+};
+
+const isKeyedByArgs = (fieldSchema, context) => {
+  if (!fieldSchema.args) return false;
+  return getPossibleArgs(fieldSchema, getPaginationWords(fieldSchema, context)).acceptsRegularArgs;
+};
+
+/**
+ * Get the keyFields of each type policy. A type is keyed by a list of its fields, or a function that gets the doc.
+ * Types without keyFields are keyed by the idFieldName, if they have it.
+ * The key only has to be unique for its type, since the type name is part of the normal string, eg 'Issue::42'
+ * const example = {
+ *   Post: ['slug'],
+ *   Issue: ['orgId', 'number'],
+ *   Comment: doc => `${doc.postId}/${doc.index}`,
+ *   Address: false
+ * }
+ *
+ * @param {Object} schema the cashay client schema
+ * @param {Object} typePolicies the policies for each type
+ *
+ * @returns {Object} the keyFields of each type name that has them
+ */
+export const makeTypeKeys = (schema, typePolicies = {}) => {
+  const typeKeys = {};
+  const typeNames = Object.keys(typePolicies);
+  for (let i = 0; i < typeNames.length; i++) {
+    const typeName = typeNames[i];
+    const {keyFields} = typePolicies[typeName];
+    if (keyFields === undefined) continue;
+    const typeSchema = getTypeSchema(schema, typeName);
+    if (!typeSchema || !typeSchema.fields) {
+      throw new Error(`${typeName} in your typePolicies isn't a type in your schema`);
+    }
+    if (Array.isArray(keyFields)) {
+      for (let j = 0; j < keyFields.length; j++) {
+        if (!typeSchema.fields[keyFields[j]]) {
+          throw new Error(`${typeName}.${keyFields[j]} in your keyFields isn't a field in your schema`);
+        }
+      }
+    }
+    typeKeys[typeName] = keyFields;
+  }
+  return typeKeys;
+};
+
+/**
+ * get the keyFields of a type
+ *
+ * @returns {Array|Function|Boolean} the key fields, a function to make the key, or false if the type isn't normalized
+ */
+export const getKeyFields = (typeSchema, {typeKeys = {}, idFieldName}) => {
+  if (typeKeys.hasOwnProperty(typeSchema.name)) {
+    return typeKeys[typeSchema.name];
+  }
+  return Boolean(typeSchema.fields && typeSchema.fields[idFieldName]) && [idFieldName];
+};
+
+/**
+ * make the key of a doc. a single key field is used as-is, many key fields become a JSON string in the order they're listed
+ *
+ * @param {Object} doc the doc from the response
+ * @param {Array|Function} keyFields the keyFields of the doc's type
+ *
+ * @returns {String} the key of the doc
+ */
+export const getDocKey = (doc, keyFields) => {
+  if (typeof keyFields === 'function') {
+    return keyFields(doc);
+  }
+  if (keyFields.length === 1) {
+    return doc[keyFields[0]];
+  }
+  const key = {};
+  for (let i = 0; i < keyFields.length; i++) {
+    key[keyFields[i]] = doc[keyFields[i]];
+  }
+  return JSON.stringify(key);
+};
+
+/**
+ * get the fields that every selection of a type needs so the server sends back what cashay needs to key the doc.
+ * a key function doesn't say which fields it reads, so those have to be in the query already
+ *
+ * @param {Object} typeSchema the schema of the type, or a union or interface
+ * @param {Object} context an object with the schema, idFieldName & typeKeys
+ *
+ * @returns {Array} the names of the key fields
+ */
+export const getKeyFieldNames = (typeSchema, context) => {
+  if (isAbstractType(typeSchema)) {
+    // a union or interface can only ask for the key fields that all of its types share
+    const possibleTypes = Object.keys(typeSchema.possibleTypes).map(key => typeSchema.possibleTypes[key]);
+    const [firstTypeFields = [], ...otherTypesFields] = possibleTypes
+      .map(possibleType => getKeyFieldNames(context.schema.types[possibleType.name], context));
+    return firstTypeFields.filter(fieldName => otherTypesFields.every(fieldNames => fieldNames.includes(fieldName)));
+  }
+  const keyFields = getKeyFields(typeSchema, context);
+  return Array.isArray(keyFields) ? keyFields : [];
+};
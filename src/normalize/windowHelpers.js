@@ -0,0 +1,183 @@
+import {separateArgs} from './separateArgs';
+import {getDocFromNormalString} from './denormalizeHelpers';
+
+/**
+ * A window is a page that starts at a cursor in the middle of a list, eg the messages around a search hit.
+ * Each window is stored as a segment of the list, apart from the front & back arrays:
+ * const example = {
+ *   docs: ['Post::p124', 'Post::p123'],
+ *   cursors: {'Post::p124': 'c124', 'Post::p123': 'c123'},
+ *   // the index where the docs after the cursor start, for cursors of docs that aren't in the segment
+ *   anchors: {c125: 0},
+ *   BOF: false,
+ *   EOF: true
+ * }
+ * When 2 segments overlap, they're joined into 1.
+ */
+
+/**
+ * a request is a window if the args that the developer wrote include a cursor.
+ * Cashay also adds cursors when it only asks the server for the missing docs, so those don't count.
+ *
+ * @param {Object} fieldSchema the schema of the paginated field
+ * @param {Object} selection the field in the query AST
+ * @param {Object} context
+ *
+ * @returns {Boolean} true if the page is anchored at a cursor
+ */
+export const isWindowRequest = (fieldSchema, selection, context) => {
+  const args = selection.originalArguments || selection.arguments;
+  const {paginationArgs} = separateArgs(fieldSchema, args, context);
+  return Boolean(paginationArgs && (paginationArgs.after || paginationArgs.before));
+};
+
+/**
+ * turn a normalized page into a segment
+ *
+ * @param {Array} normalizedPage the normalized docs, with BOF or EOF flags
+ * @param {Object} paginationArgs the args used to get the page, eg {after: 'c125', first: 2}
+ * @param {Object} cursors the cursor of each normalized doc in the page
+ *
+ * @returns {Object} a segment
+ */
+export const makeSegment = (normalizedPage, {after, before}, cursors) => {
+  const cursor = after || before;
+  return {
+    docs: normalizedPage.slice(),
+    cursors,
+    anchors: {[cursor]: after ? 0 : normalizedPage.length},
+    BOF: Boolean(before && normalizedPage.BOF),
+    EOF: Boolean(after && normalizedPage.EOF)
+  };
+};
+
+/**
+ * the cursors of a normalized page of docs, read from the normalized docs
+ */
+export const getDocCursors = (normalizedPage, entities) => {
+  const cursors = {};
+  for (let i = 0; i < normalizedPage.length; i++) {
+    const normalString = normalizedPage[i];
+    if (typeof normalString !== 'string') continue;
+    const {typeName, docId} = getDocFromNormalString(normalString);
+    const doc = entities[typeName] && entities[typeName][docId];
+    if (doc && doc.cursor) {
+      cursors[normalString] = doc.cursor;
+    }
+  }
+  return cursors;
+};
+
+/**
+ * find the segment that holds a cursor
+ *
+ * @returns {Object|undefined} the segment & where the docs before and after the cursor are, eg {segment, beforeEnd, afterStart}
+ */
+export const findInWindows = (windows = [], cursor) => {
+  for (let i = 0; i < windows.length; i++) {
+    const segment = windows[i];
+    const anchorIdx = segment.anchors[cursor];
+    if (anchorIdx !== undefined) {
+      return {segment, beforeEnd: anchorIdx, afterStart: anchorIdx};
+    }
+    const docIdx = segment.docs.findIndex(doc => segment.cursors[doc] === cursor);
+    if (docIdx !== -1) {
+      return {segment, beforeEnd: docIdx, afterStart: docIdx + 1};
+    }
+  }
+};
+
+/**
+ * merge new segments into the old ones, joining the ones that overlap.
+ * a new segment can bridge the gap between 2 old ones, so it keeps growing as it joins
+ *
+ * @param {Array} targetWindows the segments in the state
+ * @param {Array} srcWindows the new segments
+ *
+ * @returns {Array} the merged segments
+ */
+export const mergeWindows = (targetWindows = [], srcWindows = []) => {
+  let windows = targetWindows;
+  for (let i = 0; i < srcWindows.length; i++) {
+    let segment = srcWindows[i];
+    const unjoinedWindows = [];
+    for (let j = 0; j < windows.length; j++) {
+      const joinedSegment = joinSegments(windows[j], segment);
+      if (joinedSegment) {
+        segment = joinedSegment;
+      } else {
+        unjoinedWindows.push(windows[j]);
+      }
+    }
+    windows = [...unjoinedWindows, segment];
+  }
+  return windows;
+};
+
+/**
+ * if 2 segments share a doc, line them up on it & let the newer docs win
+ */
+const joinSegments = (target, src) => {
+  target = linkAnchors(target, src);
+  src = linkAnchors(src, target);
+  let start;
+  for (let j = 0; j < src.docs.length; j++) {
+    const targetIdx = target.docs.indexOf(src.docs[j]);
+    if (targetIdx !== -1) {
+      // where the src starts in the target
+      start = targetIdx - j;
+      break;
+    }
+  }
+  if (start === undefined) return;
+  const end = start + src.docs.length;
+  const srcDocSet = new Set(src.docs);
+  const docsBefore = target.docs.slice(0, Math.max(start, 0)).filter(doc => !srcDocSet.has(doc));
+  const docsAfter = target.docs.slice(Math.max(end, 0)).filter(doc => !srcDocSet.has(doc));
+  const targetShift = Math.max(-start, 0);
+  const srcShift = docsBefore.length;
+  return {
+    docs: [...docsBefore, ...src.docs, ...docsAfter],
+    cursors: {...target.cursors, ...src.cursors},
+    anchors: {...shiftAnchors(target.anchors, targetShift), ...shiftAnchors(src.anchors, srcShift)},
+    BOF: start < 0 ? src.BOF : start > 0 ? target.BOF : Boolean(src.BOF || target.BOF),
+    EOF: end > target.docs.length ? src.EOF : end < target.docs.length ? target.EOF : Boolean(src.EOF || target.EOF)
+  };
+};
+
+/**
+ * if the other segment has the doc that an anchor points to, put that doc where the anchor is.
+ * that way, a page that starts after the last doc of another segment overlaps it.
+ */
+const linkAnchors = (segment, other) => {
+  const otherDocsByCursor = {};
+  const otherDocs = Object.keys(other.cursors);
+  for (let i = 0; i < otherDocs.length; i++) {
+    otherDocsByCursor[other.cursors[otherDocs[i]]] = otherDocs[i];
+  }
+  let {docs, anchors, cursors} = segment;
+  const anchorCursors = Object.keys(anchors);
+  for (let i = 0; i < anchorCursors.length; i++) {
+    const cursor = anchorCursors[i];
+    const doc = otherDocsByCursor[cursor];
+    if (!doc || docs.includes(doc)) continue;
+    const anchorIdx = anchors[cursor];
+    docs = [...docs.slice(0, anchorIdx), doc, ...docs.slice(anchorIdx)];
+    const {[cursor]: linkedAnchor, ...otherAnchors} = anchors;
+    anchors = shiftAnchors(otherAnchors, 1, anchorIdx);
+    cursors = {...cursors, [doc]: cursor};
+  }
+  return {...segment, docs, anchors, cursors};
+};
+
+// move the anchors after an index, eg when docs are added before them
+const shiftAnchors = (anchors, shift, afterIdx = -1) => {
+  const shiftedAnchors = {};
+  const anchorCursors = Object.keys(anchors);
+  for (let i = 0; i < anchorCursors.length; i++) {
+    const cursor = anchorCursors[i];
+    const anchorIdx = anchors[cursor];
+    shiftedAnchors[cursor] = anchorIdx > afterIdx ? anchorIdx + shift : anchorIdx;
+  }
+  return shiftedAnchors;
+};
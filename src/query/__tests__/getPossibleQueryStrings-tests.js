@@ -0,0 +1,77 @@
+import test from 'ava';
+import 'babel-register';
+import getPossibleQueryStrings from '../getPossibleQueryStrings';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {parseSortPrint} from '../../__tests__/parseSortPrint';
+import {paginationWords} from '../../normalize/__tests__/data';
+
+const options = {idFieldName: '_id', paginationWords};
+const getSortedQueryStrings = documentString => {
+  return getPossibleQueryStrings(documentString, clientSchema, options).map(parseSortPrint);
+};
+
+test('prints the query that is sent when nothing is cached', t => {
+  const actual = getSortedQueryStrings(`
+  query($postId: String!) {
+    getPostById(_id: $postId) {
+      content
+      isSelected @client
+    }
+  }`);
+  t.deepEqual(actual, [parseSortPrint(`query($postId: String!) {getPostById(_id: $postId) {_id, content}}`)]);
+});
+
+test('prints a query for each combination of @skip & @include & one for the @defer part', t => {
+  const actual = getSortedQueryStrings(`
+  query($withAuthor: Boolean!) {
+    getPostById(_id: "p123") {
+      content
+      author @include(if: $withAuthor) {
+        name
+      }
+      comments @defer {
+        content
+      }
+    }
+  }`);
+  t.deepEqual(actual, [
+    parseSortPrint(`{getPostById(_id: "p123") {_id, content}}`),
+    parseSortPrint(`{getPostById(_id: "p123") {_id, comments {_id, content}}}`),
+    parseSortPrint(`{getPostById(_id: "p123") {_id, content, author {_id, name}}}`)
+  ]);
+});
+
+test('prints every query in a document & skips the mutations', t => {
+  const actual = getSortedQueryStrings(`
+  query PostCount {
+    getPostCount
+  }
+  query Post {
+    getPostById(_id: "p123") {
+      content
+    }
+  }
+  mutation {
+    removePostById(id: "p123") {
+      removedPostId
+    }
+  }`);
+  t.deepEqual(actual, [
+    parseSortPrint(`query PostCount {getPostCount}`),
+    parseSortPrint(`query Post {getPostById(_id: "p123") {_id, content}}`)
+  ]);
+});
+
+test('a condition is printed both ways even if it has a default & is an arg, too', t => {
+  const actual = getSortedQueryStrings(`
+  query($reversed: Boolean = false) {
+    getPostById(_id: "p123") {
+      title(inReverse: $reversed)
+      content @include(if: $reversed)
+    }
+  }`);
+  t.deepEqual(actual, [
+    parseSortPrint(`query($reversed: Boolean) {getPostById(_id: "p123") {_id, title(inReverse: $reversed)}}`),
+    parseSortPrint(`query($reversed: Boolean) {getPostById(_id: "p123") {_id, content, title(inReverse: $reversed)}}`)
+  ]);
+});
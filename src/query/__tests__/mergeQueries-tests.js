@@ -0,0 +1,97 @@
+import 'babel-register';
+import test from 'ava';
+import {parse} from 'graphql/language/parser';
+import mergeQueries, {splitMergedResponse, splitMergedErrors} from '../mergeQueries';
+import {parseSortPrint} from '../../__tests__/parseSortPrint';
+import {teardownDocumentAST} from '../../utils';
+
+const toOperation = queryString => teardownDocumentAST(parse(queryString, {noLocation: true, noSource: true})).operation;
+
+const postById = `
+query($id: String!) {
+  getPostById(_id: $id) {
+    _id
+    title
+  }
+  getLatestPost {
+    _id
+    content
+  }
+}`;
+
+const spanishPostById = `
+query($id: String!) {
+  getPostById(_id: $id) {
+    _id
+    title(language: "spanish")
+  }
+  getLatestPost {
+    _id
+    karma: title
+  }
+}`;
+
+/* Tests */
+test('merges 2 queries, sharing fields without args & namespacing the rest', t => {
+  const pendingOperations = [
+    {operation: toOperation(postById), variables: {id: 'p123'}},
+    {operation: toOperation(spanishPostById), variables: {id: 'p124'}}
+  ];
+  const {query, variables} = mergeQueries(pendingOperations);
+  const expectedRaw = `
+  query($CASHAY_0_id: String!, $CASHAY_1_id: String!) {
+    CASHAY_0_getPostById: getPostById(_id: $CASHAY_0_id) {
+      _id
+      title
+    }
+    CASHAY_1_getPostById: getPostById(_id: $CASHAY_1_id) {
+      _id
+      CASHAY_1_title: title(language: "spanish")
+    }
+    getLatestPost {
+      _id
+      content
+      title
+    }
+  }`;
+  t.is(parseSortPrint(query), parseSortPrint(expectedRaw));
+  t.deepEqual(variables, {CASHAY_0_id: 'p123', CASHAY_1_id: 'p124'});
+});
+
+test('splits a merged response back into the response for each query', t => {
+  const data = {
+    CASHAY_0_getPostById: {_id: 'p123', title: 'Hello'},
+    CASHAY_1_getPostById: {_id: 'p124', CASHAY_1_title: 'Hola'},
+    getLatestPost: {_id: 'p126', content: 'Content', title: 'Latest'}
+  };
+  t.deepEqual(splitMergedResponse(data, toOperation(postById), 0), {
+    getPostById: {_id: 'p123', title: 'Hello'},
+    getLatestPost: {_id: 'p126', content: 'Content'}
+  });
+  t.deepEqual(splitMergedResponse(data, toOperation(spanishPostById), 1), {
+    getPostById: {_id: 'p124', title: 'Hola'},
+    getLatestPost: {_id: 'p126', karma: 'Latest'}
+  });
+});
+
+test('gives each query only the errors for the fields it asked for', t => {
+  const errors = [
+    {message: 'No title', path: ['CASHAY_0_getPostById', 'title']},
+    {message: 'No translation', path: ['CASHAY_1_getPostById', 'CASHAY_1_title']},
+    {message: 'No latest title', path: ['getLatestPost', 'title']},
+    {message: 'No latest post', path: ['getLatestPost']},
+    {message: 'Server is down'}
+  ];
+  t.deepEqual(splitMergedErrors(errors, toOperation(postById), 0), [
+    {message: 'No title', path: ['getPostById', 'title']},
+    {message: 'No latest post', path: ['getLatestPost']},
+    {message: 'Server is down'}
+  ]);
+  t.deepEqual(splitMergedErrors(errors, toOperation(spanishPostById), 1), [
+    {message: 'No translation', path: ['getPostById', 'title']},
+    {message: 'No latest title', path: ['getLatestPost', 'karma']},
+    {message: 'No latest post', path: ['getLatestPost']},
+    {message: 'Server is down'}
+  ]);
+  t.is(splitMergedErrors([errors[1]], toOperation(postById), 0), undefined);
+});
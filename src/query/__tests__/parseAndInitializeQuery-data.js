@@ -99,3 +99,27 @@ query {
 		title(language: "english", inReverse: true)
   }
 }`;
+
+export const multipleOperationsQueryString = `
+query getRecentPostAuthors {
+  getRecentPosts {
+    _id,
+    author {
+      ...getAuthor
+      _id
+    },
+  }
+}
+
+query getPostCount {
+  getPostCount
+}
+
+fragment getAuthor on AuthorType {
+  	name
+}`;
+
+export const postCountQueryString = `
+query getPostCount {
+  getPostCount
+}`;
@@ -11,7 +11,9 @@ import {
   unionQueryStringWithoutTypename,
   unionQueryStringWithExtraTypenameId,
   queryWithUnsortedArgs,
-  queryWithSortedArgs
+  queryWithSortedArgs,
+  multipleOperationsQueryString,
+  postCountQueryString
 } from './parseAndInitializeQuery-data';
 
 test('inline a fragment spread', t => {
@@ -48,3 +50,28 @@ test('sort arguments by name', t => {
   const expected = parseSortPrint(queryWithSortedArgs);
   t.deepEqual(actual, expected);
 });
+
+test('pick the named operation out of a document with many operations', t => {
+  const initializedAST = parseAndInitializeQuery(multipleOperationsQueryString, clientSchema, '_id', {}, 'getPostCount');
+  const actual = sortPrint(initializedAST);
+  const expected = parseSortPrint(postCountQueryString);
+  t.deepEqual(actual, expected);
+});
+
+test('pick a named operation that uses a fragment from the document', t => {
+  const initializedAST = parseAndInitializeQuery(multipleOperationsQueryString, clientSchema, '_id', {},
+    'getRecentPostAuthors');
+  const [, ...fragmentDefinitions] = initializedAST.definitions;
+  t.is(initializedAST.definitions[0].name.value, 'getRecentPostAuthors');
+  t.is(fragmentDefinitions.length, 0);
+  const [getRecentPosts] = initializedAST.definitions[0].selectionSet.selections;
+  const [author] = getRecentPosts.selectionSet.selections.filter(field => field.name.value === 'author');
+  t.is(author.selectionSet.selections[0].typeCondition.name.value, 'AuthorType');
+});
+
+test('throw if a document has many operations & no operationName', t => {
+  t.throws(() => parseAndInitializeQuery(multipleOperationsQueryString, clientSchema, '_id'),
+    'Must provide an operationName when the document has multiple operations.');
+  t.throws(() => parseAndInitializeQuery(multipleOperationsQueryString, clientSchema, '_id', {}, 'getPosts'),
+    'Unknown operation named getPosts.');
+});
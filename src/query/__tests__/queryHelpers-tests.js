@@ -0,0 +1,48 @@
+import 'babel-register';
+import test from 'ava';
+import {mergeSignals} from '../queryHelpers';
+
+const makeSignal = () => {
+  const signal = {
+    aborted: false,
+    listeners: [],
+    addEventListener: (type, listener) => signal.listeners.push(listener),
+    removeEventListener: (type, listener) => {
+      signal.listeners = signal.listeners.filter(l => l !== listener);
+    },
+    abort() {
+      signal.aborted = true;
+      signal.listeners.slice().forEach(listener => listener({type: 'abort'}));
+    }
+  };
+  return signal;
+};
+
+test('mergeSignals aborts once every signal is aborted', t => {
+  const signals = [makeSignal(), makeSignal()];
+  const {signal} = mergeSignals(signals);
+  signals[0].abort();
+  t.false(signal.aborted);
+  signals[1].abort();
+  t.true(signal.aborted);
+});
+
+test('mergeSignals removes its listeners once the merged signal aborts', t => {
+  const signals = [makeSignal(), makeSignal()];
+  mergeSignals(signals);
+  signals[0].abort();
+  signals[1].abort();
+  t.is(signals[0].listeners.length, 0);
+  t.is(signals[1].listeners.length, 0);
+});
+
+test('mergeSignals cleanup removes its listeners', t => {
+  const signals = [makeSignal(), makeSignal()];
+  const {signal, cleanup} = mergeSignals(signals);
+  cleanup();
+  t.is(signals[0].listeners.length, 0);
+  t.is(signals[1].listeners.length, 0);
+  signals[0].abort();
+  signals[1].abort();
+  t.false(signal.aborted);
+});
@@ -0,0 +1,84 @@
+import test from 'ava';
+import 'babel-register';
+import {print} from 'graphql/language/printer';
+import splitDeferredOperation from '../splitDeferredOperation';
+import parseAndInitializeQuery from '../parseAndInitializeQuery';
+import {printMinimalQuery} from '../printMinimalQuery';
+import denormalizeStore from '../../normalize/denormalizeStore';
+import clientSchema from '../../__tests__/clientSchema.json';
+import {parseSortPrint} from '../../__tests__/parseSortPrint';
+import {paginationWords} from '../../normalize/__tests__/data';
+import {buildExecutionContext} from '../../utils';
+
+const idFieldName = '_id';
+const emptyStore = {entities: {}, result: {}};
+
+// denormalize & minimize the query the way queryServer gets it, then split it
+const splitQuery = (queryString, variables = {}, cashayDataState = emptyStore) => {
+  const queryAST = parseAndInitializeQuery(queryString, clientSchema, idFieldName);
+  const context = buildExecutionContext(queryAST, {
+    cashayDataState,
+    variables,
+    idFieldName,
+    schema: clientSchema,
+    paginationWords
+  });
+  denormalizeStore(context);
+  printMinimalQuery(context.operation, idFieldName, variables, 'component', clientSchema);
+  return splitDeferredOperation(context.operation, context).map(operation => parseSortPrint(print(operation)));
+};
+
+test('a query without @defer is a single request', t => {
+  const actual = splitQuery(`{getPostById(_id: "p123") {content}}`);
+  t.deepEqual(actual, [parseSortPrint(`{getPostById(_id: "p123") {_id, content}}`)]);
+});
+
+test('a deferred field comes in a follow-up request with the key fields of its docs', t => {
+  const actual = splitQuery(`{getPostById(_id: "p123") {content, comments @defer {content}}}`);
+  t.deepEqual(actual, [
+    parseSortPrint(`{getPostById(_id: "p123") {_id, content}}`),
+    parseSortPrint(`{getPostById(_id: "p123") {_id, comments {_id, content}}}`)
+  ]);
+});
+
+test('each request only defines the variables that it uses', t => {
+  const queryString = `
+  query($postId: String!, $language: String) {
+    getPostCount
+    getPostById(_id: $postId) {
+      ... @defer {
+        title(language: $language)
+      }
+    }
+  }`;
+  const actual = splitQuery(queryString, {postId: 'p123', language: 'en'});
+  t.deepEqual(actual, [
+    parseSortPrint(`{getPostCount}`),
+    parseSortPrint(`
+    query($postId: String!, $language: String) {
+      getPostById(_id: $postId) {
+        _id
+        ... {
+          title(language: $language)
+        }
+      }
+    }`)
+  ]);
+});
+
+test('once the rest of the query is in the state, only the deferred part is fetched', t => {
+  const cashayDataState = {
+    entities: {
+      PostType: {
+        p123: {_id: 'p123', content: 'Hello world'}
+      }
+    },
+    result: {
+      getPostById: {
+        '{"_id":"p123"}': 'PostType::p123'
+      }
+    }
+  };
+  const actual = splitQuery(`{getPostById(_id: "p123") {content, comments @defer {content}}}`, {}, cashayDataState);
+  t.deepEqual(actual, [parseSortPrint(`{getPostById(_id: "p123") {_id, comments {_id, content}}}`)]);
+});
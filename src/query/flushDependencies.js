@@ -43,6 +43,8 @@ const makeFlushSet = (entities, component, key, denormalizedDeps) => {
       if (!entityInDependencyTree) continue;
       if (key) {
         const componentInDependencyTree = entityInDependencyTree[component];
+        // the component might have been unregistered
+        if (!componentInDependencyTree) continue;
         keyFlush[component] = keyFlush[component] || new Set();
         keyFlush[component] = new Set([...keyFlush[component], ...componentInDependencyTree]);
       }
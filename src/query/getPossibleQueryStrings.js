@@ -0,0 +1,127 @@
+import {print} from 'graphql/language/printer';
+import {OPERATION_DEFINITION, VARIABLE, OBJECT, LIST} from 'graphql/language/kinds';
+import parseAndInitializeQuery from './parseAndInitializeQuery';
+import {printMinimalQuery} from './printMinimalQuery';
+import splitDeferredOperation from './splitDeferredOperation';
+import denormalizeStore from '../normalize/denormalizeStore';
+import {makePaginationPolicies} from '../normalize/separateArgs';
+import {makeFieldPolicies, makeTypeKeys} from '../normalize/typePolicies';
+import {buildExecutionContext, isConditionalDirective, parseDocument, teardownDocumentAST} from '../utils';
+
+const emptyStore = {entities: {}, result: {}};
+
+/**
+ * print every query string that a document sends to the server when nothing is in the cache (or on a forceFetch).
+ * the strings depend on the @skip & @include conditions, so each combination of their variables gets printed.
+ * once some of the data is cached, the minimized query can be anything, so it needs a hash that the server hasn't seen.
+ *
+ * @param {String} documentString the GraphQL document that's passed to cashay.query
+ * @param {Object} schema the cashay client schema
+ * @param {Object} options the same options that go to cashay.create
+ * @property {String} options.idFieldName
+ * @property {Object} options.paginationWords the paginationWords, including the defaults
+ * @property {Object} [options.pagination]
+ * @property {Object} [options.typePolicies]
+ *
+ * @returns {Array} the query strings, without any duplicates
+ */
+export default function getPossibleQueryStrings(documentString, schema, options) {
+  const {idFieldName, paginationWords, pagination, typePolicies} = options;
+  const typeKeys = makeTypeKeys(schema, typePolicies);
+  const baseContext = {
+    cashayDataState: emptyStore,
+    idFieldName,
+    typeKeys,
+    paginationWords,
+    paginationPolicies: makePaginationPolicies(schema, pagination, paginationWords),
+    fieldPolicies: makeFieldPolicies(schema, typePolicies),
+    schema
+  };
+  const queryStrings = [];
+  const operations = parseDocument(documentString).definitions
+    .filter(definition => definition.kind === OPERATION_DEFINITION && definition.operation === 'query');
+  for (let i = 0; i < operations.length; i++) {
+    const operationName = operations.length > 1 ? operations[i].name.value : undefined;
+    const queryAST = parseAndInitializeQuery(documentString, schema, idFieldName, typeKeys, operationName);
+    // a field that's missing a required variable isn't sent, so every other variable gets a placeholder value
+    const variables = {};
+    const {placeholderNames, conditionNames} = getVariableNames(teardownDocumentAST(queryAST).operation);
+    placeholderNames.forEach(variableName => {
+      variables[variableName] = true;
+    });
+    const conditionCombinations = getConditionCombinations(conditionNames);
+    for (let j = 0; j < conditionCombinations.length; j++) {
+      // the context gets a fresh copy of the AST, since denormalizing & minimizing mutate it
+      const combinationVariables = {...variables, ...conditionCombinations[j]};
+      const context = buildExecutionContext(queryAST, {...baseContext, variables: combinationVariables});
+      denormalizeStore(context);
+      const minimizedQueryString = printMinimalQuery(context.operation, idFieldName, context.variables, 'extract', schema,
+        typeKeys);
+      if (!minimizedQueryString) continue;
+      // just like queryServer, the @defer parts are sent on their own
+      const partOperations = splitDeferredOperation(context.operation, context);
+      for (let k = 0; k < partOperations.length; k++) {
+        const partOperation = partOperations[k];
+        const queryString = partOperation === context.operation ? minimizedQueryString : print(partOperation);
+        if (!queryStrings.includes(queryString)) {
+          queryStrings.push(queryString);
+        }
+      }
+    }
+  }
+  return queryStrings;
+};
+
+/**
+ * sort the variables of an operation by how they get a value
+ *
+ * @returns {Object} the conditionNames that decide a @skip or @include, so each one is tried as true & false,
+ * and the placeholderNames of the rest. any other variable with a default value keeps its default
+ */
+const getVariableNames = operation => {
+  const variableNames = new Set();
+  const conditionNames = new Set();
+  const addValueVariables = (value, names) => {
+    if (value.kind === VARIABLE) {
+      names.add(value.name.value);
+    } else if (value.kind === LIST) {
+      value.values.forEach(listValue => addValueVariables(listValue, names));
+    } else if (value.kind === OBJECT) {
+      value.fields.forEach(objectField => addValueVariables(objectField.value, names));
+    }
+  };
+  const addSelectionVariables = selections => {
+    for (let selection of selections) {
+      for (let arg of selection.arguments || []) {
+        addValueVariables(arg.value, variableNames);
+      }
+      for (let directive of selection.directives || []) {
+        const names = isConditionalDirective(directive) ? conditionNames : variableNames;
+        directive.arguments.forEach(arg => addValueVariables(arg.value, names));
+      }
+      if (selection.selectionSet) {
+        addSelectionVariables(selection.selectionSet.selections);
+      }
+    }
+  };
+  const variableDefinitions = operation.variableDefinitions || [];
+  variableDefinitions.forEach(definition => variableNames.add(definition.variable.name.value));
+  addSelectionVariables(operation.selectionSet.selections);
+  // a condition is printed both ways, even if it's an arg, too
+  conditionNames.forEach(conditionName => variableNames.delete(conditionName));
+  variableDefinitions.forEach(definition => {
+    if (definition.defaultValue) {
+      variableNames.delete(definition.variable.name.value);
+    }
+  });
+  return {placeholderNames: variableNames, conditionNames};
+};
+
+// const example = [{withAuthor: false, full: false}, {withAuthor: true, full: false}, ...]
+const getConditionCombinations = conditionNames => {
+  return [...conditionNames].reduce((combinations, conditionName) => {
+    const falseCombinations = combinations.map(combination => ({...combination, [conditionName]: false}));
+    const trueCombinations = combinations.map(combination => ({...combination, [conditionName]: true}));
+    return [...falseCombinations, ...trueCombinations];
+  }, [{}]);
+};
@@ -0,0 +1,222 @@
+import {print} from 'graphql/language/printer';
+import {
+  DOCUMENT,
+  OPERATION_DEFINITION,
+  SELECTION_SET,
+  INLINE_FRAGMENT,
+  VARIABLE,
+  OBJECT,
+  LIST
+} from 'graphql/language/kinds';
+import {clone, isObject, makeNamespaceString} from '../utils';
+import {Name} from '../helperClasses';
+import {mergeSelections} from '../mutate/mergeMutations';
+
+/**
+ * Merge the minimized operations of many pending queries into 1 operation.
+ * Like mutations, fields with args (or directives) are namespaced so they can't collide,
+ * and fields without them are shared so the server doesn't resolve the same thing twice.
+ * Variables are always namespaced since each query has its own values.
+ *
+ * @param {Array} pendingOperations an array of objects shaped like {operation, variables}
+ *
+ * @returns {Object} the merged request, shaped like {query, variables}
+ */
+export default function mergeQueries(pendingOperations) {
+  const mergedSelections = [];
+  const mergedVariableDefinitions = [];
+  const mergedVariables = {};
+  for (let i = 0; i < pendingOperations.length; i++) {
+    const {operation, variables = {}} = pendingOperations[i];
+    const namespace = String(i);
+    const namespacedOperation = clone(operation);
+    const variableDefinitions = namespacedOperation.variableDefinitions || [];
+    for (let j = 0; j < variableDefinitions.length; j++) {
+      const variableDefinition = variableDefinitions[j];
+      const variableName = variableDefinition.variable.name.value;
+      const namespaceKey = makeNamespaceString(namespace, variableName);
+      variableDefinition.variable.name = new Name(namespaceKey);
+      mergedVariableDefinitions.push(variableDefinition);
+      if (variables.hasOwnProperty(variableName)) {
+        mergedVariables[namespaceKey] = variables[variableName];
+      }
+    }
+    namespaceSelections(namespacedOperation.selectionSet.selections, namespace);
+    mergeSelections(mergedSelections, namespacedOperation.selectionSet.selections);
+  }
+  const mergedAST = {
+    kind: DOCUMENT,
+    definitions: [{
+      kind: OPERATION_DEFINITION,
+      operation: 'query',
+      variableDefinitions: mergedVariableDefinitions,
+      directives: [],
+      selectionSet: {
+        kind: SELECTION_SET,
+        selections: mergedSelections
+      }
+    }]
+  };
+  return {
+    query: print(mergedAST),
+    variables: mergedVariables
+  };
+};
+
+/**
+ * Pull the response for a single query out of the response to the merged query.
+ * The result looks exactly like the server responded to that query alone.
+ *
+ * @param {Object} data the data that came back from the server for the merged query
+ * @param {Object} operation the minimized operation of the query, before it was merged
+ * @param {Number} idx the index of the query in the pendingOperations given to mergeQueries
+ *
+ * @returns {Object} the data for that query
+ */
+export const splitMergedResponse = (data, operation, idx) => {
+  return pickResponse(data, operation.selectionSet.selections, String(idx));
+};
+
+/**
+ * Pick the errors of a single query out of the errors for the merged query.
+ * An error belongs to every query that asked for the field in its path, and the path is put back in terms of that query.
+ * An error without a path (eg the whole request failed) belongs to every query.
+ *
+ * @param {Array} errors the errors that came back from the server for the merged query
+ * @param {Object} operation the minimized operation of the query, before it was merged
+ * @param {Number} idx the index of the query in the pendingOperations given to mergeQueries
+ *
+ * @returns {Array} the errors for that query, or undefined if it has none
+ */
+export const splitMergedErrors = (errors, operation, idx) => {
+  if (!errors) return;
+  const namespace = String(idx);
+  const queryErrors = [];
+  for (let i = 0; i < errors.length; i++) {
+    const error = errors[i];
+    if (!error.path) {
+      queryErrors.push(error);
+      continue;
+    }
+    const path = pickPath(error.path, operation.selectionSet.selections, namespace);
+    if (path) {
+      queryErrors.push({...error, path});
+    }
+  }
+  return queryErrors.length ? queryErrors : undefined;
+};
+
+const isNamespaced = selection => Boolean(selection.arguments && selection.arguments.length ||
+  selection.directives && selection.directives.length);
+
+// MUTATES SELECTIONS
+const namespaceSelections = (selections, namespace) => {
+  for (let i = 0; i < selections.length; i++) {
+    const selection = selections[i];
+    if (selection.kind === INLINE_FRAGMENT) {
+      if (!selection.typeCondition) {
+        // mergeSelections can only join typed fragments, so flatten the untyped ones
+        selections.push(...selection.selectionSet.selections);
+        selections.splice(i--, 1);
+      } else {
+        namespaceSelections(selection.selectionSet.selections, namespace);
+      }
+      continue;
+    }
+    if (isNamespaced(selection)) {
+      const aliasOrFieldName = selection.alias && selection.alias.value || selection.name.value;
+      selection.alias = new Name(makeNamespaceString(namespace, aliasOrFieldName));
+      namespaceArgs(selection.arguments, namespace);
+      for (let directive of selection.directives || []) {
+        namespaceArgs(directive.arguments, namespace);
+      }
+    } else {
+      // just like mutations, share the fields that can't conflict
+      selection.alias = null;
+    }
+    if (selection.selectionSet) {
+      namespaceSelections(selection.selectionSet.selections, namespace);
+    }
+  }
+};
+
+const namespaceArgs = (args = [], namespace) => {
+  for (let i = 0; i < args.length; i++) {
+    namespaceValue(args[i].value, namespace);
+  }
+};
+
+const namespaceValue = (value, namespace) => {
+  if (value.kind === VARIABLE) {
+    value.name = new Name(makeNamespaceString(namespace, value.name.value));
+  } else if (value.kind === OBJECT) {
+    for (let field of value.fields) {
+      namespaceValue(field.value, namespace);
+    }
+  } else if (value.kind === LIST) {
+    for (let listValue of value.values) {
+      namespaceValue(listValue, namespace);
+    }
+  }
+};
+
+const pickResponse = (subResponse, selections, namespace) => {
+  if (!isObject(subResponse)) {
+    return subResponse;
+  }
+  if (Array.isArray(subResponse)) {
+    return subResponse.map(item => pickResponse(item, selections, namespace));
+  }
+  return pickFields(subResponse, selections, namespace, {});
+};
+
+const pickFields = (subResponse, selections, namespace, picked) => {
+  for (let i = 0; i < selections.length; i++) {
+    const selection = selections[i];
+    if (selection.kind === INLINE_FRAGMENT) {
+      pickFields(subResponse, selection.selectionSet.selections, namespace, picked);
+      continue;
+    }
+    const aliasOrFieldName = selection.alias && selection.alias.value || selection.name.value;
+    const value = subResponse[getMergedResponseKey(selection, namespace)];
+    if (value === undefined) continue;
+    picked[aliasOrFieldName] = selection.selectionSet ? pickResponse(value, selection.selectionSet.selections, namespace) : value;
+  }
+  return picked;
+};
+
+// the key of a field in the merged response
+const getMergedResponseKey = (selection, namespace) => {
+  const aliasOrFieldName = selection.alias && selection.alias.value || selection.name.value;
+  return isNamespaced(selection) ? makeNamespaceString(namespace, aliasOrFieldName) : selection.name.value;
+};
+
+// put the response keys of a path in terms of the query, or return undefined if the query didn't ask for them
+const pickPath = (mergedPath, selections, namespace) => {
+  const path = [];
+  for (let i = 0; i < mergedPath.length; i++) {
+    const segment = mergedPath[i];
+    // a list index, or something below a field without a selection set
+    if (typeof segment === 'number' || !selections) {
+      path.push(segment);
+      continue;
+    }
+    const selection = findMergedSelection(selections, segment, namespace);
+    if (!selection) return;
+    path.push(selection.alias && selection.alias.value || selection.name.value);
+    selections = selection.selectionSet && selection.selectionSet.selections;
+  }
+  return path;
+};
+
+const findMergedSelection = (selections, responseKey, namespace) => {
+  for (let i = 0; i < selections.length; i++) {
+    const selection = selections[i];
+    if (selection.kind === INLINE_FRAGMENT) {
+      const fragmentSelection = findMergedSelection(selection.selectionSet.selections, responseKey, namespace);
+      if (fragmentSelection) return fragmentSelection;
+    } else if (getMergedResponseKey(selection, namespace) === responseKey) {
+      return selection;
+    }
+  }
+};
@@ -1,34 +1,87 @@
 import {FRAGMENT_SPREAD, INLINE_FRAGMENT} from 'graphql/language/kinds';
-import {convertFragmentToInline, parse, clone, ensureRootType, TYPENAME, teardownDocumentAST} from '../utils';
-import {TypeKind} from 'graphql/type/introspection';
+import {
+  convertFragmentToInline,
+  parseOperation,
+  clone,
+  ensureRootType,
+  isAbstractType,
+  isClientField,
+  isConditionalDirective,
+  isDeferredSelection,
+  TYPENAME,
+  teardownDocumentAST
+} from '../utils';
 import {Field} from '../helperClasses';
+import {isConnectionType, EDGES, CURSOR} from '../normalize/connectionHelpers';
+import {getKeyFieldNames} from '../normalize/typePolicies';
 
-const {UNION} = TypeKind;
+// a field with @skip, @include or @defer might not come back with the rest, so it can't stand in for a key field
+const isConditional = selection => {
+  return isDeferredSelection(selection) || Boolean(selection.directives && selection.directives.some(isConditionalDirective));
+};
+
+// args are sorted so the same field always prints (& gets stored) the same way
+const sortByName = (a, b) => a.name.value < b.name.value ? -1 : a.name.value > b.name.value ? 1 : 0;
+
+const addFields = (children, fieldsToAdd) => {
+  for (let fieldToAdd of fieldsToAdd) {
+    const child = children.find(child => child.name && child.name.value === fieldToAdd && !isConditional(child));
+    if (!child) {
+      children.push(new Field({name: fieldToAdd}))
+    }
+  }
+};
 
-const initializeQueryAST = (operationSelections, fragments, fieldSchema, schema, idFieldName) => {
+// a client field isn't in the schema & doesn't need key fields, but its fragments are inlined so it can be read
+const inlineClientFragments = (selections, fragments) => {
+  for (let i = 0; i < selections.length; i++) {
+    let selection = selections[i];
+    if (selection.kind === FRAGMENT_SPREAD) {
+      const fragment = clone(fragments[selection.name.value]);
+      fragment.directives = selection.directives;
+      selection = selections[i] = convertFragmentToInline(fragment);
+    }
+    if (selection.selectionSet) {
+      inlineClientFragments(selection.selectionSet.selections, fragments);
+    }
+  }
+};
+
+const initializeQueryAST = (operationSelections, fragments, fieldSchema, keyContext) => {
+  const {schema} = keyContext;
   for (let i = 0; i < operationSelections.length; i++) {
     // convert fragment spreads into inline so we can minimize queries later
     let selection = operationSelections[i];
-    const catalogFields = [idFieldName, TYPENAME];
     if (selection.kind === FRAGMENT_SPREAD) {
       const fragment = clone(fragments[selection.name.value]);
+      // the directives of the spread, eg ...PostFields @include(if: $withPost), now belong to the inline fragment
+      fragment.directives = selection.directives;
       selection = operationSelections[i] = convertFragmentToInline(fragment);
     }
     // if it's an inline fragment, set schema to the typecondition, or fieldSchema if null
     if (selection.kind === INLINE_FRAGMENT) {
       const subSchema = selection.typeCondition ? schema.types[selection.typeCondition.name.value] : fieldSchema;
       const children = selection.selectionSet.selections;
+      // the parent selection already asks for these
+      const catalogFields = [...getKeyFieldNames(fieldSchema, keyContext), TYPENAME];
       for (let fieldToRemove of catalogFields) {
         const idx = children.findIndex(child => child.name && child.name.value === fieldToRemove);
         if (idx !== -1) {
           children.splice(idx, 1);
         }
       }
-      initializeQueryAST(selection.selectionSet.selections, fragments, subSchema, schema, idFieldName);
+      // a type in a union can have key fields that the other types don't share
+      const fragmentKeyFields = getKeyFieldNames(subSchema, keyContext);
+      addFields(children, fragmentKeyFields.filter(fieldName => !catalogFields.includes(fieldName)));
+      initializeQueryAST(selection.selectionSet.selections, fragments, subSchema, keyContext);
+    } else if (isClientField(selection)) {
+      if (selection.selectionSet) {
+        inlineClientFragments(selection.selectionSet.selections, fragments);
+      }
     } else {
       const selectionName = selection.name.value;
       if (selection.arguments && selection.arguments.length) {
-        selection.arguments.sort((a,b) => a.name.value > b.name.value);
+        selection.arguments.sort(sortByName);
       }
       if (selection.selectionSet) {
         const children = selection.selectionSet.selections;
@@ -38,23 +91,25 @@ const initializeQueryAST = (operationSelections, fragments, fieldSchema, schema,
         }
         const rootFieldSchema = ensureRootType(typeSchema.type);
         const subSchema = schema.types[rootFieldSchema.name];
-        const fieldsToAdd = subSchema.kind === UNION ? catalogFields : subSchema.fields[idFieldName] ? [idFieldName] : [];
-        for (let fieldToAdd of fieldsToAdd) {
-          const child = children.find(child => child.name && child.name.value === fieldToAdd);
-          if (!child) {
-            children.push(new Field({name: fieldToAdd}))
-          }
+        const keyFields = getKeyFieldNames(subSchema, keyContext);
+        // the __typename tells us which concrete type a union or interface is
+        const fieldsToAdd = isAbstractType(subSchema) ? [...keyFields, TYPENAME] : [...keyFields];
+        // the cursor of each edge is needed to ask for the next page
+        if (selectionName === EDGES && isConnectionType(fieldSchema, schema)) {
+          fieldsToAdd.push(CURSOR);
         }
-        initializeQueryAST(selection.selectionSet.selections, fragments, subSchema, schema, idFieldName);
+        addFields(children, fieldsToAdd);
+        initializeQueryAST(selection.selectionSet.selections, fragments, subSchema, keyContext);
       }
     }
   }
 };
 
-export default function parseAndInitializeQuery(queryString, schema, idFieldName) {
-  const ast = parse(queryString);
+export default function parseAndInitializeQuery(queryString, schema, idFieldName, typeKeys, operationName) {
+  const ast = parseOperation(queryString, operationName);
   const {operation, fragments} = teardownDocumentAST(ast);
-  initializeQueryAST(operation.selectionSet.selections, fragments, schema.querySchema, schema, idFieldName);
+  const keyContext = {schema, idFieldName, typeKeys};
+  initializeQueryAST(operation.selectionSet.selections, fragments, schema.querySchema, keyContext);
   ast.definitions = [operation];
   return ast;
 };
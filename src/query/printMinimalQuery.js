@@ -1,25 +1,61 @@
 import {print} from 'graphql/language/printer';
-import {VARIABLE} from 'graphql/language/kinds';
+import {VARIABLE, INLINE_FRAGMENT} from 'graphql/language/kinds';
 import {getMissingRequiredVariables} from './queryHelpers';
 import createVariableDefinitions from '../createVariableDefinitions';
-import {ensureRootType} from '../utils';
+import {
+  ensureRootType,
+  isAbstractType,
+  isClientField,
+  isConditionalDirective,
+  isSelectionIncluded,
+  TYPENAME
+} from '../utils';
+import {getKeyFieldNames} from '../normalize/typePolicies';
 
-export const printMinimalQuery = (reqAST, idFieldName, variables, component, schema) => {
+export const printMinimalQuery = (reqAST, idFieldName, variables, component, schema, typeKeys) => {
   const context = {
     component,
-    schema
+    schema,
+    idFieldName,
+    typeKeys
   };
   reqAST.variableDefinitions = minimizeQueryAST(reqAST, idFieldName, variables, schema.querySchema, [], context);
+  // every query was skipped, is a client field, or is missing its vars
+  if (!reqAST.selectionSet) return;
   return print(reqAST)
 };
 
 // mutates initialVariableDefinitions
 const minimizeQueryAST = (reqAST, idFieldName, variables, subSchema, initialVariableDefinitions = [], context) => {
   const {selections} = reqAST.selectionSet;
+  // the key fields stay so the response can be normalized, a union or interface also needs its __typename
+  const keyFieldNames = getKeyFieldNames(subSchema, context);
+  const fieldsToKeep = isAbstractType(subSchema) ? [...keyFieldNames, TYPENAME] : keyFieldNames;
   for (let i = 0; i < selections.length; i++) {
     const field = selections[i];
+    // the directives were evaluated with these variables, so the server doesn't need them or their variable definitions
+    // a client field is resolved locally, so the server has never heard of it
+    if (!isSelectionIncluded(field, variables) || isClientField(field)) {
+      selections[i] = undefined;
+      continue;
+    }
+    if (field.directives) {
+      field.directives = field.directives.filter(directive => !isConditionalDirective(directive));
+    }
+    if (field.kind === INLINE_FRAGMENT) {
+      if (field.sendToServer) {
+        const {typeCondition} = field;
+        const fragmentSchema = typeCondition ? context.schema.types[typeCondition.name.value] : subSchema;
+        minimizeQueryAST(field, idFieldName, variables, fragmentSchema, initialVariableDefinitions, context);
+      }
+      if (!field.sendToServer || !field.selectionSet) {
+        selections[i] = undefined;
+      }
+      continue;
+    }
     // if it has to go to the server, create some variable definitions and remove the pieces that don't have the required vars
     if (field.sendToServer) {
+      if (field.name.value === TYPENAME) continue;
       const fieldSchema = subSchema.fields[field.name.value];
       if (field.arguments && field.arguments.length) {
         const createVarDefContext = {...context, initialVariableDefinitions};
@@ -42,17 +78,17 @@ const minimizeQueryAST = (reqAST, idFieldName, variables, subSchema, initialVari
         // mutates initialVariableDefinitions
         minimizeQueryAST(field, idFieldName, variables, nextSchema, initialVariableDefinitions, context);
       }
-    } else if (field.name.value !== idFieldName) {
+    } else if (!fieldsToKeep.includes(field.name.value)) {
       selections[i] = undefined;
     }
   }
   // clean up unnecessary children
   const minimizedFields = selections.filter(Boolean);
 
-  // if there aren't any fields or maybe just an unnecessary id field, remove the req
-  const firstField = minimizedFields[0];
-  if (!firstField ||
-    (minimizedFields.length === 1 && !firstField.sendToServer && firstField.name && firstField.name.value === idFieldName)) {
+  // if there aren't any fields or maybe just the unnecessary key fields, remove the req
+  const onlyKeyFields = minimizedFields.every(field => !field.sendToServer && field.name &&
+    fieldsToKeep.includes(field.name.value));
+  if (onlyKeyFields) {
     reqAST.selectionSet = null;
   } else {
     reqAST.selectionSet.selections = minimizedFields;
@@ -1,5 +1,6 @@
 import {NON_NULL_TYPE} from 'graphql/language/kinds';
-import {isObject} from '../utils';
+import {isObject, isClientField, getRegularArgsKey} from '../utils';
+import {separateArgs} from '../normalize/separateArgs';
 
 /*
  * reduce the fields to merge into the state
@@ -125,4 +126,184 @@ export const equalPendingQueries = (baseQuery, {component, key, variables}) => {
   // that's OK because unique queries with unique variables shouldn't share the same component name
   // Also, calling a query twice before you get the results of the first is an unsupported anti-pattern
   return true;
-}
+};
+
+/**
+ * the key of a request in pendingQueries. the minimized query string refers to variables by name,
+ * so the same string with different variables is a different request
+ */
+export const getPendingKey = (minimizedQueryString, variables = {}) => {
+  return `${minimizedQueryString}${JSON.stringify(variables)}`;
+};
+
+/**
+ * create an AbortController to cancel a request to the server
+ * environments without one get a minimal stand-in, since transports only read `signal.aborted` and listen for `abort`
+ */
+export const makeAbortController = () => {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController();
+  }
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    onabort: null,
+    addEventListener: (type, listener) => type === 'abort' && listeners.push(listener),
+    removeEventListener: (type, listener) => {
+      const idx = listeners.indexOf(listener);
+      if (idx !== -1) listeners.splice(idx, 1);
+    }
+  };
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      const event = {type: 'abort'};
+      if (signal.onabort) signal.onabort(event);
+      // a listener may remove itself while we loop
+      const currentListeners = listeners.slice();
+      for (let i = 0; i < currentListeners.length; i++) {
+        currentListeners[i](event);
+      }
+    }
+  };
+};
+
+/**
+ * a signal for a request that carries several queries (eg merged queries).
+ * it aborts once every one of them is cancelled, since the others still want the response
+ *
+ * @param {Array} signals the AbortSignals of the queries in the request
+ *
+ * @returns {Object} the merged AbortSignal & a cleanup function to call once the request settles.
+ * the listeners are removed on their own if the merged signal aborts
+ */
+export const mergeSignals = signals => {
+  const abortController = makeAbortController();
+  const cleanup = () => {
+    for (let i = 0; i < signals.length; i++) {
+      signals[i].removeEventListener('abort', onAbort);
+    }
+  };
+  const onAbort = () => {
+    if (signals.every(signal => signal.aborted)) {
+      cleanup();
+      abortController.abort();
+    }
+  };
+  for (let i = 0; i < signals.length; i++) {
+    signals[i].addEventListener('abort', onAbort);
+  }
+  return {signal: abortController.signal, cleanup};
+};
+
+/**
+ * get the key of a root query in data.result, eg '{"_id":"p123"}' for getPostById(_id: "p123")
+ * queries without regular args use an empty string
+ */
+export const getResultKey = (selection, context) => {
+  const fieldSchema = context.schema.querySchema.fields[selection.name.value];
+  const {regularArgs} = separateArgs(fieldSchema, selection.arguments, context);
+  return getRegularArgsKey(regularArgs) || '';
+};
+
+/**
+ * create the fetch times to put next to data.result and data.entities in the redux state
+ *
+ * @param {Object} context the context used to normalize the server response
+ * @param {Object} entities the normalized entities that came back from the server
+ * @param {Object} data the raw data that came back from the server
+ * @param {Number} now the time the response arrived
+ *
+ * @returns {Object} an object shaped like {entities: {[typeName]: {[id]: now}}, result: {[queryName]: {[argsKey]: now}}}
+ */
+export const makeFetchedAt = (context, entities = {}, data, now) => {
+  const fetchedAt = {entities: {}, result: {}};
+  const typeKeys = Object.keys(entities);
+  for (let i = 0; i < typeKeys.length; i++) {
+    const typeName = typeKeys[i];
+    const entityKeys = Object.keys(entities[typeName]);
+    fetchedAt.entities[typeName] = {};
+    for (let j = 0; j < entityKeys.length; j++) {
+      fetchedAt.entities[typeName][entityKeys[j]] = now;
+    }
+  }
+  if (!data) return fetchedAt;
+  const {selections} = context.operation.selectionSet;
+  for (let i = 0; i < selections.length; i++) {
+    const selection = selections[i];
+    if (isClientField(selection)) continue;
+    const queryName = selection.name.value;
+    const aliasOrName = selection.alias && selection.alias.value || queryName;
+    if (data[aliasOrName] === undefined) continue;
+    fetchedAt.result[queryName] = fetchedAt.result[queryName] || {};
+    fetchedAt.result[queryName][getResultKey(selection, context)] = now;
+  }
+  return fetchedAt;
+};
+
+/**
+ * find the time when a response goes stale.
+ * the root queries expire after the query ttl, each entity expires after the ttl for its type.
+ * data without a fetch time (eg optimistic data or state persisted by an older version) never expires.
+ *
+ * @param {Object} context the context used to denormalize the response
+ * @param {Object} entities the normalized entities found in the response
+ * @param {Number} [ttl] the time-to-live of the root queries in milliseconds
+ * @param {Object} [typeTTLs] the time-to-live in milliseconds for each typeName
+ *
+ * @returns {Number|undefined} the earliest expiration time, or undefined if nothing expires
+ */
+export const getExpiresAt = (context, entities = {}, ttl, typeTTLs = {}) => {
+  const {fetchedAt} = context.cashayDataState;
+  if (!fetchedAt) return;
+  let expiresAt = Infinity;
+  if (ttl !== undefined) {
+    const {selections} = context.operation.selectionSet;
+    for (let i = 0; i < selections.length; i++) {
+      const selection = selections[i];
+      if (isClientField(selection)) continue;
+      const queryFetchedAt = fetchedAt.result[selection.name.value];
+      const resultFetchedAt = queryFetchedAt && queryFetchedAt[getResultKey(selection, context)];
+      if (resultFetchedAt !== undefined) {
+        expiresAt = Math.min(expiresAt, resultFetchedAt + ttl);
+      }
+    }
+  }
+  const typeKeys = Object.keys(entities);
+  for (let i = 0; i < typeKeys.length; i++) {
+    const typeName = typeKeys[i];
+    const typeTTL = typeTTLs[typeName];
+    const typeFetchedAt = fetchedAt.entities[typeName];
+    if (typeTTL === undefined || !typeFetchedAt) continue;
+    const entityKeys = Object.keys(entities[typeName]);
+    for (let j = 0; j < entityKeys.length; j++) {
+      const entityFetchedAt = typeFetchedAt[entityKeys[j]];
+      if (entityFetchedAt !== undefined) {
+        expiresAt = Math.min(expiresAt, entityFetchedAt + typeTTL);
+      }
+    }
+  }
+  return expiresAt === Infinity ? undefined : expiresAt;
+};
+
+/**
+ * get the root queries & args keys that a response reads from data.result, used to find garbage
+ *
+ * @returns {Array} an array of objects shaped like {queryName, argsKey}
+ */
+export const getResultKeys = context => {
+  const {selections} = context.operation.selectionSet;
+  const resultKeys = [];
+  for (let i = 0; i < selections.length; i++) {
+    const selection = selections[i];
+    // a client field doesn't read from data.result
+    if (isClientField(selection)) continue;
+    resultKeys.push({
+      queryName: selection.name.value,
+      argsKey: getResultKey(selection, context)
+    });
+  }
+  return resultKeys;
+};
@@ -0,0 +1,136 @@
+import {INLINE_FRAGMENT, VARIABLE, OBJECT, LIST} from 'graphql/language/kinds';
+import {ensureRootType, isDeferredSelection, DEFER, TYPENAME} from '../utils';
+import {getKeyFieldNames} from '../normalize/typePolicies';
+
+/**
+ * Split a minimized operation into the part that's fetched right away & the part marked with @defer.
+ * Each part keeps the key fields of its docs, so its response can be normalized on its own.
+ * All the deferred selections come in the same request, without their @defer directives.
+ *
+ * @param {Object} operation the operation after printMinimalQuery flagged & trimmed it
+ * @param {Object} context an object with the schema, idFieldName & typeKeys
+ *
+ * @returns {Array} the operations to send to the server. without any @defer, it's just the operation
+ */
+export default function splitDeferredOperation(operation, context) {
+  if (!hasDeferredSelections(operation)) {
+    return [operation];
+  }
+  const querySchema = context.schema.querySchema;
+  const operations = [];
+  const initialOperation = withoutDeferred(operation, querySchema, context);
+  if (initialOperation) {
+    operations.push(withUsedVariables(initialOperation));
+  }
+  const deferredOperation = onlyDeferred(operation, querySchema, context);
+  if (deferredOperation) {
+    operations.push(withUsedVariables(deferredOperation));
+  }
+  return operations;
+};
+
+const hasDeferredSelections = reqAST => {
+  if (!reqAST.selectionSet) return false;
+  const {selections} = reqAST.selectionSet;
+  return selections.some(selection => isDeferredSelection(selection) || hasDeferredSelections(selection));
+};
+
+// the key fields (& the __typename of a union or interface) aren't worth a request, but every part needs them
+const getFieldsToKeep = (typeSchema, context) => [...getKeyFieldNames(typeSchema, context), TYPENAME];
+
+const getSubSchema = (selection, typeSchema, context) => {
+  if (selection.kind === INLINE_FRAGMENT) {
+    const {typeCondition} = selection;
+    return typeCondition ? context.schema.types[typeCondition.name.value] : typeSchema;
+  }
+  const fieldType = ensureRootType(typeSchema.fields[selection.name.value].type);
+  return context.schema.types[fieldType.name];
+};
+
+// returns undefined if all that's left are key fields, since those don't need a request
+const withoutDeferred = (reqAST, typeSchema, context) => {
+  const fieldsToKeep = getFieldsToKeep(typeSchema, context);
+  const selections = [];
+  let needsServer = false;
+  for (let selection of reqAST.selectionSet.selections) {
+    if (isDeferredSelection(selection)) continue;
+    if (!selection.selectionSet) {
+      selections.push(selection);
+      needsServer = needsServer || !fieldsToKeep.includes(selection.name.value);
+      continue;
+    }
+    const subSelection = withoutDeferred(selection, getSubSchema(selection, typeSchema, context), context);
+    if (subSelection) {
+      selections.push(subSelection);
+      needsServer = true;
+    }
+  }
+  return needsServer ? {...reqAST, selectionSet: {...reqAST.selectionSet, selections}} : undefined;
+};
+
+// returns undefined if nothing under reqAST is deferred
+const onlyDeferred = (reqAST, typeSchema, context) => {
+  const fieldsToKeep = getFieldsToKeep(typeSchema, context);
+  const selections = [];
+  let hasDeferred = false;
+  for (let selection of reqAST.selectionSet.selections) {
+    if (isDeferredSelection(selection)) {
+      selections.push(withoutDeferDirectives(selection));
+      hasDeferred = true;
+    } else if (!selection.selectionSet) {
+      if (fieldsToKeep.includes(selection.name.value)) {
+        selections.push(selection);
+      }
+    } else {
+      const subSelection = onlyDeferred(selection, getSubSchema(selection, typeSchema, context), context);
+      if (subSelection) {
+        selections.push(subSelection);
+        hasDeferred = true;
+      }
+    }
+  }
+  return hasDeferred ? {...reqAST, selectionSet: {...reqAST.selectionSet, selections}} : undefined;
+};
+
+const withoutDeferDirectives = selection => {
+  const directives = selection.directives && selection.directives.filter(directive => directive.name.value !== DEFER);
+  if (!selection.selectionSet) {
+    return {...selection, directives};
+  }
+  const selections = selection.selectionSet.selections.map(withoutDeferDirectives);
+  return {...selection, directives, selectionSet: {...selection.selectionSet, selections}};
+};
+
+// a server rejects an operation that defines a variable it doesn't use
+const withUsedVariables = operation => {
+  const usedVariables = new Set();
+  addUsedVariables(operation.selectionSet.selections, usedVariables);
+  const variableDefinitions = (operation.variableDefinitions || [])
+    .filter(variableDefinition => usedVariables.has(variableDefinition.variable.name.value));
+  return {...operation, variableDefinitions};
+};
+
+const addUsedVariables = (selections, usedVariables) => {
+  for (let selection of selections) {
+    const args = [...(selection.arguments || [])];
+    for (let directive of selection.directives || []) {
+      args.push(...directive.arguments);
+    }
+    for (let arg of args) {
+      addValueVariables(arg.value, usedVariables);
+    }
+    if (selection.selectionSet) {
+      addUsedVariables(selection.selectionSet.selections, usedVariables);
+    }
+  }
+};
+
+const addValueVariables = (value, usedVariables) => {
+  if (value.kind === VARIABLE) {
+    usedVariables.add(value.name.value);
+  } else if (value.kind === LIST) {
+    value.values.forEach(listValue => addValueVariables(listValue, usedVariables));
+  } else if (value.kind === OBJECT) {
+    value.fields.forEach(objectField => addValueVariables(objectField.value, usedVariables));
+  }
+};
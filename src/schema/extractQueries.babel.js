@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+require('babel-register');
+require('./extractQueries').default();
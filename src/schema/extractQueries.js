@@ -0,0 +1,96 @@
+import path from 'path';
+import fs from 'fs';
+import minimist from 'minimist';
+import {parse} from 'graphql/language/parser';
+import getPossibleQueryStrings from '../query/getPossibleQueryStrings';
+import hashQuery from '../transports/hashQuery';
+import {defaultPaginationWords} from '../constants';
+
+const sourceExtensions = ['.js', '.jsx'];
+// a template literal without any ${} in it, since those can't be known until runtime
+const templateLiteralRegex = /`([^`$\\]*(?:(?:\\.|\$(?!\{))[^`$\\]*)*)`/g;
+const documentRegex = /^\s*(\{|query\b|fragment\b)/;
+
+export default function extractQueries() {
+  const args = minimist(process.argv);
+  const inputDir = path.join(process.cwd(), args._[2] || './src');
+  const schemaPath = path.join(process.cwd(), args._[3] || './clientSchema.json');
+  const outputPath = path.join(process.cwd(), args._[4] || './persistedQueries.json');
+  const spacing = args.production ? 0 : 2;
+  // the same idFieldName, paginationWords, pagination, & typePolicies that go to cashay.create
+  const config = args.config ? require(path.join(process.cwd(), args.config)) : {};
+  const {idFieldName = 'id', paginationWords, pagination, typePolicies} = config.default || config;
+  const options = {
+    idFieldName,
+    paginationWords: {...defaultPaginationWords, ...paginationWords},
+    pagination,
+    typePolicies
+  };
+  const schema = require(schemaPath);
+
+  // const example = {
+  //   [sha256Hash]: queryString
+  // }
+  const persistedQueries = {};
+  const fileNames = getSourceFiles(inputDir);
+  for (let i = 0; i < fileNames.length; i++) {
+    const documentStrings = getDocumentStrings(fs.readFileSync(fileNames[i], 'utf8'));
+    for (let j = 0; j < documentStrings.length; j++) {
+      let queryStrings;
+      try {
+        queryStrings = getPossibleQueryStrings(documentStrings[j], schema, options);
+      } catch (e) {
+        console.log(`Skipping a query in ${path.relative(process.cwd(), fileNames[i])}: ${e.message}`);
+        continue;
+      }
+      queryStrings.forEach(queryString => {
+        persistedQueries[hashQuery(queryString)] = queryString;
+      });
+    }
+  }
+  try {
+    fs.writeFileSync(outputPath, JSON.stringify(persistedQueries, null, spacing));
+    console.log(`Extracted ${Object.keys(persistedQueries).length} queries! See them here: ${outputPath}`);
+  } catch (e) {
+    console.log(`Error writing queries to file: ${e}`)
+  }
+}
+
+const getSourceFiles = dir => {
+  const fileNames = [];
+  const entries = fs.readdirSync(dir);
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry === 'node_modules' || entry.startsWith('.')) continue;
+    const entryPath = path.join(dir, entry);
+    if (fs.statSync(entryPath).isDirectory()) {
+      fileNames.push(...getSourceFiles(entryPath));
+    } else if (sourceExtensions.includes(path.extname(entry))) {
+      fileNames.push(entryPath);
+    }
+  }
+  return fileNames;
+};
+
+// every template literal that's a GraphQL document. a mutation is built at runtime, so it can't be extracted
+export const getDocumentStrings = source => {
+  const documentStrings = [];
+  let match;
+  templateLiteralRegex.lastIndex = 0;
+  while ((match = templateLiteralRegex.exec(source)) !== null) {
+    const documentString = match[1];
+    if (documentRegex.test(documentString) && isGraphQL(documentString)) {
+      documentStrings.push(documentString);
+    }
+  }
+  return documentStrings;
+};
+
+const isGraphQL = documentString => {
+  try {
+    parse(documentString);
+  } catch (e) {
+    return false;
+  }
+  return true;
+};
@@ -30,7 +30,6 @@ const removeNullsFromObject = obj => {
   }
 };
 
-//TODO filter out interfaces
 export const makeMinimalSchema = schema => {
   removeNullsFromObject(schema);
   const queryName = schema.queryType && schema.queryType.name;
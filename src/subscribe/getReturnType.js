@@ -1,12 +1,12 @@
 import {TypeKind} from 'graphql/type/introspection';
 import {ensureTypeFromNonNull} from '../utils';
-const {UNION, LIST, OBJECT, SCALAR} = TypeKind;
+const {UNION, INTERFACE, LIST, OBJECT, SCALAR} = TypeKind;
 
 export default function getReturnType(typeName, schema) {
   const subscriptionType = schema.subscriptionSchema.fields[typeName].type;
   const subscriptionTypeNN = ensureTypeFromNonNull(subscriptionType);
   
-  if (subscriptionTypeNN.kind === OBJECT || subscriptionTypeNN.kind === UNION) {
+  if (subscriptionTypeNN.kind === OBJECT || subscriptionTypeNN.kind === UNION || subscriptionTypeNN.kind === INTERFACE) {
     return OBJECT;
   }
   if (subscriptionTypeNN.kind === SCALAR) {
@@ -16,5 +16,5 @@ export default function getReturnType(typeName, schema) {
     return LIST;
   }
   throw new Error(`Subscription ${typeName} is a ${subscriptionTypeNN.kind}, 
-  but may only be UNION, LIST, SCALAR, or OBJECT`)
+  but may only be UNION, INTERFACE, LIST, SCALAR, or OBJECT`)
 }
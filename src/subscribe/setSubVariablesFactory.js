@@ -4,11 +4,11 @@ export default function setSubVariablesFactory(component, key, dispatch, getStat
   return cb => {
     let stateVariables;
     if (key) {
-      const currentVariables = this.getState().data.variables[component][key];
+      const currentVariables = getState().data.variables[component][key];
       const variables = Object.assign({}, currentVariables, cb(currentVariables));
       stateVariables = {[component]: {[key]: variables}};
     } else {
-      const currentVariables = this.getState().data.variables[component];
+      const currentVariables = getState().data.variables[component];
       const variables = Object.assign({}, currentVariables, cb(currentVariables));
       stateVariables = {[component]: variables};
     }
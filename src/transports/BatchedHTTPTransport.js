@@ -0,0 +1,81 @@
+import defaultHandleErrors from './defaultHandleErrors';
+import HTTPTransport from './HTTPTransport';
+
+export default class BatchedHTTPTransport extends HTTPTransport {
+  constructor(uri = '/graphql', init = {}, handleErrors = defaultHandleErrors, batchOptions = {}) {
+    // everything that isn't about batching is a retry option for the whole batch
+    const {batchInterval = 0, maxBatchSize = Infinity, ...retryOptions} = batchOptions;
+    super(uri, init, handleErrors, retryOptions);
+    // the ms to wait for more requests before sending the batch. 0 means just the current tick
+    this.batchInterval = batchInterval;
+    this.maxBatchSize = maxBatchSize;
+
+    // const example = [{
+    //   request: {query, variables},
+    //   signal,
+    //   resolve,
+    //   reject
+    // }]
+    this.queue = [];
+    this.timeout = undefined;
+
+    // the HTTPTransport sendToServer posts whatever it's given, so an array of requests works just fine
+    const sendBatchToServer = this.sendToServer;
+    this.sendBatch = async () => {
+      clearTimeout(this.timeout);
+      this.timeout = undefined;
+      // cancelled requests don't need to go to the server at all
+      const batch = [];
+      for (let i = 0; i < this.queue.length; i++) {
+        const queued = this.queue[i];
+        if (queued.signal && queued.signal.aborted) {
+          queued.resolve({data: null});
+        } else {
+          batch.push(queued);
+        }
+      }
+      this.queue = [];
+      if (!batch.length) return;
+      let results;
+      try {
+        results = await sendBatchToServer(batch.map(({request}) => request));
+      } catch (e) {
+        for (let i = 0; i < batch.length; i++) {
+          batch[i].reject(e);
+        }
+        return;
+      }
+      for (let i = 0; i < batch.length; i++) {
+        batch[i].resolve(splitResult(results, i, batch.length));
+      }
+    };
+
+    this.sendToServer = (request, {signal} = {}) => {
+      return new Promise((resolve, reject) => {
+        this.queue.push({request, signal, resolve, reject});
+        if (this.queue.length >= this.maxBatchSize) {
+          this.sendBatch();
+        } else if (!this.timeout) {
+          this.timeout = setTimeout(this.sendBatch, this.batchInterval);
+        }
+      });
+    };
+  }
+}
+
+/**
+ * give each operation its own result, so an error in one doesn't leak into the others
+ * if the whole request failed (eg a 500 status), every operation gets the same error
+ */
+const splitResult = (results, idx, batchSize) => {
+  if (!Array.isArray(results)) {
+    return results;
+  }
+  if (results.length !== batchSize) {
+    return {
+      data: null,
+      errors: [{_error: `Expected ${batchSize} results from the batched request, but received ${results.length}`}]
+    };
+  }
+  return results[idx] || {data: null};
+};
@@ -2,33 +2,137 @@ import fetch from 'isomorphic-fetch'
 import defaultHandleErrors from './defaultHandleErrors';
 import Transport from './Transport';
 
+const defaultRetryOptions = {
+  // 1 means the request is never retried
+  maxAttempts: 1,
+  // the ms to wait before the first retry, doubled (by default) for every retry after that
+  initialDelay: 300,
+  maxDelay: 30000,
+  factor: 2,
+  // wait a random amount between 0 and the delay so clients that failed together don't retry together
+  jitter: true,
+  // rate limits, timeouts & gateway errors are usually temporary. fetch errors (eg offline) are always retried
+  retryStatuses: [408, 429, 500, 502, 503, 504]
+};
+
 export default class HTTPTransport extends Transport {
-  constructor(uri = '/graphql', init = {}, handleErrors = defaultHandleErrors) {
+  constructor(uri = '/graphql', init = {}, handleErrors = defaultHandleErrors, retryOptions = {}) {
     super();
     this.uri = uri;
     this.init = init;
     this.handleErrors = handleErrors;
-    this.sendToServer =  async (request) => {
-      const payload = {
-        ...this.init,
-        body: JSON.stringify(request),
-        headers: {
-          ...this.init.headers,
-          'Accept': '*/*',
-          'Content-Type': 'application/json'
-        },
-        method: 'POST'
-      };
-      const result = await fetch(this.uri, payload);
+    this.retryOptions = {...defaultRetryOptions, ...retryOptions};
+    this.sendToServer = (request, {signal} = {}) => this.post(request, signal);
+  }
+
+  /**
+   * POST a JSON body to the uri
+   *
+   * @param {Object|Array} body the request, or an array of requests for a batch
+   * @param {Object} signal an AbortSignal to cancel the request
+   *
+   * @returns {Object} the result from the server, or {data: null, errors} if every attempt failed
+   */
+  post(body, signal) {
+    const payload = {
+      ...this.init,
+      ...(signal && {signal}),
+      body: JSON.stringify(body),
+      headers: {
+        ...this.init.headers,
+        'Accept': '*/*',
+        'Content-Type': 'application/json'
+      },
+      method: 'POST'
+    };
+    return this.fetchWithRetries(this.uri, payload, signal);
+  }
+
+  /**
+   * a single fetch, so a test (or a subclass) can swap it out
+   */
+  fetch(uri, payload) {
+    return fetch(uri, payload);
+  }
+
+  /**
+   * fetch & retry until the server answers, the attempts run out, or the request is cancelled
+   *
+   * @param {String} uri the uri to fetch, including any query params
+   * @param {Object} payload the fetch options
+   * @param {Object} signal an AbortSignal to cancel the request
+   *
+   * @returns {Object} the result from the server, or {data: null, errors} if every attempt failed
+   */
+  async fetchWithRetries(uri, payload, signal) {
+    const {maxAttempts, retryStatuses} = this.retryOptions;
+    let failure;
+    let networkError = false;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (signal && signal.aborted) break;
+      if (attempt > 1) {
+        await wait(getRetryDelay(attempt - 1, this.retryOptions), signal);
+        if (signal && signal.aborted) break;
+      }
+      let result;
+      try {
+        result = await this.fetch(uri, payload);
+      } catch (e) {
+        failure = {_error: e.message || 'Network request failed'};
+        networkError = true;
+        continue;
+      }
       const {status, statusText} = result;
       if (status >= 200 && status < 300) {
-        return await result.json();
-      } else {
-        return {
-          data: null,
-          errors: [{_error: statusText, status}]
-        };
+        try {
+          return await result.json();
+        } catch (e) {
+          // the server answered, so trying again won't make the body valid JSON
+          return {data: null, errors: [{_error: e.message || 'Invalid JSON response'}]};
+        }
       }
+      failure = {_error: statusText, status};
+      networkError = false;
+      if (retryStatuses.indexOf(status) === -1) break;
     }
+    // out of attempts, so return it like any other error
+    const result = {
+      data: null,
+      errors: [failure || {_error: 'Request aborted'}]
+    };
+    return networkError ? {...result, networkError} : result;
   }
 }
+
+/**
+ * the ms to wait before a retry, growing exponentially with each retry
+ *
+ * @param {Number} retryCount the number of retries so far, including this one
+ * @param {Object} retryOptions the initialDelay, maxDelay, factor, & jitter of the transport
+ *
+ * @returns {Number} the delay in ms
+ */
+export const getRetryDelay = (retryCount, {initialDelay, maxDelay, factor, jitter}) => {
+  const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, retryCount - 1));
+  return jitter ? Math.random() * delay : delay;
+};
+
+// resolve after the delay, or sooner if the request gets cancelled
+const wait = (delay, signal) => {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+    const timeout = setTimeout(() => {
+      // the signal lives as long as the request, so don't pile up a listener for every retry
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+};
@@ -0,0 +1,104 @@
+import defaultHandleErrors from './defaultHandleErrors';
+import HTTPTransport from './HTTPTransport';
+import hashQuery from './hashQuery';
+
+// the errors a server sends back when it can't look up a hash (the same ones as apollo-server)
+const NOT_FOUND = 'PersistedQueryNotFound';
+const NOT_SUPPORTED = 'PersistedQueryNotSupported';
+const errorCodes = {
+  PERSISTED_QUERY_NOT_FOUND: NOT_FOUND,
+  PERSISTED_QUERY_NOT_SUPPORTED: NOT_SUPPORTED
+};
+
+export default class PersistedHTTPTransport extends HTTPTransport {
+  constructor(uri = '/graphql', init = {}, handleErrors = defaultHandleErrors, persistOptions = {}) {
+    // everything that isn't about persisting is a retry option
+    const {useGETForQueries = false, ...retryOptions} = persistOptions;
+    super(uri, init, handleErrors, retryOptions);
+    // a GET can be cached by the browser & any CDN in between. mutations are always POSTed
+    this.useGETForQueries = useGETForQueries;
+
+    // false once the server says it doesn't do persisted queries, so every request after that is the full text
+    this.supportsPersistedQueries = true;
+
+    // the minimized query strings repeat a lot, so only hash each one once
+    // const example = {
+    //   [queryString]: sha256Hash
+    // }
+    this.hashes = {};
+
+    this.sendToServer = async (request, {signal} = {}) => {
+      if (!this.supportsPersistedQueries) {
+        return this.post(request, signal);
+      }
+      const {query, ...requestWithoutQuery} = request;
+      this.hashes[query] = this.hashes[query] || hashQuery(query);
+      const persistedRequest = {
+        ...requestWithoutQuery,
+        extensions: {persistedQuery: {version: 1, sha256Hash: this.hashes[query]}}
+      };
+      const result = this.useGETForQueries && !isMutation(query) ?
+        await this.get(persistedRequest, signal) : await this.post(persistedRequest, signal);
+      const persistedQueryError = getPersistedQueryError(result.errors);
+      if (!persistedQueryError) return result;
+      if (persistedQueryError === NOT_SUPPORTED) {
+        this.supportsPersistedQueries = false;
+        return this.post(request, signal);
+      }
+      // the server hasn't seen the hash yet, so send the full text for it to remember
+      return this.post({...persistedRequest, query}, signal);
+    };
+  }
+
+  /**
+   * GET a request, with each of its fields as a JSON-encoded query param
+   *
+   * @param {Object} request the request, eg {variables, extensions}
+   * @param {Object} signal an AbortSignal to cancel the request
+   *
+   * @returns {Object} the result from the server, or {data: null, errors} if every attempt failed
+   */
+  get(request, signal) {
+    const params = Object.keys(request)
+      .filter(paramName => request[paramName] !== undefined)
+      .map(paramName => {
+        const value = request[paramName];
+        const paramValue = typeof value === 'string' ? value : JSON.stringify(value);
+        return `${encodeURIComponent(paramName)}=${encodeURIComponent(paramValue)}`;
+      });
+    const separator = this.uri.indexOf('?') === -1 ? '?' : '&';
+    const payload = {
+      ...this.init,
+      ...(signal && {signal}),
+      headers: {
+        ...this.init.headers,
+        'Accept': '*/*'
+      },
+      method: 'GET'
+    };
+    return this.fetchWithRetries(`${this.uri}${separator}${params.join('&')}`, payload, signal);
+  }
+}
+
+// printMinimalQuery never puts anything before the operation type
+const isMutation = queryString => /^\s*mutation\b/.test(queryString);
+
+/**
+ * find out if the server couldn't use the hash
+ *
+ * @param {Array} errors the errors from the server
+ *
+ * @returns {String} NOT_FOUND, NOT_SUPPORTED, or undefined if the hash was fine
+ */
+export const getPersistedQueryError = errors => {
+  if (!errors) return;
+  for (let i = 0; i < errors.length; i++) {
+    const {message, extensions} = errors[i];
+    if (message === NOT_FOUND || message === NOT_SUPPORTED) {
+      return message;
+    }
+    if (extensions && errorCodes[extensions.code]) {
+      return errorCodes[extensions.code];
+    }
+  }
+};
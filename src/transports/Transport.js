@@ -6,9 +6,48 @@ export default class Transport {
     this.handleErrors = handleErrors;
   }
 
-  async handleQuery(request) {
-    const {data, errors} = await this.sendToServer(request);
+  /**
+   * @param {Object} request the query & variables, eg {query, variables}
+   * @param {Object} options
+   * @property {Object} options.signal an AbortSignal to cancel the request
+   *
+   * @returns {Object} the result, eg {data, error}. If the request was cancelled, {data: null, aborted: true}
+   */
+  async handleQuery(request, {signal} = {}) {
+    const result = await this.fetchResult(request, {signal});
+    if (result.aborted) return result;
+    return this.handleResult(request, result);
+  }
+
+  /**
+   * send a request & return what the server sent back, with its errors still in a list
+   *
+   * @returns {Object} the result, eg {data, errors}. If the request was cancelled, {data: null, aborted: true}
+   */
+  async fetchResult(request, {signal} = {}) {
+    let result;
+    try {
+      result = await this.sendToServer(request, {signal});
+    } catch (e) {
+      if (signal && signal.aborted) return {data: null, aborted: true};
+      // nobody awaits the query, so a rejection would go unhandled.
+      // the request never got an answer, so it's a network error (eg an offline mutation gets queued)
+      return {data: null, errors: [{_error: e.message || 'Request failed'}], networkError: true};
+    }
+    // the transport might not know how to cancel, so throw away whatever it got
+    if (signal && signal.aborted) return {data: null, aborted: true};
+    return result;
+  }
+
+  /**
+   * turn the errors that came back for a request into a single error
+   *
+   * @returns {Object} the result, eg {data, error}
+   */
+  handleResult(request, {data, errors, networkError}) {
     const error = this.handleErrors(request, errors);
-    return error ? {data, error} : {data};
+    if (!error) return {data};
+    // the server never saw the request (eg the client is offline)
+    return networkError ? {data, error, networkError} : {data, error};
   }
 }
@@ -0,0 +1,113 @@
+import test from 'ava';
+import 'babel-register';
+import BatchedHTTPTransport from '../BatchedHTTPTransport';
+import {makeAbortController} from '../../query/queryHelpers';
+
+// a transport whose fetch remembers every batch & answers with whatever respond returns for it
+const makeTransport = (respond, batchOptions) => {
+  const transport = new BatchedHTTPTransport('/graphql', {}, undefined, batchOptions);
+  transport.batches = [];
+  transport.fetch = async (uri, payload) => {
+    const batch = JSON.parse(payload.body);
+    transport.batches.push(batch);
+    return respond(batch);
+  };
+  return transport;
+};
+
+// answer every request in the batch with its own query string
+const echo = batch => ({
+  status: 200,
+  statusText: 'OK',
+  json: async () => batch.map(({query}) => ({data: {query}}))
+});
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('requests made within the batchInterval go out together', async t => {
+  const transport = makeTransport(echo, {batchInterval: 100});
+  const first = transport.sendToServer({query: '{a}'});
+  await tick(5);
+  const second = transport.sendToServer({query: '{b}'});
+  const results = await Promise.all([first, second]);
+  t.is(transport.batches.length, 1);
+  t.deepEqual(transport.batches[0], [{query: '{a}'}, {query: '{b}'}]);
+  t.deepEqual(results, [{data: {query: '{a}'}}, {data: {query: '{b}'}}]);
+});
+
+test('a request made after the batchInterval goes in the next batch', async t => {
+  const transport = makeTransport(echo, {batchInterval: 5});
+  const first = transport.sendToServer({query: '{a}'});
+  await tick(30);
+  const second = transport.sendToServer({query: '{b}'});
+  await Promise.all([first, second]);
+  t.deepEqual(transport.batches, [[{query: '{a}'}], [{query: '{b}'}]]);
+});
+
+test('a full batch is sent right away & the rest start a new one', async t => {
+  const transport = makeTransport(echo, {batchInterval: 20, maxBatchSize: 2});
+  const results = await Promise.all(['{a}', '{b}', '{c}'].map(query => transport.sendToServer({query})));
+  t.deepEqual(transport.batches, [[{query: '{a}'}, {query: '{b}'}], [{query: '{c}'}]]);
+  t.deepEqual(results.map(({data}) => data.query), ['{a}', '{b}', '{c}']);
+});
+
+test('each request gets the result at its own index, errors included', async t => {
+  const respond = () => ({
+    status: 200,
+    statusText: 'OK',
+    json: async () => [{data: {getPostCount: 4}}, {data: null, errors: [{message: 'Not allowed'}]}]
+  });
+  const transport = makeTransport(respond);
+  const [first, second] = await Promise.all([
+    transport.handleQuery({query: '{getPostCount}'}),
+    transport.handleQuery({query: '{secret}'})
+  ]);
+  t.deepEqual(first, {data: {getPostCount: 4}});
+  t.deepEqual(second, {data: null, error: {errors: [{message: 'Not allowed'}]}});
+});
+
+test('every request gets an error if the server sends the wrong number of results', async t => {
+  const respond = () => ({status: 200, statusText: 'OK', json: async () => [{data: {a: 1}}]});
+  const transport = makeTransport(respond);
+  const results = await Promise.all([transport.handleQuery({query: '{a}'}), transport.handleQuery({query: '{b}'})]);
+  const error = {errors: [{_error: 'Expected 2 results from the batched request, but received 1'}]};
+  t.deepEqual(results, [{data: null, error}, {data: null, error}]);
+});
+
+test('every request gets the error of a failed batch', async t => {
+  const transport = makeTransport(() => ({status: 500, statusText: 'Internal Server Error'}));
+  const results = await Promise.all([transport.handleQuery({query: '{a}'}), transport.handleQuery({query: '{b}'})]);
+  t.is(transport.batches.length, 1);
+  const error = {errors: [{_error: 'Internal Server Error', status: 500}]};
+  t.deepEqual(results, [{data: null, error}, {data: null, error}]);
+});
+
+test('every request gets the error of a batch that could not be sent', async t => {
+  const transport = makeTransport(() => Promise.reject(new Error('Failed to fetch')));
+  const requests = [transport.sendToServer({query: '{a}'}), transport.sendToServer({query: '{b}'})];
+  for (let i = 0; i < requests.length; i++) {
+    const {data, errors} = await requests[i];
+    t.is(data, null);
+    t.deepEqual(errors, [{_error: 'Failed to fetch'}]);
+  }
+});
+
+test('every request is rejected if sending the batch throws', async t => {
+  const transport = makeTransport(echo);
+  transport.fetchWithRetries = () => Promise.reject(new Error('Oops'));
+  const requests = [transport.sendToServer({query: '{a}'}), transport.sendToServer({query: '{b}'})];
+  for (let i = 0; i < requests.length; i++) {
+    await t.throws(requests[i], 'Oops');
+  }
+});
+
+test('a request that is cancelled before the batch goes out is left out of it', async t => {
+  const transport = makeTransport(echo, {batchInterval: 10});
+  const abortController = makeAbortController();
+  const cancelled = transport.sendToServer({query: '{a}'}, {signal: abortController.signal});
+  const kept = transport.sendToServer({query: '{b}'});
+  abortController.abort();
+  t.deepEqual(await cancelled, {data: null});
+  t.deepEqual(await kept, {data: {query: '{b}'}});
+  t.deepEqual(transport.batches, [[{query: '{b}'}]]);
+});
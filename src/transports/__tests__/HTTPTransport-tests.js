@@ -0,0 +1,108 @@
+import test from 'ava';
+import 'babel-register';
+import HTTPTransport, {getRetryDelay} from '../HTTPTransport';
+import Transport from '../Transport';
+import {makeAbortController} from '../../query/queryHelpers';
+
+const retryOptions = {initialDelay: 300, maxDelay: 1000, factor: 2, jitter: false};
+
+// a transport whose fetch answers with each of the responses in turn & counts the attempts
+const makeTransport = (responses, options) => {
+  const transport = new HTTPTransport('/graphql', {}, undefined, {initialDelay: 1, jitter: false, ...options});
+  transport.attempts = 0;
+  transport.fetch = async () => {
+    const response = responses[Math.min(transport.attempts++, responses.length - 1)];
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return transport;
+};
+
+const ok = data => ({status: 200, statusText: 'OK', json: async () => ({data})});
+const unavailable = {status: 503, statusText: 'Service Unavailable'};
+
+test('the retry delay doubles until it hits the max delay', t => {
+  t.is(getRetryDelay(1, retryOptions), 300);
+  t.is(getRetryDelay(2, retryOptions), 600);
+  t.is(getRetryDelay(3, retryOptions), 1000);
+});
+
+test('the retry delay with jitter is somewhere below the delay', t => {
+  for (let i = 0; i < 20; i++) {
+    const delay = getRetryDelay(2, {...retryOptions, jitter: true});
+    t.true(delay >= 0 && delay < 600);
+  }
+});
+
+test('retries a retryable status until the attempts run out', async t => {
+  const transport = makeTransport([unavailable], {maxAttempts: 3});
+  const result = await transport.sendToServer({query: '{getPostCount}'});
+  t.is(transport.attempts, 3);
+  t.deepEqual(result, {data: null, errors: [{_error: 'Service Unavailable', status: 503}]});
+});
+
+test('stops retrying once the server answers', async t => {
+  const transport = makeTransport([unavailable, ok({getPostCount: 4})], {maxAttempts: 3});
+  const result = await transport.sendToServer({query: '{getPostCount}'});
+  t.is(transport.attempts, 2);
+  t.deepEqual(result, {data: {getPostCount: 4}});
+});
+
+test('does not retry a status that is not retryable', async t => {
+  const transport = makeTransport([{status: 400, statusText: 'Bad Request'}], {maxAttempts: 3});
+  await transport.sendToServer({query: '{getPostCount}'});
+  t.is(transport.attempts, 1);
+});
+
+test('a fetch that throws is a network error', async t => {
+  const transport = makeTransport([new Error('Failed to fetch')], {maxAttempts: 2});
+  const result = await transport.handleQuery({query: '{getPostCount}'});
+  t.is(transport.attempts, 2);
+  t.true(result.networkError);
+  t.deepEqual(result.error, {errors: [{_error: 'Failed to fetch'}]});
+});
+
+test('a response that is not JSON is an error, not a rejection', async t => {
+  const notJSON = {status: 200, statusText: 'OK', json: () => Promise.reject(new Error('Unexpected token <'))};
+  const transport = makeTransport([notJSON], {maxAttempts: 3});
+  const result = await transport.handleQuery({query: '{getPostCount}'});
+  t.is(transport.attempts, 1);
+  t.deepEqual(result, {data: null, error: {errors: [{_error: 'Unexpected token <'}]}});
+});
+
+test('a transport that throws is a network error, not a rejection', async t => {
+  const transport = new Transport(() => Promise.reject(new Error('Oops')));
+  const result = await transport.handleQuery({query: '{getPostCount}'});
+  t.deepEqual(result, {data: null, error: {errors: [{_error: 'Oops'}]}, networkError: true});
+});
+
+test('cancelling the request during the wait stops the retries', async t => {
+  const transport = makeTransport([unavailable], {maxAttempts: 3, initialDelay: 10000});
+  const abortController = makeAbortController();
+  const start = Date.now();
+  const resultPromise = transport.handleQuery({query: '{getPostCount}'}, {signal: abortController.signal});
+  setTimeout(() => abortController.abort(), 10);
+  const result = await resultPromise;
+  t.true(Date.now() - start < 5000);
+  t.is(transport.attempts, 1);
+  t.deepEqual(result, {data: null, aborted: true});
+});
+
+test('every wait removes its abort listener when it is over', async t => {
+  const transport = makeTransport([unavailable], {maxAttempts: 4});
+  const {signal} = makeAbortController();
+  let listenerCount = 0;
+  const addEventListener = signal.addEventListener;
+  const removeEventListener = signal.removeEventListener;
+  signal.addEventListener = (type, listener) => {
+    listenerCount++;
+    addEventListener.call(signal, type, listener);
+  };
+  signal.removeEventListener = (type, listener) => {
+    listenerCount--;
+    removeEventListener.call(signal, type, listener);
+  };
+  await transport.sendToServer({query: '{getPostCount}'}, {signal});
+  t.is(transport.attempts, 4);
+  t.is(listenerCount, 0);
+});
@@ -0,0 +1,95 @@
+import test from 'ava';
+import 'babel-register';
+import hashQuery from '../hashQuery';
+import PersistedHTTPTransport, {getPersistedQueryError} from '../PersistedHTTPTransport';
+
+test('hashes a query string with sha256', t => {
+  t.is(hashQuery(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  t.is(hashQuery('{getPostCount}'), '27ce31a24c7afdfbfd9c6c421fc27df7a74211bd0640d786dab8acb2436e3ce2');
+});
+
+test('hashes the sha256 test vectors', t => {
+  t.is(hashQuery('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  t.is(hashQuery('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  t.is(hashQuery('abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu'),
+    'cf5b16a778af8380036ce59e7b0492370b249b11e8f07a51afac45037afee9d1');
+});
+
+test('hashes strings that end right at the padding boundaries', t => {
+  // 55 bytes fit the length in the same block, 56 bytes need another one
+  t.is(hashQuery('a'.repeat(55)), '9f4390f8d30c2dd92ec9f095b65e2b9ae9b0a925a5258e241c9f1e910f734318');
+  t.is(hashQuery('a'.repeat(56)), 'b35439a4ac6f0948b6d6f9e3c6af0f5f590ce20f1bde7090ef7970686ec6738a');
+  t.is(hashQuery('a'.repeat(64)), 'ffe054fe7ae0cb6dc65c3af9b61d5209f439851db43d0ba5997337df154668eb');
+});
+
+test('hashes the UTF-8 bytes of a query that spans many blocks', t => {
+  const queryString = `{getPostById(_id: "${'ü'.repeat(40)}😀") {_id, content}}`;
+  t.is(hashQuery(queryString), 'dc16dc408ebb3ddcfea87125d2c4f2df8157088ea3f8235b32b43fe2130321fc');
+});
+
+test('knows when a server does not have a persisted query', t => {
+  t.is(getPersistedQueryError([{message: 'PersistedQueryNotFound'}]), 'PersistedQueryNotFound');
+  t.is(getPersistedQueryError([{message: 'Nope', extensions: {code: 'PERSISTED_QUERY_NOT_SUPPORTED'}}]),
+    'PersistedQueryNotSupported');
+  t.falsy(getPersistedQueryError([{message: 'Invalid login'}]));
+  t.falsy(getPersistedQueryError());
+});
+
+// a transport whose fetch remembers every request & answers with whatever respond returns for it
+const makeTransport = (respond, persistOptions) => {
+  const transport = new PersistedHTTPTransport('/graphql', {}, undefined, persistOptions);
+  transport.requests = [];
+  transport.fetch = async (uri, payload) => {
+    const request = {uri, method: payload.method, body: payload.body && JSON.parse(payload.body)};
+    transport.requests.push(request);
+    const result = respond(request);
+    return {status: 200, statusText: 'OK', json: async () => result};
+  };
+  return transport;
+};
+
+const query = '{getPostCount}';
+const sha256Hash = '27ce31a24c7afdfbfd9c6c421fc27df7a74211bd0640d786dab8acb2436e3ce2';
+const extensions = {persistedQuery: {version: 1, sha256Hash}};
+
+test('sends only the hash when the server knows it', async t => {
+  const transport = makeTransport(() => ({data: {getPostCount: 4}}));
+  const result = await transport.sendToServer({query});
+  t.deepEqual(result, {data: {getPostCount: 4}});
+  t.deepEqual(transport.requests.map(({body}) => body), [{extensions}]);
+});
+
+test('sends the full text along with the hash after a hash miss', async t => {
+  const transport = makeTransport(({body}) => {
+    return body.query ? {data: {getPostCount: 4}} : {errors: [{message: 'PersistedQueryNotFound'}]};
+  });
+  const result = await transport.sendToServer({query});
+  t.deepEqual(result, {data: {getPostCount: 4}});
+  t.deepEqual(transport.requests.map(({body}) => body), [{extensions}, {query, extensions}]);
+  t.true(transport.supportsPersistedQueries);
+});
+
+test('only sends the full text once the server says it does not support persisted queries', async t => {
+  const transport = makeTransport(({body}) => {
+    const code = 'PERSISTED_QUERY_NOT_SUPPORTED';
+    return body.query ? {data: {getPostCount: 4}} : {errors: [{message: 'Nope', extensions: {code}}]};
+  });
+  t.deepEqual(await transport.sendToServer({query}), {data: {getPostCount: 4}});
+  t.deepEqual(await transport.sendToServer({query}), {data: {getPostCount: 4}});
+  t.false(transport.supportsPersistedQueries);
+  t.deepEqual(transport.requests.map(({body}) => body), [{extensions}, {query}, {query}]);
+});
+
+test('a hash miss on a GET is sent again as a POST with the full text', async t => {
+  const transport = makeTransport(({body}) => {
+    return body ? {data: {getPostCount: 4}} : {errors: [{message: 'PersistedQueryNotFound'}]};
+  }, {useGETForQueries: true});
+  const result = await transport.sendToServer({query, variables: {}});
+  t.deepEqual(result, {data: {getPostCount: 4}});
+  const [get, post] = transport.requests;
+  t.is(get.method, 'GET');
+  t.is(get.uri, `/graphql?variables=${encodeURIComponent('{}')}&extensions=${encodeURIComponent(JSON.stringify(extensions))}`);
+  t.is(post.method, 'POST');
+  t.deepEqual(post.body, {variables: {}, extensions, query});
+});
@@ -0,0 +1,91 @@
+// the first 32 bits of the fractional parts of the cube roots of the first 64 primes
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * the sha256 of a query string, as a hex string
+ * it's the hash that servers supporting persisted queries expect (eg apollo-server), and it's synchronous,
+ * so the same query string always gets the same hash in the browser, on the server, & in the cashay-queries CLI
+ *
+ * @param {String} queryString the printed query
+ *
+ * @returns {String} the 64 character hex digest
+ */
+export default function hashQuery(queryString) {
+  const bytes = toUTF8Bytes(queryString);
+  const bitLength = bytes.length * 8;
+  // pad with a 1 bit, then 0s until there's room for the 64-bit length at the end of the last 64-byte block
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) {
+    bytes.push(0);
+  }
+  // strings are never long enough to need the high 32 bits
+  bytes.push(0, 0, 0, 0, bitLength >>> 24 & 0xff, bitLength >>> 16 & 0xff, bitLength >>> 8 & 0xff, bitLength & 0xff);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array(64);
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = bytes[j] << 24 | bytes[j + 1] << 16 | bytes[j + 2] << 8 | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ w[i - 15] >>> 3;
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ w[i - 2] >>> 10;
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1 | 0;
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+      const ch = e & f ^ ~e & g;
+      const temp1 = h + S1 + ch + K[i] + w[i] | 0;
+      const S0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+      const maj = a & b ^ a & c ^ b & c;
+      const temp2 = S0 + maj | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = d + temp1 | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = temp1 + temp2 | 0;
+    }
+    const working = [a, b, c, d, e, f, g, h];
+    for (let i = 0; i < 8; i++) {
+      hash[i] = hash[i] + working[i] | 0;
+    }
+  }
+  return hash.map(word => ('0000000' + (word >>> 0).toString(16)).slice(-8)).join('');
+};
+
+const rotate = (word, bits) => word >>> bits | word << 32 - bits;
+
+const toUTF8Bytes = str => {
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    let codePoint = str.charCodeAt(i);
+    // a surrogate pair is a single code point
+    if (codePoint >= 0xd800 && codePoint < 0xdc00 && i + 1 < str.length) {
+      codePoint = 0x10000 + (codePoint - 0xd800 << 10) + (str.charCodeAt(++i) - 0xdc00);
+    }
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | codePoint >> 6, 0x80 | codePoint & 0x3f);
+    } else if (codePoint < 0x10000) {
+      bytes.push(0xe0 | codePoint >> 12, 0x80 | codePoint >> 6 & 0x3f, 0x80 | codePoint & 0x3f);
+    } else {
+      bytes.push(0xf0 | codePoint >> 18, 0x80 | codePoint >> 12 & 0x3f, 0x80 | codePoint >> 6 & 0x3f, 0x80 | codePoint & 0x3f);
+    }
+  }
+  return bytes;
+};
@@ -1,8 +1,18 @@
-import {INLINE_FRAGMENT, OPERATION_DEFINITION, FRAGMENT_DEFINITION} from 'graphql/language/kinds';
+import {
+  INLINE_FRAGMENT,
+  FRAGMENT_SPREAD,
+  OPERATION_DEFINITION,
+  FRAGMENT_DEFINITION,
+  VARIABLE,
+  INT,
+  FLOAT,
+  LIST,
+  OBJECT
+} from 'graphql/language/kinds';
 import {TypeKind} from 'graphql/type/introspection';
 import {parse as gqlParse} from 'graphql/language/parser';
 
-const {NON_NULL} = TypeKind;
+const {NON_NULL, UNION, INTERFACE} = TypeKind;
 
 export const TYPENAME = '__typename';
 export const CASHAY = 'CASHAY';
@@ -13,6 +23,10 @@ export const NORM_DELIMITER = '::';
 export const FRONT = 'front';
 export const BACK = 'back';
 export const FULL = 'full';
+// offset pagination keeps each doc at its index, with null for the docs we don't have yet
+export const INDEXED = 'indexed';
+// pages that start at a cursor in the middle of the list are kept in segments (see windowHelpers)
+export const WINDOWS = 'windows';
 
 
 export const ensureTypeFromNonNull = type => type.kind === NON_NULL ? type.ofType : type;
@@ -22,6 +36,115 @@ export const ensureRootType = type => {
   return type;
 };
 
+/**
+ * unions & interfaces don't say which type a doc is, so the response needs a __typename to find it
+ */
+export const isAbstractType = typeSchema => typeSchema.kind === UNION || typeSchema.kind === INTERFACE;
+
+/**
+ * an inline fragment applies to a concrete type if it's on that type, on a union or interface that includes it,
+ * or if it doesn't have a type condition
+ *
+ * @param {Object} fragment the inline fragment in the query AST
+ * @param {Object} typeSchema the schema of the concrete type
+ * @param {Object} schema the cashay client schema
+ *
+ * @returns {Boolean} true if the fields in the fragment belong to the type
+ */
+export const isFragmentOfType = (fragment, typeSchema, schema) => {
+  if (!fragment.typeCondition) return true;
+  const typeConditionName = fragment.typeCondition.name.value;
+  if (typeConditionName === typeSchema.name) return true;
+  const conditionSchema = schema.types[typeConditionName];
+  return Boolean(conditionSchema && conditionSchema.possibleTypes && conditionSchema.possibleTypes[typeSchema.name]);
+};
+
+// the directives that decide if the server sends a selection back
+const SKIP = 'skip';
+const INCLUDE = 'include';
+
+export const isConditionalDirective = directive => directive.name.value === SKIP || directive.name.value === INCLUDE;
+
+// a field with @client is resolved from the redux state, so it never goes to the server
+const CLIENT = 'client';
+
+export const isClientField = selection => {
+  return Boolean(selection.directives && selection.directives.some(directive => directive.name.value === CLIENT));
+};
+
+// a selection with @defer is fetched after the rest of the query, so a slow field doesn't hold everything up
+export const DEFER = 'defer';
+
+export const isDeferredSelection = selection => {
+  return Boolean(selection.directives && selection.directives.some(directive => directive.name.value === DEFER));
+};
+
+// the directives that cashay handles itself, so a server never has to know about them
+export const isCashayDirective = directive => {
+  return isConditionalDirective(directive) || directive.name.value === CLIENT || directive.name.value === DEFER;
+};
+
+/**
+ * evaluate the @skip & @include directives of a selection, eg author @include(if: $withAuthor)
+ * a variable that wasn't given (& has no default value) is falsy, so the selection is skipped by @include & kept by @skip
+ *
+ * @param {Object} selection a field or inline fragment in the query AST
+ * @param {Object} [variables] the variables of the operation, including their defaults (see getVariablesWithDefaults)
+ *
+ * @returns {Boolean} true if the selection is part of the response
+ */
+export const isSelectionIncluded = (selection, variables = {}) => {
+  const {directives} = selection;
+  if (!directives) return true;
+  for (let i = 0; i < directives.length; i++) {
+    const directive = directives[i];
+    if (!isConditionalDirective(directive)) continue;
+    const ifArg = directive.arguments.find(arg => arg.name.value === 'if');
+    const {value} = ifArg;
+    const condition = Boolean(value.kind === VARIABLE ? variables[value.name.value] : value.value);
+    if (directive.name.value === SKIP ? condition : !condition) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * fill in the default values from the variable definitions of an operation, eg query($withAuthor: Boolean = true)
+ *
+ * @param {Object} operation the operation in the query AST
+ * @param {Object} [variables] the variables that were given
+ *
+ * @returns {Object} the variables, with a default value for each one that wasn't given
+ */
+export const getVariablesWithDefaults = (operation, variables = {}) => {
+  const {variableDefinitions} = operation;
+  if (!variableDefinitions || !variableDefinitions.length) return variables;
+  const defaults = {};
+  for (let i = 0; i < variableDefinitions.length; i++) {
+    const {variable, defaultValue} = variableDefinitions[i];
+    const variableName = variable.name.value;
+    if (defaultValue && variables[variableName] === undefined) {
+      defaults[variableName] = valueFromLiteral(defaultValue);
+    }
+  }
+  return Object.keys(defaults).length ? {...variables, ...defaults} : variables;
+};
+
+// a default value can't contain a variable, so it's all literals
+const valueFromLiteral = valueAST => {
+  if (valueAST.kind === INT) return parseInt(valueAST.value, 10);
+  if (valueAST.kind === FLOAT) return parseFloat(valueAST.value);
+  if (valueAST.kind === LIST) return valueAST.values.map(valueFromLiteral);
+  if (valueAST.kind === OBJECT) {
+    return valueAST.fields.reduce((reduction, field) => {
+      reduction[field.name.value] = valueFromLiteral(field.value);
+      return reduction;
+    }, {});
+  }
+  return valueAST.value;
+};
+
 export const getRegularArgsKey = regularArgs => {
   return regularArgs && (Object.keys(regularArgs).length ? JSON.stringify(regularArgs) : '');
 };
@@ -44,10 +167,11 @@ export const shallowPlus1Clone = obj => {
 };
 
 export const makeErrorFreeResponse = cachedResponse => {
-  const {isComplete, firstRun, setVariables} = cachedResponse;
+  const {isComplete, firstRun, isStale, setVariables} = cachedResponse;
   return {
     isComplete,
     firstRun,
+    isStale,
     setVariables,
     data: shallowPlus1Clone(cachedResponse.data)
   }
@@ -72,28 +196,119 @@ export const parse = graphQLString => gqlParse(graphQLString, {noLocation: true,
 export const buildExecutionContext = (queryAST, params) => {
   const clonedAST = clone(queryAST);
   const {operation, fragments} = teardownDocumentAST(clonedAST);
-  return {operation, fragments, ...params};
+  const context = {operation, fragments, ...params};
+  if (params.variables) {
+    context.variables = getVariablesWithDefaults(operation, params.variables);
+  }
+  return context;
 };
 
-export const teardownDocumentAST = queryAST => {
-  let operation;
+/**
+ * split a document into the operation to run & the fragments it can use
+ *
+ * @param {Object} queryAST the parsed document
+ * @param {String} [operationName] the name of the operation to run. Required if the document has many operations
+ *
+ * @returns {Object} the operation & the fragments, keyed by name
+ */
+export const teardownDocumentAST = (queryAST, operationName) => {
+  const operations = [];
   const fragments = queryAST.definitions.reduce((reduction, definition) => {
     if (definition.kind === OPERATION_DEFINITION) {
-      if (operation) {
-        throw new Error('Multiple operations not supported');
-      }
-      operation = definition;
+      operations.push(definition);
     } else if (definition.kind === FRAGMENT_DEFINITION) {
       reduction[definition.name.value] = definition;
     }
     return reduction;
   }, {});
-  if (!operation) {
+  if (!operations.length) {
     throw new Error('Must provide an operation.');
   }
+  let operation;
+  if (operationName) {
+    operation = operations.find(definition => definition.name && definition.name.value === operationName);
+    if (!operation) {
+      throw new Error(`Unknown operation named ${operationName}.`);
+    }
+  } else if (operations.length > 1) {
+    throw new Error('Must provide an operationName when the document has multiple operations.');
+  } else {
+    operation = operations[0];
+  }
   return {operation, fragments};
 };
 
+// a document is parsed once, no matter how many of its operations get used
+// every instance shares the cache, so it only keeps the documents that were used most recently
+export const MAX_PARSED_DOCUMENTS = 200;
+const parsedDocuments = new Map();
+
+export const parseDocument = documentString => {
+  let documentAST = parsedDocuments.get(documentString);
+  if (documentAST) {
+    // move it to the back of the line
+    parsedDocuments.delete(documentString);
+  } else {
+    documentAST = parse(documentString);
+    if (parsedDocuments.size >= MAX_PARSED_DOCUMENTS) {
+      parsedDocuments.delete(parsedDocuments.keys().next().value);
+    }
+  }
+  parsedDocuments.set(documentString, documentAST);
+  return documentAST;
+};
+
+// a server rejects a document with unused fragments, so only keep the ones that the operation spreads
+const getUsedFragments = (selectionSet, fragments, usedFragments = {}) => {
+  for (let selection of selectionSet.selections) {
+    if (selection.kind === FRAGMENT_SPREAD) {
+      const fragmentName = selection.name.value;
+      const fragment = fragments[fragmentName];
+      if (fragment && !usedFragments[fragmentName]) {
+        usedFragments[fragmentName] = fragment;
+        getUsedFragments(fragment.selectionSet, fragments, usedFragments);
+      }
+    } else if (selection.selectionSet) {
+      getUsedFragments(selection.selectionSet, fragments, usedFragments);
+    }
+  }
+  return usedFragments;
+};
+
+/**
+ * cut a single operation (and the fragments it uses) out of a document. the result is a copy, so it's safe to mutate
+ *
+ * @param {String} documentString the GraphQL document, which may have many operations
+ * @param {String} [operationName] the name of the operation. Required if the document has many operations
+ *
+ * @returns {Object} a document AST with the operation as the first definition
+ */
+export const parseOperation = (documentString, operationName) => {
+  const documentAST = parseDocument(documentString);
+  const {operation, fragments} = teardownDocumentAST(documentAST, operationName);
+  const usedFragments = getUsedFragments(operation.selectionSet, fragments);
+  const fragmentDefinitions = Object.keys(usedFragments).map(fragmentName => usedFragments[fragmentName]);
+  return clone({...documentAST, definitions: [operation, ...fragmentDefinitions]});
+};
+
+/**
+ * find the name of the operation that calls a root field, eg the mutation in a document of custom mutations
+ *
+ * @param {String} documentString the GraphQL document
+ * @param {String} fieldName the name of the root field, eg createPost
+ *
+ * @returns {String|undefined} the name of the operation, or undefined if the document only has 1 operation
+ */
+export const getOperationNameForField = (documentString, fieldName) => {
+  const operations = parseDocument(documentString).definitions
+    .filter(definition => definition.kind === OPERATION_DEFINITION);
+  if (operations.length === 1) return;
+  const operation = operations.find(definition => {
+    return definition.selectionSet.selections.some(selection => selection.name && selection.name.value === fieldName);
+  });
+  return operation && operation.name && operation.name.value;
+};
+
 export const getVariables = (variables = {}, cashayDataState, component, key, cachedResponse) => {
   const componentVars = cashayDataState.variables[component];
   const stateVars = componentVars && key ? componentVars[key] : componentVars;